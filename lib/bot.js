@@ -0,0 +1,912 @@
+const { pool } = require("./db");
+const bountyEvents = require("./bountyEvents");
+const bountyState = require("./bountyState");
+const bountyShares = require("./bountyShares");
+const claims = require("./claims");
+const currency = require("./currency");
+const {
+  enqueueComment,
+  fetchPermission,
+  getInstallationOctokit,
+  hasPermission,
+  issueNumberFromUrl,
+} = require("./github");
+const jobs = require("./jobs");
+const kyc = require("./kyc");
+const ledger = require("./ledger");
+const pledges = require("./pledges");
+const repositoryConfig = require("./repositoryConfig");
+const repositoryPolicy = require("./repositoryPolicy");
+const solanaAddress = require("./solanaAddress");
+const {
+  COMMANDS,
+  formatHelp,
+  formatUsage,
+  parseCommands,
+} = require("./commandParser");
+
+// Everything a command handler needs to know about where it was invoked.
+function createContext(payload, { deliveryId = null } = {}) {
+  const octokit = getInstallationOctokit(payload.installation.id);
+  const isPullRequest = Boolean(
+    payload.pull_request || payload.issue?.pull_request
+  );
+  const number = payload.issue?.number ?? payload.pull_request.number;
+  const owner = payload.repository.owner.login;
+  const repo = payload.repository.name;
+
+  let permission;
+  let config;
+  const context = {
+    payload,
+    octokit,
+    owner,
+    repo,
+    repository: payload.repository.full_name,
+    number,
+    isPullRequest,
+    sender: payload.sender,
+    deliveryId,
+    // The command being run, as { index, line }
+    command: null,
+    // Replies are posted by the job queue. Pass the client of an open
+    // transaction to only post the reply if that transaction commits. The
+    // reply also marks the command as run, so handlers reply in the
+    // transaction making their changes.
+    reply: async (body, db = pool) => {
+      await enqueueComment(db, {
+        repository: payload.repository.full_name,
+        issueNumber: number,
+        body,
+      });
+      if (deliveryId && context.command) {
+        await markProcessed(db, deliveryId, context.command);
+      }
+    },
+    getPermission: async () => {
+      if (permission === undefined) {
+        permission = await fetchPermission(octokit, {
+          owner,
+          repo,
+          username: payload.sender.login,
+        });
+      }
+      return permission;
+    },
+    // The repository's .paisa.yml; throws an InvalidConfigError if invalid
+    getConfig: async () => {
+      if (config === undefined) {
+        config = await repositoryConfig.loadConfig(octokit, { owner, repo });
+      }
+      return config;
+    },
+  };
+  return context;
+}
+
+async function markProcessed(db, deliveryId, { index, line }) {
+  await db.query(
+    `
+      INSERT INTO processed_commands (delivery_id, command_index, command)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+    `,
+    [deliveryId, index, line]
+  );
+}
+
+// Indexes of the commands of `deliveryId` that have already run
+async function getProcessedCommands(deliveryId) {
+  if (!deliveryId) {
+    return new Set();
+  }
+  const result = await pool.query(
+    "SELECT command_index FROM processed_commands WHERE delivery_id = $1",
+    [deliveryId]
+  );
+  return new Set(result.rows.map((row) => row.command_index));
+}
+
+// Parse the commands in `text` and run each of them in order. Commands
+// from a webhook delivery that already ran for `deliveryId` are skipped, so
+// a retried delivery does not repeat them.
+async function handleCommands(payload, text, { deliveryId } = {}) {
+  // Ignore our own comments and those of other bots
+  if (payload.sender.type === "Bot") {
+    return;
+  }
+
+  const commands = parseCommands(text);
+  if (commands.length === 0) {
+    return;
+  }
+
+  // Unexpected errors fail the webhook job so that the queue retries it
+  const context = createContext(payload, { deliveryId });
+  const processed = await getProcessedCommands(deliveryId);
+  for (const [index, command] of commands.entries()) {
+    if (processed.has(index)) {
+      continue;
+    }
+    context.command = { index, line: command.line };
+    await dispatch(context, command);
+  }
+}
+
+async function dispatch(context, command) {
+  if (command.error) {
+    await context.reply(formatUsage(command));
+    return;
+  }
+
+  const definition = COMMANDS[command.name];
+  if (definition.context === "issue" && context.isPullRequest) {
+    await context.reply(
+      `⚠️ \`${definition.usage}\` can only be used on an issue.`
+    );
+    return;
+  }
+  if (definition.context === "pull_request" && !context.isPullRequest) {
+    await context.reply(
+      `⚠️ \`${definition.usage}\` can only be used on a pull request.`
+    );
+    return;
+  }
+
+  if (definition.permission === "creator") {
+    const client = await pool.connect();
+    let policy;
+    try {
+      policy = await repositoryPolicy.getPolicy(client, context.repository);
+    } finally {
+      client.release();
+    }
+    const allowed = repositoryPolicy.canCreateBounty(policy, {
+      username: context.sender.login,
+      permission: await context.getPermission(),
+    });
+    if (!allowed) {
+      await context.reply(
+        `⚠️ @${context.sender.login} only ${repositoryPolicy.describePolicy(
+          policy
+        )} can create bounties here.`
+      );
+      return;
+    }
+  } else if (!["none", "bounty"].includes(definition.permission)) {
+    const permission = await context.getPermission();
+    if (!hasPermission(permission, definition.permission)) {
+      await context.reply(
+        `⚠️ @${context.sender.login} you need ${definition.permission} access to this repository to use \`${definition.usage}\`.`
+      );
+      return;
+    }
+  }
+
+  try {
+    await HANDLERS[command.name](context, command.args);
+  } catch (error) {
+    if (error instanceof repositoryConfig.InvalidConfigError) {
+      await context.reply(repositoryConfig.formatConfigErrors(error));
+      return;
+    }
+    throw error;
+  }
+}
+
+// The bounty of the current issue that is still in play, if any
+async function findIssueBounty(client, context) {
+  const result = await client.query(
+    `
+      SELECT * FROM bounties
+      WHERE issue_id = $1 AND status IN ('open', 'ready_for_approval', 'suspended', 'approved', 'payment_pending', 'disputed')
+      ORDER BY created_at DESC
+      LIMIT 1
+    `,
+    [context.payload.issue.id]
+  );
+  return result.rows[0] || null;
+}
+
+// Why the sender may not `action` `bounty`, or null if they may. The rule is
+// the API's: the bounty's creator needs write access to the repository,
+// anyone else needs `role`, and with a null `role` only the creator may.
+async function checkBountyRole(context, bounty, action, role = "maintain") {
+  const isOwner = bounty.creator_id === context.sender.id;
+  const allowed = repositoryPolicy.canManageBounty({
+    isOwner,
+    permission: await context.getPermission(),
+    role,
+  });
+  if (allowed) {
+    return null;
+  }
+  if (isOwner) {
+    return `You need write access to this repository to ${action} the bounty.`;
+  }
+  return role === null
+    ? `Only the creator of the bounty can ${action} it.`
+    : `Only the creator of the bounty or users with ${role} access can ${action} it.`;
+}
+
+// Why the repository's config does not allow a bounty of `amount` in `code`
+// on the current issue, or null if it does
+function checkBountyConfig(config, { amount, code, labels }) {
+  if (config.currencies && !config.currencies.includes(code)) {
+    return `Bounties in this repository must be in ${config.currencies.join(
+      " or "
+    )}.`;
+  }
+  const missing = config.requiredLabels.filter(
+    (label) =>
+      !labels.some((name) => name.toLowerCase() === label.toLowerCase())
+  );
+  if (missing.length > 0) {
+    return `Bounties in this repository need the issue to be labelled ${missing
+      .map((label) => `\`${label}\``)
+      .join(", ")}.`;
+  }
+  return repositoryConfig.checkLimits(config, { amount, code });
+}
+
+async function createBounty(
+  context,
+  { amount: rawAmount, currency: requestedCode }
+) {
+  const { payload } = context;
+  const issueId = payload.issue.id;
+  const userId = payload.sender.id;
+  const config = await context.getConfig();
+  const code =
+    requestedCode ?? config.currencies?.[0] ?? currency.DEFAULT_CURRENCY;
+  const labels = (payload.issue.labels || []).map((label) => label.name);
+
+  let amount;
+  try {
+    amount = currency.parseAmount(rawAmount, code);
+  } catch (error) {
+    if (error instanceof currency.InvalidAmountError) {
+      await context.reply(`⚠️ ${error.message}.`);
+      return;
+    }
+    throw error;
+  }
+  const problem = checkBountyConfig(config, { amount, code, labels });
+  if (problem) {
+    await context.reply(`⚠️ ${problem}`);
+    return;
+  }
+  console.log(
+    "Creating bounty for issue:",
+    issueId,
+    "with amount:",
+    currency.formatAmount(amount, code)
+  );
+
+  const client = await pool.connect();
+  try {
+    // Check for existing open bounty
+    const existingBountyResult = await client.query(
+      "SELECT * FROM bounties WHERE issue_id = $1 AND status = ANY($2)",
+      [issueId, [...bountyState.UNAPPROVED_STATUSES, "suspended"]]
+    );
+    if (existingBountyResult.rows.length > 0) {
+      await context.reply(
+        `⚠️ An open bounty already exists for this issue. You can only have one active bounty per issue at a time.`
+      );
+      return;
+    }
+
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO bounties (issue_id, amount, currency, decimals, status, creator_id, repository, issue_title, issue_url, labels, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW() + $11 * INTERVAL '1 day')
+       RETURNING id, expires_at`,
+      [
+        issueId,
+        amount,
+        code,
+        currency.getCurrency(code).decimals,
+        "open",
+        userId,
+        payload.repository.full_name,
+        payload.issue.title,
+        payload.issue.html_url,
+        labels,
+        config.expireAfterDays,
+      ]
+    );
+    const { id: bountyId, expires_at: expiresAt } = result.rows[0];
+    await bountyState.recordCreation(client, {
+      bountyId,
+      actorId: userId,
+      reason: `Created with /create-bounty ${amount} ${code}`,
+    });
+    await ledger.fundBounty(client, {
+      bountyId,
+      ownerId: userId,
+      amount,
+      actorId: userId,
+    });
+    await pledges.recordPledge(client, { bountyId, backerId: userId, amount });
+    if (expiresAt) {
+      await jobs.enqueue(
+        client,
+        "bounty.expire",
+        { bountyId },
+        { runAt: expiresAt }
+      );
+    }
+
+    let message = repositoryConfig.renderTemplate(config, "created", {
+      amount: await currency.formatWithInr(amount, code),
+      bounty_id: bountyId,
+      creator: payload.sender.login,
+      frontend_url: process.env.FRONTEND_URL,
+      repository: payload.repository.full_name,
+    });
+    if (expiresAt) {
+      message += `\n\nThis bounty expires on ${expiresAt
+        .toISOString()
+        .slice(0, 10)} unless it has been approved by then.`;
+    }
+    await context.reply(message, client);
+    await client.query("COMMIT");
+
+    return bountyId;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    console.error("Error creating bounty:", error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function claimBounty(context, { bountyId }) {
+  const userId = context.sender.id;
+  const config = await context.getConfig();
+
+  const client = await pool.connect();
+  try {
+    const userResult = await client.query(
+      "SELECT * FROM users WHERE github_id = $1",
+      [userId]
+    );
+    if (userResult.rows.length === 0) {
+      await context.reply(
+        `To claim this bounty, you need to join Paisa-Baat first. Please visit ${process.env.FRONTEND_URL} to create an account and complete the authorization process.`
+      );
+      return;
+    }
+
+    const bountyResult = await client.query(
+      "SELECT * FROM bounties WHERE id = $1 AND status = $2",
+      [bountyId, "open"]
+    );
+    if (bountyResult.rows.length === 0) {
+      await context.reply(`Sorry, no open bounty found with ID ${bountyId}.`);
+      return;
+    }
+
+    const bounty = bountyResult.rows[0];
+
+    // Check if the claimant is the bounty creator
+    if (bounty.creator_id === userId) {
+      await context.reply(`Sorry, you cannot claim your own bounty.`);
+      return;
+    }
+
+    // Repositories can require the pull request to close the bounty's issue
+    const policy = await repositoryPolicy.getPolicy(client, bounty.repository);
+    const issueNumber = issueNumberFromUrl(bounty.issue_url);
+    if (
+      policy.require_issue_reference &&
+      !claims.referencesIssue(pullRequestBody(context.payload), {
+        repository: bounty.repository,
+        issueNumber,
+        pullRequestRepository: context.repository,
+      })
+    ) {
+      await context.reply(
+        `⚠️ This repository requires the pull request description to reference the bounty's issue, for example "Fixes #${issueNumber}". Add it and claim the bounty again.`
+      );
+      return;
+    }
+
+    await client.query("BEGIN");
+    await client.query(
+      "INSERT INTO bounty_claims (bounty_id, user_id, pull_request_number, repository) VALUES ($1, $2, $3, lower($4))",
+      [bounty.id, userId, context.number, context.repository]
+    );
+    await bountyEvents.publish(client, "bounty.claimed", {
+      bountyId: bounty.id,
+      actorId: userId,
+      data: {
+        claimant_id: userId,
+        pull_request_number: context.number,
+        pull_request_repository: context.repository,
+      },
+    });
+    await context.reply(
+      repositoryConfig.renderTemplate(config, "claimed", {
+        bounty_id: bounty.id,
+        claimant: context.sender.login,
+        frontend_url: process.env.FRONTEND_URL,
+        repository: context.repository,
+      }),
+      client
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23505") {
+      // PostgreSQL unique violation error code
+      await context.reply(
+        `⚠️ This bounty has already been claimed on another pull request. You can only claim a bounty once per open pull request.`
+      );
+      return;
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function showStatus(context) {
+  const client = await pool.connect();
+  try {
+    if (context.isPullRequest) {
+      const result = await client.query(
+        `
+          SELECT b.id, b.amount, b.currency, b.status, bc.status AS claim_status, u.name AS claimant_name
+          FROM bounty_claims bc
+          JOIN bounties b ON b.id = bc.bounty_id
+          LEFT JOIN users u ON u.github_id = bc.user_id
+          WHERE bc.repository = lower($1) AND bc.pull_request_number = $2
+          ORDER BY bc.claimed_at
+        `,
+        [context.repository, context.number]
+      );
+      if (result.rows.length === 0) {
+        await context.reply("This pull request has not claimed any bounty.");
+        return;
+      }
+      const lines = result.rows.map(
+        (row) =>
+          `- Bounty #${row.id}: ${currency.formatAmount(
+            row.amount,
+            row.currency
+          )} (${row.status}), claimed by ${
+            row.claimant_name ? `@${row.claimant_name}` : "an unknown user"
+          }${row.claim_status === "closed" ? " (withdrawn)" : ""}`
+      );
+      await context.reply(
+        `Bounties claimed by this pull request:\n\n${lines.join("\n")}`
+      );
+      return;
+    }
+
+    const bounty = await findIssueBounty(client, context);
+    if (!bounty) {
+      await context.reply("There is no active bounty on this issue.");
+      return;
+    }
+    const claimsResult = await client.query(
+      "SELECT COUNT(*)::int AS count FROM bounty_claims WHERE bounty_id = $1 AND status <> 'closed'",
+      [bounty.id]
+    );
+    const backers = await pledges.getBackers(client, bounty.id);
+    await context.reply(
+      `Bounty #${bounty.id}: ${await currency.formatWithInr(
+        bounty.amount,
+        bounty.currency
+      )} from ${backers.length} backer(s), status **${bounty.status}**, ${
+        claimsResult.rows[0].count
+      } claim(s).`
+    );
+  } finally {
+    client.release();
+  }
+}
+
+async function increaseBounty(context, { amount }) {
+  const config = await context.getConfig();
+  const client = await pool.connect();
+  try {
+    const bounty = await findIssueBounty(client, context);
+    if (!bounty || !bountyState.UNAPPROVED_STATUSES.includes(bounty.status)) {
+      await context.reply("There is no open bounty on this issue to increase.");
+      return;
+    }
+    const denied = await checkBountyRole(context, bounty, "increase");
+    if (denied) {
+      await context.reply(`⚠️ ${denied}`);
+      return;
+    }
+    try {
+      currency.parseAmount(amount, bounty.currency);
+    } catch (error) {
+      if (error instanceof currency.InvalidAmountError) {
+        await context.reply(`⚠️ ${error.message}.`);
+        return;
+      }
+      throw error;
+    }
+
+    // The increase is a further pledge by the creator
+    await client.query("BEGIN");
+    const newAmount = await pledges.addPledge(client, {
+      bountyId: bounty.id,
+      backerId: bounty.creator_id,
+      amount,
+      actorId: context.sender.id,
+    });
+    const problem = repositoryConfig.checkMaximum(config, {
+      amount: newAmount,
+      code: bounty.currency,
+    });
+    if (problem) {
+      await client.query("ROLLBACK");
+      await context.reply(`⚠️ ${problem}`);
+      return;
+    }
+    await context.reply(
+      `The bounty amount for this issue has been updated from ${currency.formatAmount(
+        bounty.amount,
+        bounty.currency
+      )} to ${await currency.formatWithInr(newAmount, bounty.currency)}.`,
+      client
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function addToBounty(context, { amount }) {
+  const backerId = context.sender.id;
+  const config = await context.getConfig();
+  const client = await pool.connect();
+  try {
+    const bounty = await findIssueBounty(client, context);
+    if (!bounty || !bountyState.UNAPPROVED_STATUSES.includes(bounty.status)) {
+      await context.reply("There is no open bounty on this issue to back.");
+      return;
+    }
+    try {
+      currency.parseAmount(amount, bounty.currency);
+    } catch (error) {
+      if (error instanceof currency.InvalidAmountError) {
+        await context.reply(`⚠️ ${error.message}.`);
+        return;
+      }
+      throw error;
+    }
+
+    // Pledges are funded from the backer's connected wallet
+    const userResult = await client.query(
+      "SELECT solana_address FROM users WHERE github_id = $1",
+      [backerId]
+    );
+    if (!userResult.rows[0]?.solana_address) {
+      await context.reply(
+        `To back this bounty, join Paisa-Baat at ${process.env.FRONTEND_URL} and connect a Solana wallet first.`
+      );
+      return;
+    }
+
+    await client.query("BEGIN");
+    const newAmount = await pledges.addPledge(client, {
+      bountyId: bounty.id,
+      backerId,
+      amount,
+      actorId: backerId,
+    });
+    const problem = repositoryConfig.checkMaximum(config, {
+      amount: newAmount,
+      code: bounty.currency,
+    });
+    if (problem) {
+      await client.query("ROLLBACK");
+      await context.reply(`⚠️ ${problem}`);
+      return;
+    }
+    const backers = await pledges.getBackers(client, bounty.id);
+    await context.reply(
+      `@${context.sender.login} added ${currency.formatAmount(
+        amount,
+        bounty.currency
+      )} to this bounty. It now stands at ${await currency.formatWithInr(
+        newAmount,
+        bounty.currency
+      )} from ${backers.length} backer(s).`,
+      client
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error instanceof pledges.PledgeError) {
+      await context.reply(`⚠️ ${error.message}.`);
+      return;
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function cancelBounty(context) {
+  const client = await pool.connect();
+  try {
+    const bounty = await findIssueBounty(client, context);
+    if (!bounty) {
+      await context.reply("There is no active bounty on this issue.");
+      return;
+    }
+    const denied = await checkBountyRole(context, bounty, "cancel");
+    if (denied) {
+      await context.reply(`⚠️ ${denied}`);
+      return;
+    }
+
+    await client.query("BEGIN");
+    await bountyState.transition(client, bounty.id, "cancelled", {
+      actorId: context.sender.id,
+      reason: "Cancelled with /bounty cancel",
+    });
+    await bountyShares.cancelShares(client, bounty.id);
+    const refunds = await pledges.refundPledges(client, {
+      bounty,
+      actorId: context.sender.id,
+    });
+    await context.reply(
+      `Bounty #${bounty.id} has been cancelled and refunded to ${refunds.length} backer(s).`,
+      client
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (error instanceof bountyState.InvalidTransitionError) {
+      await context.reply(`⚠️ ${error.message}.`);
+      return;
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function unclaimBounty(context) {
+  const client = await pool.connect();
+  try {
+    // Approved claims are settled through the bounty owner instead
+    const result = await client.query(
+      `
+        DELETE FROM bounty_claims bc
+        USING bounties b
+        WHERE b.id = bc.bounty_id
+          AND bc.repository = lower($1)
+          AND bc.pull_request_number = $2
+          AND bc.user_id = $3
+          AND b.status = 'open'
+        RETURNING bc.bounty_id
+      `,
+      [context.repository, context.number, context.sender.id]
+    );
+    if (result.rows.length === 0) {
+      await context.reply(
+        "You have no open claims on this pull request to withdraw."
+      );
+      return;
+    }
+    const bountyIds = result.rows.map((row) => `#${row.bounty_id}`);
+    await context.reply(
+      `Your claim on bounty ${bountyIds.join(", ")} has been withdrawn.`
+    );
+  } finally {
+    client.release();
+  }
+}
+
+async function approveClaimant(context, { username }) {
+  const config = await context.getConfig();
+  const client = await pool.connect();
+  try {
+    const bounty = await findIssueBounty(client, context);
+    if (!bounty || !bountyState.UNAPPROVED_STATUSES.includes(bounty.status)) {
+      await context.reply("There is no open bounty on this issue to approve.");
+      return;
+    }
+    // The repository's config decides who else may approve
+    const denied = await checkBountyRole(
+      context,
+      bounty,
+      "approve a claim on",
+      repositoryConfig.approverRole(config)
+    );
+    if (denied) {
+      await context.reply(`⚠️ ${denied}`);
+      return;
+    }
+
+    const claimResult = await client.query(
+      `
+        SELECT bc.user_id, u.solana_address
+        FROM bounty_claims bc
+        JOIN users u ON u.github_id = bc.user_id
+        WHERE bc.bounty_id = $1 AND lower(u.name) = lower($2) AND bc.status <> 'closed'
+        LIMIT 1
+      `,
+      [bounty.id, username]
+    );
+    if (claimResult.rows.length === 0) {
+      await context.reply(`@${username} has not claimed this bounty.`);
+      return;
+    }
+    const { user_id: claimantId, solana_address: address } =
+      claimResult.rows[0];
+
+    // The same checks as approvals through the API: the claimant must be
+    // able to receive the payout
+    try {
+      solanaAddress.parseAddress(address);
+    } catch (error) {
+      await context.reply(
+        `⚠️ @${username} needs to connect a valid Solana wallet at ${process.env.FRONTEND_URL} before their claim can be approved.`
+      );
+      return;
+    }
+    const shares = bountyShares.resolveShares(bounty, [
+      { claimantId, percentage: 100 },
+    ]);
+    await kyc.assertPayoutAllowed(client, {
+      userId: claimantId,
+      amount: shares[0].amount,
+      currency: bounty.currency,
+    });
+
+    await client.query("BEGIN");
+    await bountyShares.approveShares(client, {
+      bounty,
+      shares,
+      actorId: context.sender.id,
+      reason: `Approved claim by @${username} with /approve`,
+    });
+    await context.reply(
+      repositoryConfig.renderTemplate(config, "approved", {
+        amount: currency.formatAmount(bounty.amount, bounty.currency),
+        bounty_id: bounty.id,
+        claimant: username,
+        frontend_url: process.env.FRONTEND_URL,
+      }),
+      client
+    );
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    if (
+      error instanceof bountyState.InvalidTransitionError ||
+      error instanceof bountyShares.InvalidSharesError ||
+      error instanceof kyc.KycRequiredError
+    ) {
+      await context.reply(`⚠️ ${error.message}.`);
+      return;
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// The description of the pull request a command was given on
+function pullRequestBody(payload) {
+  return payload.pull_request?.body ?? payload.issue?.body ?? "";
+}
+
+// Follow a claiming pull request being merged, closed or reopened. A merged
+// pull request makes its open bounties ready for approval, unless the
+// repository requires it to reference the bounty's issue and it does not.
+async function handlePullRequestEvent(payload) {
+  const pullRequest = payload.pull_request;
+  const where = {
+    repository: payload.repository.full_name,
+    number: pullRequest.number,
+  };
+  const merged = payload.action === "closed" && pullRequest.merged;
+
+  const client = await pool.connect();
+  const notes = [];
+  try {
+    await client.query("BEGIN");
+    let updated;
+    if (merged) {
+      updated = await claims.markMerged(client, where);
+    } else if (payload.action === "closed") {
+      updated = await claims.markClosed(client, where);
+    } else {
+      updated = await claims.reopen(client, where);
+    }
+    if (updated.length === 0) {
+      await client.query("ROLLBACK");
+      return;
+    }
+
+    const policy = merged
+      ? await repositoryPolicy.getPolicy(client, where.repository)
+      : null;
+    const bounties = new Map(updated.map((row) => [row.id, row]));
+    for (const bounty of bounties.values()) {
+      const issueNumber = issueNumberFromUrl(bounty.issue_url);
+      if (!merged) {
+        notes.push(
+          payload.action === "closed"
+            ? `Claims on bounty #${bounty.id} have been withdrawn as this pull request was closed without merging.`
+            : `Claims on bounty #${bounty.id} are active again as this pull request was reopened.`
+        );
+        continue;
+      }
+      if (bounty.status !== "open") {
+        continue;
+      }
+      if (
+        policy.require_issue_reference &&
+        !claims.referencesIssue(pullRequest.body, {
+          repository: bounty.repository,
+          issueNumber,
+          pullRequestRepository: where.repository,
+        })
+      ) {
+        notes.push(
+          `Bounty #${bounty.id} was not marked ready for approval, as this pull request does not reference its issue.`
+        );
+        continue;
+      }
+
+      await bountyState.transition(client, bounty.id, "ready_for_approval", {
+        actorId: payload.sender.id,
+        reason: `Pull request #${pullRequest.number} merged`,
+      });
+      notes.push(
+        `Bounty #${bounty.id} is ready for approval by its creator now that this pull request has been merged.`
+      );
+      if (issueNumber) {
+        await enqueueComment(client, {
+          repository: bounty.repository,
+          issueNumber,
+          body: `Pull request #${pullRequest.number} claiming this bounty has been merged. The bounty is ready for approval.`,
+        });
+      }
+    }
+    if (notes.length > 0) {
+      await createContext(payload).reply(notes.join("\n\n"), client);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function showHelp(context) {
+  await context.reply(`Paisa-Baat commands:\n\n${formatHelp()}`);
+}
+
+const HANDLERS = {
+  "create-bounty": createBounty,
+  "claim-bounty": claimBounty,
+  "bounty status": showStatus,
+  "bounty add": addToBounty,
+  "bounty increase": increaseBounty,
+  "bounty cancel": cancelBounty,
+  unclaim: unclaimBounty,
+  approve: approveClaimant,
+  help: showHelp,
+};
+
+module.exports = { handleCommands, handlePullRequestEvent };
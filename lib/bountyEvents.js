@@ -0,0 +1,125 @@
+const crypto = require("crypto");
+const { pool } = require("./db");
+const outboundWebhooks = require("./outboundWebhooks");
+
+// Bounty events: status changes recorded by bountyState, and claims. Each
+// event is queued for the registered webhook endpoints and announced with
+// Postgres NOTIFY to the dashboards on the event stream, both when the
+// surrounding transaction commits.
+
+const CHANNEL = "bounty_events";
+const RECONNECT_DELAY_MS = 5 * 1000;
+
+const listeners = new Set();
+let listening = null;
+
+// Publish `event` about `bountyId`. It goes to the bounty's creator and
+// claimants, the users in `userIds`, and the organization's endpoints.
+async function publish(
+  client,
+  event,
+  { bountyId, actorId = null, userIds = [], data = {} }
+) {
+  const result = await client.query(
+    `
+      SELECT id, repository, issue_url, issue_title, amount, currency, status,
+             creator_id, created_at, expires_at
+      FROM bounties
+      WHERE id = $1
+    `,
+    [bountyId]
+  );
+  const bounty = result.rows[0];
+  const claimants = await client.query(
+    "SELECT DISTINCT user_id FROM bounty_claims WHERE bounty_id = $1",
+    [bountyId]
+  );
+  const recipients = [
+    ...new Set([
+      bounty.creator_id,
+      ...claimants.rows.map((claim) => claim.user_id),
+      ...userIds,
+    ]),
+  ];
+
+  const payload = {
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    data: { bounty, actor_id: actorId, ...data },
+  };
+  await outboundWebhooks.enqueueDeliveries(client, {
+    event,
+    payload,
+    userIds: recipients,
+    repository: bounty.repository,
+  });
+  await client.query("SELECT pg_notify($1, $2)", [
+    CHANNEL,
+    JSON.stringify({
+      id: payload.id,
+      event,
+      bountyId,
+      status: bounty.status,
+      userIds: recipients,
+    }),
+  ]);
+}
+
+async function listen() {
+  const client = await pool.connect();
+  client.on("notification", (message) => {
+    let event;
+    try {
+      event = JSON.parse(message.payload);
+    } catch (error) {
+      console.error("Ignoring malformed bounty event:", message.payload);
+      return;
+    }
+    for (const listener of listeners) {
+      listener(event);
+    }
+  });
+  client.on("error", (error) => {
+    console.error("Bounty event stream connection failed:", error);
+    client.release(true);
+    listening = null;
+    setTimeout(() => {
+      if (listeners.size > 0) {
+        ensureListening().catch((retryError) =>
+          console.error("Error reconnecting bounty event stream:", retryError)
+        );
+      }
+    }, RECONNECT_DELAY_MS);
+  });
+  try {
+    await client.query(`LISTEN ${CHANNEL}`);
+  } catch (error) {
+    client.release(true);
+    throw error;
+  }
+  return client;
+}
+
+function ensureListening() {
+  if (!listening) {
+    listening = listen().catch((error) => {
+      listening = null;
+      throw error;
+    });
+  }
+  return listening;
+}
+
+// Call `listener` with every published event, through one shared LISTEN
+// connection. Returns a function removing the listener.
+async function subscribe(listener) {
+  await ensureListening();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+module.exports = {
+  publish,
+  subscribe,
+};
@@ -0,0 +1,257 @@
+const { STATUSES } = require("./bountyState");
+const { CURRENCIES } = require("./currency");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Each sort is a keyset over (value, id) so that cursors stay stable while
+// new bounties are created. Cursor values round-trip as text in the given
+// type so that timestamps keep their full precision.
+const SORTS = {
+  newest: { value: "b.created_at", type: "timestamp", direction: "DESC" },
+  oldest: { value: "b.created_at", type: "timestamp", direction: "ASC" },
+  amount_desc: { value: "b.amount", type: "numeric", direction: "DESC" },
+  amount_asc: { value: "b.amount", type: "numeric", direction: "ASC" },
+  relevance: {
+    value: "ts_rank(b.search_vector, websearch_to_tsquery('english', $1))",
+    type: "real",
+    direction: "DESC",
+  },
+};
+
+class InvalidSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidSearchError";
+  }
+}
+
+// Cursors carry the sort they were issued for, as their value only makes
+// sense, and only casts, in that sort's type
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify([sort, value, id])).toString("base64url");
+}
+
+const CURSOR_VALUE_PATTERNS = {
+  timestamp: /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?$/,
+  numeric: /^-?\d+(\.\d+)?$/,
+  real: /^-?\d+(\.\d+)?(e[-+]?\d+)?$/i,
+};
+
+function decodeCursor(cursor, sort) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    throw new InvalidSearchError("Invalid cursor");
+  }
+  const [cursorSort, value, id] = Array.isArray(parsed) ? parsed : [];
+  if (
+    typeof value !== "string" ||
+    !Number.isInteger(id) ||
+    !SORTS[cursorSort] ||
+    !CURSOR_VALUE_PATTERNS[SORTS[cursorSort].type].test(value)
+  ) {
+    throw new InvalidSearchError("Invalid cursor");
+  }
+  if (cursorSort !== sort) {
+    throw new InvalidSearchError(
+      `cursor was issued for sort=${cursorSort}, not sort=${sort}`
+    );
+  }
+  return { value, id };
+}
+
+function parseList(value) {
+  if (value === undefined) {
+    return [];
+  }
+  return []
+    .concat(value)
+    .flatMap((item) => String(item).split(","))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function parseAmount(value, name) {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  if (!/^\d+(\.\d+)?$/.test(String(value))) {
+    throw new InvalidSearchError(`${name} must be a non-negative number`);
+  }
+  return String(value);
+}
+
+// Validate the query string of GET /api/bounties.
+function parseSearchParams(query) {
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  const statuses = parseList(query.status);
+  const invalidStatus = statuses.find((status) => !STATUSES.includes(status));
+  if (invalidStatus) {
+    throw new InvalidSearchError(`Unknown status '${invalidStatus}'`);
+  }
+
+  const sort = query.sort || (q ? "relevance" : "newest");
+  if (!SORTS[sort]) {
+    throw new InvalidSearchError(
+      `sort must be one of ${Object.keys(SORTS).join(", ")}`
+    );
+  }
+  if (sort === "relevance" && !q) {
+    throw new InvalidSearchError("sort=relevance requires a search query");
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new InvalidSearchError(
+      `limit must be an integer between 1 and ${MAX_LIMIT}`
+    );
+  }
+
+  const currencies = parseList(query.currency).map((code) =>
+    code.toUpperCase()
+  );
+  const invalidCurrency = currencies.find((code) => !CURRENCIES[code]);
+  if (invalidCurrency) {
+    throw new InvalidSearchError(`Unknown currency '${invalidCurrency}'`);
+  }
+
+  // Amounts are compared as they are, in each bounty's own currency
+  const minAmount = parseAmount(query.minAmount, "minAmount");
+  const maxAmount = parseAmount(query.maxAmount, "maxAmount");
+  if (minAmount && maxAmount && Number(minAmount) > Number(maxAmount)) {
+    throw new InvalidSearchError("minAmount cannot be greater than maxAmount");
+  }
+
+  return {
+    q,
+    repository: query.repository ? String(query.repository) : null,
+    statuses: statuses.length > 0 ? statuses : ["open"],
+    labels: parseList(query.labels),
+    currencies,
+    minAmount,
+    maxAmount,
+    sort,
+    limit,
+    cursor: query.cursor ? decodeCursor(String(query.cursor), sort) : null,
+  };
+}
+
+async function searchBounties(client, params) {
+  const sort = SORTS[params.sort];
+  // $1 is always the search text so the relevance expression can refer to it
+  const values = [params.q];
+  const conditions = [];
+  const addValue = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  conditions.push(
+    "($1::text = '' OR b.search_vector @@ websearch_to_tsquery('english', $1))"
+  );
+  conditions.push(`b.status = ANY(${addValue(params.statuses)})`);
+  if (params.repository) {
+    conditions.push(
+      `lower(b.repository) = lower(${addValue(params.repository)})`
+    );
+  }
+  if (params.labels.length > 0) {
+    conditions.push(`b.labels @> ${addValue(params.labels)}::text[]`);
+  }
+  if (params.currencies.length > 0) {
+    conditions.push(`b.currency = ANY(${addValue(params.currencies)})`);
+  }
+  if (params.minAmount !== null) {
+    conditions.push(`b.amount >= ${addValue(params.minAmount)}`);
+  }
+  if (params.maxAmount !== null) {
+    conditions.push(`b.amount <= ${addValue(params.maxAmount)}`);
+  }
+  if (params.cursor) {
+    const operator = sort.direction === "DESC" ? "<" : ">";
+    conditions.push(
+      `(${sort.value}, b.id) ${operator} (${addValue(params.cursor.value)}::${
+        sort.type
+      }, ${addValue(params.cursor.id)})`
+    );
+  }
+
+  const result = await client.query(
+    `
+      SELECT
+        b.id,
+        b.issue_id,
+        b.amount,
+        b.currency,
+        b.decimals,
+        b.status,
+        b.repository,
+        b.issue_title,
+        b.issue_url,
+        b.labels,
+        b.created_at,
+        (SELECT COUNT(*) FROM bounty_claims bc WHERE bc.bounty_id = b.id)::int AS claim_count,
+        ${sort.value}::text AS sort_value
+      FROM bounties b
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ${sort.value} ${sort.direction}, b.id ${sort.direction}
+      LIMIT ${addValue(params.limit + 1)}
+    `,
+    values
+  );
+
+  const rows = result.rows.slice(0, params.limit);
+  const last = rows[rows.length - 1];
+  return {
+    bounties: rows.map(({ sort_value, ...bounty }) => bounty),
+    nextCursor:
+      result.rows.length > params.limit
+        ? encodeCursor(params.sort, last.sort_value, last.id)
+        : null,
+  };
+}
+
+async function getBountyDetails(client, bountyId) {
+  const result = await client.query(
+    `
+      SELECT
+        b.id,
+        b.issue_id,
+        b.amount,
+        b.currency,
+        b.decimals,
+        b.status,
+        b.repository,
+        b.issue_title,
+        b.issue_url,
+        b.labels,
+        b.created_at,
+        b.paid_at,
+        b.creator_id,
+        creator.name AS creator_name,
+        COUNT(bc.id)::int AS claim_count,
+        COUNT(DISTINCT bc.user_id)::int AS claimant_count,
+        (
+          SELECT COUNT(DISTINCT p.backer_id)::int
+          FROM bounty_pledges p
+          WHERE p.bounty_id = b.id
+        ) AS backer_count
+      FROM bounties b
+      LEFT JOIN users creator ON creator.github_id = b.creator_id
+      LEFT JOIN bounty_claims bc ON bc.bounty_id = b.id
+      WHERE b.id = $1
+      GROUP BY b.id, creator.name
+    `,
+    [bountyId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  InvalidSearchError,
+  getBountyDetails,
+  parseSearchParams,
+  searchBounties,
+};
@@ -0,0 +1,363 @@
+const bountyState = require("./bountyState");
+const currency = require("./currency");
+const ledger = require("./ledger");
+const pledges = require("./pledges");
+
+// Shares of an approved bounty. The owner approves one or more claimants,
+// each with a percentage of the bounty or a fixed amount, and every share is
+// paid out on its own:
+//
+//   approved -> payment_pending -> paid
+//
+// Each share is paid by the bounty's backers, one payment per backer from the
+// wallet they pledged from and in proportion to their pledge. A share is
+// paid once all of its payments are, and the bounty once all of its shares
+// are.
+
+class InvalidSharesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidSharesError";
+  }
+}
+
+function sumUnits(units) {
+  return units.reduce((total, value) => total + value, 0n);
+}
+
+// Percentages have at most two decimals, so they are exact in basis points
+function toBasisPoints(percentage) {
+  const value = Number(percentage);
+  const basisPoints = Math.round(value * 100);
+  if (
+    !(value > 0) ||
+    value > 100 ||
+    Math.abs(basisPoints - value * 100) > 1e-6
+  ) {
+    throw new InvalidSharesError(
+      `Invalid percentage \`${percentage}\`, use up to two decimals`
+    );
+  }
+  return BigInt(basisPoints);
+}
+
+// Turn the requested shares, [{ claimantId, percentage }] or
+// [{ claimantId, amount }], into amounts in the bounty's currency that add up
+// to exactly the bounty amount. Rounding of percentages is settled on the
+// last share.
+function resolveShares(bounty, requested) {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    throw new InvalidSharesError("At least one share is required");
+  }
+  const userIds = requested.map((share) => Number(share?.claimantId));
+  if (!userIds.every(Number.isInteger)) {
+    throw new InvalidSharesError("Every share needs a claimantId");
+  }
+  if (new Set(userIds).size !== userIds.length) {
+    throw new InvalidSharesError("A claimant can only have one share");
+  }
+
+  const byPercentage = requested.every(
+    (share) => share.percentage !== undefined && share.amount === undefined
+  );
+  const byAmount = requested.every(
+    (share) => share.amount !== undefined && share.percentage === undefined
+  );
+  if (!byPercentage && !byAmount) {
+    throw new InvalidSharesError(
+      "Shares must either all be percentages or all be fixed amounts"
+    );
+  }
+
+  const code = bounty.currency;
+  const total = currency.toBaseUnits(bounty.amount, code);
+  let units;
+  if (byAmount) {
+    try {
+      units = requested.map((share) =>
+        currency.toBaseUnits(currency.parseAmount(share.amount, code), code)
+      );
+    } catch (error) {
+      if (error instanceof currency.InvalidAmountError) {
+        throw new InvalidSharesError(error.message);
+      }
+      throw error;
+    }
+    if (sumUnits(units) !== total) {
+      throw new InvalidSharesError(
+        `Shares add up to ${currency.formatAmount(
+          currency.fromBaseUnits(sumUnits(units), code),
+          code
+        )}, not the bounty amount of ${currency.formatAmount(
+          bounty.amount,
+          code
+        )}`
+      );
+    }
+  } else {
+    const basisPoints = requested.map((share) =>
+      toBasisPoints(share.percentage)
+    );
+    if (sumUnits(basisPoints) !== 10000n) {
+      throw new InvalidSharesError(
+        `Percentages add up to ${Number(sumUnits(basisPoints)) / 100}%, not 100%`
+      );
+    }
+    units = basisPoints.map((points) => (total * points) / 10000n);
+    units[units.length - 1] += total - sumUnits(units);
+    if (units.some((value) => value === 0n)) {
+      throw new InvalidSharesError(
+        "A share is smaller than the smallest unit of the currency"
+      );
+    }
+  }
+
+  return requested.map((share, index) => ({
+    userId: userIds[index],
+    amount: currency.fromBaseUnits(units[index], code),
+    percentage: byPercentage ? Number(share.percentage) : null,
+  }));
+}
+
+// Whether `shares` give the same claimants the same amounts of `code` as the
+// stored `existing` shares
+function sameShares(existing, shares, code) {
+  const amounts = new Map(
+    existing.map((share) => [Number(share.user_id), String(share.amount)])
+  );
+  return (
+    existing.length === shares.length &&
+    shares.every(
+      (share) =>
+        amounts.has(share.userId) &&
+        currency.toBaseUnits(amounts.get(share.userId), code) ===
+          currency.toBaseUnits(share.amount, code)
+    )
+  );
+}
+
+async function getShares(db, bountyId) {
+  const result = await db.query(
+    "SELECT * FROM bounty_shares WHERE bounty_id = $1 ORDER BY id",
+    [bountyId]
+  );
+  return result.rows;
+}
+
+// The payments of the bounty's shares, by share
+async function getPayments(db, bountyId) {
+  const result = await db.query(
+    "SELECT * FROM share_payments WHERE bounty_id = $1 ORDER BY share_id, id",
+    [bountyId]
+  );
+  return result.rows;
+}
+
+// Approve the bounty for `shares` from resolveShares(), moving each share
+// from escrow to payable and splitting it into payments by its backers.
+// Every claimant must have claimed the bounty on a pull request that is
+// still open or merged, and every backer must have a wallet to pay from.
+// Expects to run inside a transaction.
+async function approveShares(client, { bounty, shares, actorId, reason }) {
+  const userIds = shares.map((share) => share.userId);
+  const claimsResult = await client.query(
+    "SELECT user_id FROM bounty_claims WHERE bounty_id = $1 AND user_id = ANY($2) AND status <> 'closed'",
+    [bounty.id, userIds]
+  );
+  const claimants = new Set(claimsResult.rows.map((row) => row.user_id));
+  const missing = userIds.find((userId) => !claimants.has(userId));
+  if (missing !== undefined) {
+    throw new InvalidSharesError(`User ${missing} has not claimed this bounty`);
+  }
+  const funders = await pledges.getFunders(client, bounty.id);
+  const walletless = funders.find((funder) => !funder.walletAddress);
+  if (walletless) {
+    throw new InvalidSharesError(
+      `Backer ${walletless.backerId} has not connected a Solana address to pay their pledge from`
+    );
+  }
+
+  await bountyState.transition(client, bounty.id, "approved", {
+    actorId,
+    reason,
+  });
+
+  const rows = [];
+  for (const share of shares) {
+    const result = await client.query(
+      `
+        INSERT INTO bounty_shares (bounty_id, user_id, amount, percentage)
+        VALUES ($1, $2, $3, $4)
+        RETURNING *
+      `,
+      [bounty.id, share.userId, share.amount, share.percentage]
+    );
+    await ledger.approveBounty(client, {
+      bountyId: bounty.id,
+      amount: share.amount,
+      claimantId: share.userId,
+      actorId,
+    });
+    const row = result.rows[0];
+    for (const payment of pledges.splitByPledges(
+      share.amount,
+      funders,
+      bounty.currency
+    )) {
+      await client.query(
+        `
+          INSERT INTO share_payments (share_id, bounty_id, payer_id, from_address, wallet_source, amount)
+          VALUES ($1, $2, $3, $4, $5, $6)
+        `,
+        [
+          row.id,
+          bounty.id,
+          payment.backerId,
+          payment.walletAddress,
+          payment.walletSource,
+          payment.amount,
+        ]
+      );
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+// Payment details for the approved shares have been issued to the backers
+async function markPaymentPending(client, bountyId) {
+  await client.query(
+    "UPDATE bounty_shares SET status = 'payment_pending' WHERE bounty_id = $1 AND status = 'approved'",
+    [bountyId]
+  );
+}
+
+// The bounty has been cancelled, so its unpaid shares are no longer owed
+async function cancelShares(client, bountyId) {
+  await client.query(
+    "UPDATE bounty_shares SET status = 'cancelled' WHERE bounty_id = $1 AND status IN ('approved', 'payment_pending')",
+    [bountyId]
+  );
+  await client.query(
+    "UPDATE share_payments SET status = 'cancelled' WHERE bounty_id = $1 AND status = 'pending'",
+    [bountyId]
+  );
+}
+
+// The unpaid payment by `payerId` towards share `shareId` of the bounty,
+// or towards its only share that they still have to pay when no id is
+// given. The payment comes with the claimant and amount of its share as
+// `user_id` and `share_amount`.
+async function findUnpaidPayment(db, { bountyId, shareId, payerId }) {
+  const result = await db.query(
+    `
+      SELECT p.*, s.user_id, s.amount AS share_amount
+      FROM share_payments p
+      JOIN bounty_shares s ON s.id = p.share_id
+      WHERE p.bounty_id = $1 AND p.payer_id = $2 AND p.status = 'pending'
+      ORDER BY p.share_id
+    `,
+    [bountyId, payerId]
+  );
+  if (shareId !== undefined && shareId !== null) {
+    const payment = result.rows.find(
+      (row) => Number(row.share_id) === Number(shareId)
+    );
+    if (!payment) {
+      throw new InvalidSharesError(
+        `You have no payment of share ${shareId} of this bounty to make`
+      );
+    }
+    return payment;
+  }
+  if (result.rows.length === 0) {
+    throw new InvalidSharesError("You have no payment of this bounty to make");
+  }
+  if (result.rows.length > 1) {
+    throw new InvalidSharesError(
+      "You have payments of several shares of this bounty to make, pass a shareId"
+    );
+  }
+  return result.rows[0];
+}
+
+// Record the verified `payment` from findUnpaidPayment() and pay out its
+// amount to the claimant. Its share is paid with the last of its payments
+// and the bounty with the last of its shares. Expects to run inside a
+// transaction. Returns whether the share and the bounty are now paid.
+async function payPayment(
+  client,
+  { bounty, payment, signature, slot, paidAt, actorId }
+) {
+  // Lock the bounty so that concurrent payments of its shares serialize
+  await client.query("SELECT id FROM bounties WHERE id = $1 FOR UPDATE", [
+    bounty.id,
+  ]);
+
+  const updated = await client.query(
+    `
+      UPDATE share_payments
+      SET status = 'paid', payment_signature = $2, payment_slot = $3, paid_at = $4
+      WHERE id = $1 AND status = 'pending'
+      RETURNING id
+    `,
+    [payment.id, signature, slot, paidAt]
+  );
+  if (updated.rows.length === 0) {
+    throw new InvalidSharesError("This payment has already been made");
+  }
+  await ledger.payoutBounty(client, {
+    bountyId: bounty.id,
+    claimantId: payment.user_id,
+    amount: payment.amount,
+    reference: signature,
+    actorId,
+  });
+
+  const pending = await client.query(
+    "SELECT COUNT(*)::int AS count FROM share_payments WHERE share_id = $1 AND status = 'pending'",
+    [payment.share_id]
+  );
+  if (pending.rows[0].count > 0) {
+    return { sharePaid: false, bountyPaid: false };
+  }
+  await client.query(
+    `
+      UPDATE bounty_shares
+      SET status = 'paid', payment_signature = $2, payment_slot = $3, paid_at = $4
+      WHERE id = $1
+    `,
+    [payment.share_id, signature, slot, paidAt]
+  );
+
+  const unpaid = await client.query(
+    "SELECT COUNT(*)::int AS count FROM bounty_shares WHERE bounty_id = $1 AND status <> 'paid'",
+    [bounty.id]
+  );
+  if (unpaid.rows[0].count > 0) {
+    return { sharePaid: true, bountyPaid: false };
+  }
+  await bountyState.transition(client, bounty.id, "paid", {
+    actorId,
+    reason: `Payment verified in transaction ${signature}`,
+    fields: {
+      payment_signature: signature,
+      payment_slot: slot,
+      paid_at: paidAt,
+    },
+  });
+  return { sharePaid: true, bountyPaid: true };
+}
+
+module.exports = {
+  InvalidSharesError,
+  approveShares,
+  cancelShares,
+  findUnpaidPayment,
+  getPayments,
+  getShares,
+  markPaymentPending,
+  payPayment,
+  resolveShares,
+  sameShares,
+};
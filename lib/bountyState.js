@@ -0,0 +1,164 @@
+const bountyEvents = require("./bountyEvents");
+
+// Central bounty state machine. Handlers must change a bounty's status
+// through transition() so that illegal jumps are rejected and every change
+// is written to bounty_events and published to webhooks and event streams.
+
+const TRANSITIONS = {
+  open: [
+    "ready_for_approval",
+    "suspended",
+    "approved",
+    "cancelled",
+    "expired",
+    "disputed",
+  ],
+  // A claiming pull request has been merged
+  ready_for_approval: [
+    "open",
+    "suspended",
+    "approved",
+    "cancelled",
+    "disputed",
+  ],
+  // The issue was closed without a fix or the repository left the app
+  suspended: ["open", "ready_for_approval", "cancelled"],
+  approved: ["payment_pending", "cancelled", "disputed"],
+  payment_pending: ["paid", "approved", "disputed"],
+  disputed: ["open", "approved", "cancelled"],
+  paid: [],
+  cancelled: [],
+  expired: [],
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Bounties that can still be funded and approved
+const UNAPPROVED_STATUSES = ["open", "ready_for_approval"];
+
+class InvalidTransitionError extends Error {
+  constructor(bountyId, from, to) {
+    super(
+      TRANSITIONS[from]
+        ? `Bounty ${bountyId} cannot move from '${from}' to '${to}'`
+        : `Bounty ${bountyId} has unknown status '${from}'`
+    );
+    this.name = "InvalidTransitionError";
+    this.bountyId = bountyId;
+    this.from = from;
+    this.to = to;
+  }
+}
+
+class BountyNotFoundError extends Error {
+  constructor(bountyId) {
+    super(`Bounty ${bountyId} not found`);
+    this.name = "BountyNotFoundError";
+    this.bountyId = bountyId;
+  }
+}
+
+function canTransition(from, to) {
+  return Boolean(TRANSITIONS[from]?.includes(to));
+}
+
+function eventName(from, to) {
+  if (from === null) {
+    return "bounty.created";
+  }
+  return to === "open" ? "bounty.reopened" : `bounty.${to}`;
+}
+
+async function recordEvent(client, { bountyId, from, to, actorId, reason }) {
+  await client.query(
+    `
+      INSERT INTO bounty_events (bounty_id, from_status, to_status, actor_id, reason)
+      VALUES ($1, $2, $3, $4, $5)
+    `,
+    [bountyId, from, to, actorId || null, reason || null]
+  );
+  await bountyEvents.publish(client, eventName(from, to), {
+    bountyId,
+    actorId: actorId || null,
+    data: { from_status: from, to_status: to, reason: reason || null },
+  });
+}
+
+// Record the initial 'open' state of a newly inserted bounty.
+async function recordCreation(client, { bountyId, actorId, reason }) {
+  await recordEvent(client, {
+    bountyId,
+    from: null,
+    to: "open",
+    actorId,
+    reason,
+  });
+}
+
+// Move a bounty to `to`, optionally updating other columns in the same
+// statement. Locks the bounty row, so callers should be inside a transaction.
+// Returns the updated bounty.
+async function transition(
+  client,
+  bountyId,
+  to,
+  { actorId, reason, fields = {} } = {}
+) {
+  const current = await client.query(
+    "SELECT status FROM bounties WHERE id = $1 FOR UPDATE",
+    [bountyId]
+  );
+  if (current.rows.length === 0) {
+    throw new BountyNotFoundError(bountyId);
+  }
+
+  const from = current.rows[0].status;
+  if (!canTransition(from, to)) {
+    throw new InvalidTransitionError(bountyId, from, to);
+  }
+
+  const columns = Object.keys(fields);
+  const assignments = ["status = $2"].concat(
+    columns.map((column, index) => `${column} = $${index + 3}`)
+  );
+  const result = await client.query(
+    `UPDATE bounties SET ${assignments.join(", ")} WHERE id = $1 RETURNING *`,
+    [bountyId, to, ...columns.map((column) => fields[column])]
+  );
+
+  await recordEvent(client, { bountyId, from, to, actorId, reason });
+  return result.rows[0];
+}
+
+async function getHistory(client, bountyId) {
+  const result = await client.query(
+    `
+      SELECT
+        e.id,
+        e.from_status,
+        e.to_status,
+        e.actor_id,
+        u.name AS actor_name,
+        e.reason,
+        e.created_at
+      FROM bounty_events e
+      LEFT JOIN users u ON u.github_id = e.actor_id
+      WHERE e.bounty_id = $1
+      ORDER BY e.created_at, e.id
+    `,
+    [bountyId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  BountyNotFoundError,
+  InvalidTransitionError,
+  STATUSES,
+  TRANSITIONS,
+  UNAPPROVED_STATUSES,
+  canTransition,
+  getHistory,
+  recordCreation,
+  transition,
+};
@@ -0,0 +1,322 @@
+const { pool } = require("./db");
+const bountyShares = require("./bountyShares");
+const bountyState = require("./bountyState");
+const {
+  enqueueComment,
+  forgetRepository,
+  issueNumberFromUrl,
+} = require("./github");
+const installations = require("./installations");
+const jobs = require("./jobs");
+const pledges = require("./pledges");
+
+// Keep bounties in step with their issue and repository on GitHub. Issues
+// closed without a fix suspend their unapproved bounties until reopened,
+// deleted issues and repositories cancel and refund them, and renames and
+// transfers update the stored repository and issue URL. Bounties of
+// repositories configured with expire_after_days expire the same way.
+
+// Issue close reasons that mean the issue will not be fixed
+const NOT_FIXED_REASONS = ["not_planned", "duplicate"];
+
+// Bounties that are cancelled and refunded when their issue disappears.
+// Approved bounties are still owed to their claimants.
+const CANCELLABLE_STATUSES = [...bountyState.UNAPPROVED_STATUSES, "suspended"];
+
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await fn(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function findIssueBounties(client, issueId, statuses) {
+  const result = await client.query(
+    "SELECT * FROM bounties WHERE issue_id = $1 AND status = ANY($2) ORDER BY id FOR UPDATE",
+    [issueId, statuses]
+  );
+  return result.rows;
+}
+
+async function findRepositoryBounties(client, repository, statuses) {
+  const result = await client.query(
+    "SELECT * FROM bounties WHERE lower(repository) = lower($1) AND status = ANY($2) ORDER BY id FOR UPDATE",
+    [repository, statuses]
+  );
+  return result.rows;
+}
+
+async function suspend(
+  client,
+  bounties,
+  { suspensionReason, actorId, reason }
+) {
+  for (const bounty of bounties) {
+    await bountyState.transition(client, bounty.id, "suspended", {
+      actorId,
+      reason,
+      fields: {
+        suspended_from: bounty.status,
+        suspension_reason: suspensionReason,
+      },
+    });
+  }
+}
+
+// Resume the bounties suspended for `suspensionReason` to their earlier status
+async function resume(client, bounties, { suspensionReason, actorId, reason }) {
+  const resumed = bounties.filter(
+    (bounty) => bounty.suspension_reason === suspensionReason
+  );
+  for (const bounty of resumed) {
+    await bountyState.transition(client, bounty.id, bounty.suspended_from, {
+      actorId,
+      reason,
+      fields: { suspended_from: null, suspension_reason: null },
+    });
+  }
+  return resumed;
+}
+
+async function cancel(client, bounties, { actorId, reason }) {
+  for (const bounty of bounties) {
+    await bountyState.transition(client, bounty.id, "cancelled", {
+      actorId,
+      reason,
+    });
+    await bountyShares.cancelShares(client, bounty.id);
+    await pledges.refundPledges(client, { bounty, actorId });
+  }
+}
+
+// Point bounties, claims and settings of `from` at its new name `to`
+async function renameRepository(client, { from, to }) {
+  await client.query(
+    `
+      UPDATE bounties
+      SET repository = $2,
+          issue_url = regexp_replace(issue_url, '^https://github\\.com/[^/]+/[^/]+/', 'https://github.com/' || $2 || '/')
+      WHERE lower(repository) = lower($1)
+    `,
+    [from, to]
+  );
+  await client.query(
+    "UPDATE bounty_claims SET repository = lower($2) WHERE repository = lower($1)",
+    [from, to]
+  );
+  await client.query(
+    "UPDATE repository_settings SET repository = lower($2) WHERE repository = lower($1)",
+    [from, to]
+  );
+  await installations.renameRepository(client, { from, to });
+  forgetRepository(from);
+}
+
+async function handleIssueEvent(payload) {
+  const { action, issue, sender } = payload;
+  const repository = payload.repository.full_name;
+
+  await withTransaction(async (client) => {
+    if (action === "closed") {
+      if (!NOT_FIXED_REASONS.includes(issue.state_reason)) {
+        return;
+      }
+      const bounties = await findIssueBounties(
+        client,
+        issue.id,
+        bountyState.UNAPPROVED_STATUSES
+      );
+      await suspend(client, bounties, {
+        suspensionReason: "issue_closed",
+        actorId: sender.id,
+        reason: `Issue closed as ${issue.state_reason.replace("_", " ")}`,
+      });
+      for (const bounty of bounties) {
+        await enqueueComment(client, {
+          repository,
+          issueNumber: issue.number,
+          body: `Bounty #${bounty.id} has been suspended as this issue was closed without a fix. Reopen the issue to resume it.`,
+        });
+      }
+    } else if (action === "reopened") {
+      const bounties = await findIssueBounties(client, issue.id, ["suspended"]);
+      const resumed = await resume(client, bounties, {
+        suspensionReason: "issue_closed",
+        actorId: sender.id,
+        reason: "Issue reopened",
+      });
+      for (const bounty of resumed) {
+        await enqueueComment(client, {
+          repository,
+          issueNumber: issue.number,
+          body: `Bounty #${bounty.id} is active again now that this issue has been reopened.`,
+        });
+      }
+    } else if (action === "deleted") {
+      const bounties = await findIssueBounties(
+        client,
+        issue.id,
+        CANCELLABLE_STATUSES
+      );
+      await cancel(client, bounties, {
+        actorId: sender.id,
+        reason: "Issue deleted",
+      });
+    } else if (action === "transferred") {
+      const { new_issue: newIssue, new_repository: newRepository } =
+        payload.changes;
+      await client.query(
+        `
+          UPDATE bounties
+          SET issue_id = $2, repository = $3, issue_url = $4, issue_title = $5
+          WHERE issue_id = $1
+        `,
+        [
+          issue.id,
+          newIssue.id,
+          newRepository.full_name,
+          newIssue.html_url,
+          newIssue.title,
+        ]
+      );
+    } else if (action === "edited") {
+      await client.query(
+        "UPDATE bounties SET issue_title = $2, labels = $3 WHERE issue_id = $1",
+        [issue.id, issue.title, (issue.labels || []).map((label) => label.name)]
+      );
+    }
+  });
+}
+
+async function handleRepositoryEvent(payload) {
+  const { action, changes, repository, sender } = payload;
+
+  await withTransaction(async (client) => {
+    if (action === "renamed") {
+      await renameRepository(client, {
+        from: `${repository.owner.login}/${changes.repository.name.from}`,
+        to: repository.full_name,
+      });
+    } else if (action === "transferred") {
+      const previousOwner =
+        changes.owner.from.user?.login ?? changes.owner.from.organization.login;
+      await renameRepository(client, {
+        from: `${previousOwner}/${repository.name}`,
+        to: repository.full_name,
+      });
+    } else if (action === "deleted") {
+      const bounties = await findRepositoryBounties(
+        client,
+        repository.full_name,
+        CANCELLABLE_STATUSES
+      );
+      await cancel(client, bounties, {
+        actorId: sender.id,
+        reason: "Repository deleted",
+      });
+      forgetRepository(repository.full_name);
+    }
+  });
+}
+
+// Repositories added to or removed from an installation of the app. Bounties
+// cannot be worked on without the app, so removal suspends them.
+async function handleInstallationRepositories({
+  added = [],
+  removed = [],
+  actorId,
+}) {
+  await withTransaction(async (client) => {
+    for (const { full_name: repository } of removed) {
+      const bounties = await findRepositoryBounties(
+        client,
+        repository,
+        bountyState.UNAPPROVED_STATUSES
+      );
+      await suspend(client, bounties, {
+        suspensionReason: "repository_removed",
+        actorId,
+        reason: "Repository removed from the app installation",
+      });
+      forgetRepository(repository);
+    }
+    for (const { full_name: repository } of added) {
+      const bounties = await findRepositoryBounties(client, repository, [
+        "suspended",
+      ]);
+      await resume(client, bounties, {
+        suspensionReason: "repository_removed",
+        actorId,
+        reason: "Repository added to the app installation",
+      });
+    }
+  });
+}
+
+// How long to wait before checking again on a bounty that was not open at
+// its expiry, for example because it was suspended
+const EXPIRY_RECHECK_MS = 24 * 60 * 60 * 1000;
+
+// Job handler expiring a bounty still open at its expires_at, scheduled when
+// it is created. Its backers are refunded. A bounty that is not open then but
+// may be again, such as a suspended one, is checked again later.
+async function expireBountyJob(job) {
+  const { bountyId } = job.payload;
+  await withTransaction(async (client) => {
+    const result = await client.query(
+      "SELECT * FROM bounties WHERE id = $1 FOR UPDATE",
+      [bountyId]
+    );
+    const bounty = result.rows[0];
+    if (
+      !bounty?.expires_at ||
+      bountyState.TRANSITIONS[bounty.status].length === 0
+    ) {
+      return;
+    }
+    if (bounty.status !== "open" || bounty.expires_at > new Date()) {
+      const runAt =
+        bounty.status === "open"
+          ? bounty.expires_at
+          : new Date(
+              Math.max(
+                bounty.expires_at.getTime(),
+                Date.now() + EXPIRY_RECHECK_MS
+              )
+            );
+      await jobs.enqueue(client, "bounty.expire", { bountyId }, { runAt });
+      return;
+    }
+
+    await bountyState.transition(client, bounty.id, "expired", {
+      reason: `Expired on ${bounty.expires_at.toISOString()}`,
+    });
+    const refunds = await pledges.refundPledges(client, {
+      bounty,
+      actorId: null,
+    });
+    const issueNumber = issueNumberFromUrl(bounty.issue_url);
+    if (issueNumber) {
+      await enqueueComment(client, {
+        repository: bounty.repository,
+        issueNumber,
+        body: `Bounty #${bounty.id} has expired without being approved and has been refunded to ${refunds.length} backer(s).`,
+      });
+    }
+  });
+}
+
+module.exports = {
+  expireBountyJob,
+  handleInstallationRepositories,
+  handleIssueEvent,
+  handleRepositoryEvent,
+};
@@ -0,0 +1,92 @@
+// Claims follow the pull request they were made on. A merged pull request
+// marks its claims merged, and one closed without merging withdraws them
+// until it is reopened.
+
+const CLOSING_KEYWORDS =
+  "close|closes|closed|fix|fixes|fixed|resolve|resolves|resolved";
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whether a pull request `body` closes issue `issueNumber` of `repository`
+// with a closing keyword, as in "Fixes #12", "Fixes owner/repo#12" or
+// "Fixes https://github.com/owner/repo/issues/12". The short form only
+// counts when the pull request is in the same repository.
+function referencesIssue(
+  body,
+  { repository, issueNumber, pullRequestRepository }
+) {
+  if (!body || !issueNumber) {
+    return false;
+  }
+  const name = escapeRegExp(repository);
+  const targets = [
+    `${name}#${issueNumber}`,
+    `https?://github\\.com/${name}/issues/${issueNumber}`,
+  ];
+  if (
+    (pullRequestRepository || repository).toLowerCase() ===
+    repository.toLowerCase()
+  ) {
+    targets.push(`#${issueNumber}`);
+  }
+  const pattern = new RegExp(
+    `\\b(?:${CLOSING_KEYWORDS}):?\\s+(?:${targets.join("|")})(?![\\w/])`,
+    "i"
+  );
+  return pattern.test(body);
+}
+
+// Move the claims of pull request `number` in `repository` from one of
+// `fromStatuses` to `status`. Returns the updated claims with their bounty.
+async function updateClaims(
+  client,
+  { repository, number, fromStatuses, status }
+) {
+  const result = await client.query(
+    `
+      UPDATE bounty_claims bc
+      SET status = $3,
+          merged_at = CASE WHEN $3 = 'merged' THEN NOW() ELSE bc.merged_at END,
+          closed_at = CASE WHEN $3 = 'closed' THEN NOW() ELSE NULL END
+      FROM bounties b
+      WHERE b.id = bc.bounty_id
+        AND bc.repository = lower($1)
+        AND bc.pull_request_number = $2
+        AND bc.status = ANY($4)
+      RETURNING bc.id AS claim_id, bc.user_id, b.*
+    `,
+    [repository, number, status, fromStatuses]
+  );
+  return result.rows;
+}
+
+function markMerged(client, { repository, number }) {
+  return updateClaims(client, {
+    repository,
+    number,
+    fromStatuses: ["open", "closed"],
+    status: "merged",
+  });
+}
+
+function markClosed(client, { repository, number }) {
+  return updateClaims(client, {
+    repository,
+    number,
+    fromStatuses: ["open"],
+    status: "closed",
+  });
+}
+
+function reopen(client, { repository, number }) {
+  return updateClaims(client, {
+    repository,
+    number,
+    fromStatuses: ["closed"],
+    status: "open",
+  });
+}
+
+module.exports = { markClosed, markMerged, referencesIssue, reopen };
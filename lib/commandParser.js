@@ -0,0 +1,179 @@
+// Grammar for the slash commands understood by the GitHub bot. A command
+// must start a line of an issue, pull request or comment body; unknown
+// slash commands are left alone because other bots may own them.
+
+const { CURRENCIES } = require("./currency");
+
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+const ARGUMENT_TYPES = {
+  amount: (value) =>
+    AMOUNT_PATTERN.test(value) && Number(value) > 0 ? value : null,
+  currency: (value) =>
+    CURRENCIES[value.toUpperCase()] ? value.toUpperCase() : null,
+  id: (value) => (/^\d+$/.test(value) ? parseInt(value, 10) : null),
+  user: (value) =>
+    /^@[a-z\d](?:[a-z\d-]{0,38})$/i.test(value) ? value.slice(1) : null,
+};
+
+// Arguments marked optional may be left off the end of the command.
+// context: where the command may be used ("issue", "pull_request" or "any")
+// permission: the minimum repository permission of the sender, "creator"
+// to apply the repository's bounty creator policy, or "bounty" for commands
+// managing the issue's bounty, which their handler checks against it
+const COMMANDS = {
+  "create-bounty": {
+    usage: `/create-bounty <amount> [${Object.keys(CURRENCIES).join("|")}]`,
+    description: "Create a bounty on this issue, in SOL unless stated",
+    args: [
+      { name: "amount", type: "amount" },
+      { name: "currency", type: "currency", optional: true },
+    ],
+    context: "issue",
+    permission: "creator",
+  },
+  "claim-bounty": {
+    usage: "/claim-bounty <bounty id>",
+    description: "Claim a bounty with this pull request",
+    args: [{ name: "bountyId", type: "id" }],
+    context: "pull_request",
+    permission: "none",
+  },
+  "bounty status": {
+    usage: "/bounty status",
+    description:
+      "Show the bounty on this issue or the claims of this pull request",
+    args: [],
+    context: "any",
+    permission: "none",
+  },
+  "bounty add": {
+    usage: "/bounty add <amount>",
+    description: "Back the bounty on this issue with your own funds",
+    args: [{ name: "amount", type: "amount" }],
+    context: "issue",
+    permission: "none",
+  },
+  "bounty increase": {
+    usage: "/bounty increase <amount>",
+    description: "Add to the bounty on this issue",
+    args: [{ name: "amount", type: "amount" }],
+    context: "issue",
+    permission: "bounty",
+  },
+  "bounty cancel": {
+    usage: "/bounty cancel",
+    description: "Cancel the bounty on this issue and refund it",
+    args: [],
+    context: "issue",
+    permission: "bounty",
+  },
+  unclaim: {
+    usage: "/unclaim",
+    description: "Withdraw your claims made with this pull request",
+    args: [],
+    context: "pull_request",
+    permission: "none",
+  },
+  approve: {
+    usage: "/approve @user",
+    description: "Approve a claimant of the bounty on this issue",
+    args: [{ name: "username", type: "user" }],
+    context: "issue",
+    permission: "bounty",
+  },
+  help: {
+    usage: "/help",
+    description: "List the available commands",
+    args: [],
+    context: "any",
+    permission: "none",
+  },
+};
+
+const BOUNTY_SUBCOMMANDS = Object.keys(COMMANDS)
+  .filter((name) => name.startsWith("bounty "))
+  .map((name) => name.slice("bounty ".length));
+
+function parseLine(line) {
+  const tokens = line.trim().split(/\s+/);
+  const head = tokens[0].slice(1).toLowerCase();
+
+  let name = head;
+  let rest = tokens.slice(1);
+  if (head === "bounty") {
+    const subcommand = (tokens[1] || "").toLowerCase();
+    if (!BOUNTY_SUBCOMMANDS.includes(subcommand)) {
+      return {
+        name: "bounty",
+        line: line.trim(),
+        error: subcommand
+          ? `Unknown subcommand \`${subcommand}\``
+          : "Missing subcommand",
+        usage: BOUNTY_SUBCOMMANDS.map((sub) => COMMANDS[`bounty ${sub}`].usage),
+      };
+    }
+    name = `bounty ${subcommand}`;
+    rest = tokens.slice(2);
+  } else if (!COMMANDS[name]) {
+    return null;
+  }
+
+  const command = COMMANDS[name];
+  const malformed = (error) => ({
+    name,
+    line: line.trim(),
+    error,
+    usage: [command.usage],
+  });
+
+  const required = command.args.filter((spec) => !spec.optional).length;
+  if (rest.length < required || rest.length > command.args.length) {
+    const expected =
+      required === command.args.length
+        ? required
+        : `${required} to ${command.args.length}`;
+    return malformed(`Expected ${expected} argument(s) but got ${rest.length}`);
+  }
+
+  const args = {};
+  for (const [index, spec] of command.args.entries()) {
+    if (index >= rest.length) {
+      break;
+    }
+    const value = ARGUMENT_TYPES[spec.type](rest[index]);
+    if (value === null) {
+      return malformed(`Invalid ${spec.name} \`${rest[index]}\``);
+    }
+    args[spec.name] = value;
+  }
+
+  return { name, line: line.trim(), args };
+}
+
+// Return every command found in `text`, in order. Malformed commands are
+// returned with an `error` and the `usage` lines to reply with.
+function parseCommands(text) {
+  if (!text) {
+    return [];
+  }
+  return text
+    .split(/\r?\n/)
+    .filter((line) => /^\s*\/[a-z-]+(\s|$)/i.test(line))
+    .map(parseLine)
+    .filter(Boolean);
+}
+
+function formatUsage(command) {
+  const lines = command.usage.map((usage) => `    ${usage}`).join("\n");
+  return `⚠️ Could not understand \`${command.line}\`: ${command.error}.\n\nUsage:\n\n${lines}`;
+}
+
+function formatHelp() {
+  const rows = Object.values(COMMANDS).map(
+    (command) => `| \`${command.usage}\` | ${command.description} |`
+  );
+  return ["| Command | Description |", "| --- | --- |", ...rows].join("\n");
+}
+
+module.exports = { COMMANDS, formatHelp, formatUsage, parseCommands };
@@ -0,0 +1,159 @@
+// Currencies bounties can be paid in. Amounts are kept as decimal strings and
+// converted to on-chain base units exactly, never through floats. INR is only
+// used for display, converted through the price feed named by PRICE_FEED.
+
+const CURRENCIES = {
+  SOL: { code: "SOL", decimals: 9, mint: null },
+  USDC: {
+    code: "USDC",
+    decimals: 6,
+    // Devnet USDC unless USDC_MINT says otherwise
+    get mint() {
+      return (
+        process.env.USDC_MINT || "4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU"
+      );
+    },
+  },
+};
+
+const DEFAULT_CURRENCY = "SOL";
+const AMOUNT_PATTERN = /^\d+(\.\d+)?$/;
+
+class InvalidAmountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidAmountError";
+  }
+}
+
+function getCurrency(code) {
+  const currency = CURRENCIES[String(code).toUpperCase()];
+  if (!currency) {
+    throw new InvalidAmountError(
+      `Currency must be one of ${Object.keys(CURRENCIES).join(", ")}`
+    );
+  }
+  return currency;
+}
+
+// Drop trailing zeros from the fraction, so "1.50" and "1.5" compare equal
+function normalize(amount) {
+  const value = String(amount);
+  return value.includes(".") ? value.replace(/\.?0+$/, "") : value;
+}
+
+// Validate a positive amount in `code`, returning it as a string.
+function parseAmount(amount, code) {
+  const { decimals } = getCurrency(code);
+  const value = normalize(amount);
+  if (!AMOUNT_PATTERN.test(value) || !(Number(value) > 0)) {
+    throw new InvalidAmountError(`Invalid amount \`${amount}\``);
+  }
+  const fraction = value.split(".")[1] || "";
+  if (fraction.length > decimals) {
+    throw new InvalidAmountError(
+      `${code} amounts have at most ${decimals} decimals`
+    );
+  }
+  return value;
+}
+
+// Amount in the smallest unit of the currency (lamports for SOL)
+function toBaseUnits(amount, code) {
+  const { decimals } = getCurrency(code);
+  const [whole, fraction = ""] = normalize(amount).split(".");
+  if (fraction.length > decimals) {
+    throw new InvalidAmountError(
+      `${code} amounts have at most ${decimals} decimals`
+    );
+  }
+  return BigInt(whole + fraction.padEnd(decimals, "0"));
+}
+
+// Inverse of toBaseUnits, e.g. 1500000000n SOL is "1.5"
+function fromBaseUnits(units, code) {
+  const { decimals } = getCurrency(code);
+  const digits = BigInt(units)
+    .toString()
+    .padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  return normalize(`${whole}.${digits.slice(digits.length - decimals)}`);
+}
+
+// Price feeds implement getRate(code, quote) resolving to the price of one
+// unit of `code` in `quote`.
+const priceFeeds = new Map();
+
+function registerPriceFeed(name, feed) {
+  priceFeeds.set(name, feed);
+}
+
+// Fixed rates from PRICE_FEED_FIXED_RATES ("SOL:12000,USDC:84"), for tests
+// and local development
+const fixedRateFeed = {
+  async getRate(code, quote) {
+    if (quote !== "INR") {
+      throw new Error(`Fixed rates are only available in INR, not ${quote}`);
+    }
+    const rates = { SOL: "12000", USDC: "84" };
+    for (const entry of (process.env.PRICE_FEED_FIXED_RATES || "").split(",")) {
+      const [currency, rate] = entry.trim().split(":");
+      if (currency && rate) {
+        rates[currency.toUpperCase()] = rate;
+      }
+    }
+    if (!rates[code]) {
+      throw new Error(`No fixed rate for ${code}`);
+    }
+    return Number(rates[code]);
+  },
+};
+
+registerPriceFeed("fixed", fixedRateFeed);
+
+function getPriceFeed() {
+  const name = process.env.PRICE_FEED || "fixed";
+  const feed = priceFeeds.get(name);
+  if (!feed) {
+    throw new Error(`Unknown price feed: ${name}`);
+  }
+  return feed;
+}
+
+// INR value of `amount`, rounded to paise, or null if no rate is available.
+async function toInr(amount, code) {
+  try {
+    const rate = await getPriceFeed().getRate(getCurrency(code).code, "INR");
+    return Math.round(Number(amount) * rate * 100) / 100;
+  } catch (error) {
+    console.error("Error fetching INR rate:", error.message);
+    return null;
+  }
+}
+
+function formatAmount(amount, code) {
+  return `${normalize(amount)} ${getCurrency(code).code}`;
+}
+
+// "0.5 SOL (≈ ₹6,000)", or just "0.5 SOL" when no rate is available
+async function formatWithInr(amount, code) {
+  const inr = await toInr(amount, code);
+  if (inr === null) {
+    return formatAmount(amount, code);
+  }
+  return `${formatAmount(amount, code)} (≈ ₹${inr.toLocaleString("en-IN")})`;
+}
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  InvalidAmountError,
+  formatAmount,
+  formatWithInr,
+  fromBaseUnits,
+  getCurrency,
+  parseAmount,
+  registerPriceFeed,
+  toBaseUnits,
+  toInr,
+};
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const { pool } = require("./db");
+
+// Envelope encryption for secrets stored in the database. Values are
+// encrypted with AES-256-GCM under a data key from encryption_keys, and data
+// keys are encrypted under a master key from the environment:
+//
+//   ENCRYPTION_KEYS="2024:<base64 key>,2025:<base64 key>"
+//   ENCRYPTION_ACTIVE_KEY="2025"
+//
+// Ciphertexts look like "enc:v1:<data key id>:<base64url iv|tag|data>".
+
+const ALGORITHM = "aes-256-gcm";
+const PREFIX = "enc:v1:";
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+// Servers pick up a data key created by a rotation within this time
+const ACTIVE_KEY_TTL_MS = 5 * 60 * 1000;
+
+// Columns holding encrypted values, for re-encryption
+const ENCRYPTED_COLUMNS = [
+  { table: "users", key: "github_id", column: "personal_access_token" },
+  { table: "users", key: "github_id", column: "refresh_token" },
+  { table: "users", key: "github_id", column: "encrypted_private_key" },
+  { table: "webhook_endpoints", key: "id", column: "secret" },
+];
+
+class EncryptionKeyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EncryptionKeyError";
+  }
+}
+
+const dataKeys = new Map();
+let activeDataKey = null;
+
+function getMasterKeys() {
+  const keys = new Map();
+  for (const entry of (process.env.ENCRYPTION_KEYS || "").split(",")) {
+    const [id, value] = entry.trim().split(":");
+    if (!id || !value) {
+      continue;
+    }
+    const key = Buffer.from(value, "base64");
+    if (key.length !== 32) {
+      throw new EncryptionKeyError(`Master key ${id} must be 32 bytes`);
+    }
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+function getActiveMasterKeyId() {
+  const keys = getMasterKeys();
+  const id = process.env.ENCRYPTION_ACTIVE_KEY || Array.from(keys.keys()).pop();
+  if (!id || !keys.has(id)) {
+    throw new EncryptionKeyError("No active master key in ENCRYPTION_KEYS");
+  }
+  return id;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString("base64url");
+}
+
+function open(key, sealed, aad) {
+  const buffer = Buffer.from(sealed, "base64url");
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    buffer.subarray(0, IV_LENGTH)
+  );
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  return Buffer.concat([
+    decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)),
+    decipher.final(),
+  ]);
+}
+
+function wrapKey(masterKeyId, dataKey) {
+  return seal(getMasterKeys().get(masterKeyId), dataKey, masterKeyId);
+}
+
+function unwrapKey({ master_key_id, wrapped_key }) {
+  const masterKey = getMasterKeys().get(master_key_id);
+  if (!masterKey) {
+    throw new EncryptionKeyError(
+      `Master key ${master_key_id} is not in ENCRYPTION_KEYS`
+    );
+  }
+  return open(masterKey, wrapped_key, master_key_id);
+}
+
+async function getDataKey(id) {
+  if (!dataKeys.has(id)) {
+    const result = await pool.query(
+      "SELECT * FROM encryption_keys WHERE id = $1",
+      [id]
+    );
+    if (!result.rows[0]) {
+      throw new EncryptionKeyError(`Data key ${id} does not exist`);
+    }
+    dataKeys.set(id, unwrapKey(result.rows[0]));
+  }
+  return dataKeys.get(id);
+}
+
+// Generate a data key, wrapped under the active master key.
+async function createDataKey(db = pool) {
+  const masterKeyId = getActiveMasterKeyId();
+  const key = crypto.randomBytes(32);
+  const result = await db.query(
+    `INSERT INTO encryption_keys (master_key_id, wrapped_key)
+     VALUES ($1, $2) RETURNING id`,
+    [masterKeyId, wrapKey(masterKeyId, key)]
+  );
+  const id = result.rows[0].id;
+  dataKeys.set(id, key);
+  activeDataKey = { id, expiresAt: Date.now() + ACTIVE_KEY_TTL_MS };
+  return id;
+}
+
+// The newest live data key under the active master key, creating one if
+// there is none yet.
+async function getActiveDataKeyId() {
+  if (activeDataKey && activeDataKey.expiresAt > Date.now()) {
+    return activeDataKey.id;
+  }
+  const result = await pool.query(
+    `SELECT id FROM encryption_keys
+     WHERE master_key_id = $1 AND retired_at IS NULL
+     ORDER BY id DESC
+     LIMIT 1`,
+    [getActiveMasterKeyId()]
+  );
+  if (!result.rows[0]) {
+    return createDataKey();
+  }
+  activeDataKey = {
+    id: result.rows[0].id,
+    expiresAt: Date.now() + ACTIVE_KEY_TTL_MS,
+  };
+  return activeDataKey.id;
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+function dataKeyIdOf(value) {
+  return parseInt(value.slice(PREFIX.length), 10);
+}
+
+// Encrypt a string. null and undefined are stored as null.
+async function encrypt(plaintext, { dataKeyId } = {}) {
+  if (plaintext === null || plaintext === undefined) {
+    return null;
+  }
+  const id = dataKeyId || (await getActiveDataKeyId());
+  const aad = `${PREFIX}${id}:`;
+  return aad + seal(await getDataKey(id), String(plaintext), aad);
+}
+
+// Decrypt a value from encrypt(). Values written before encryption was
+// introduced are returned unchanged until they are re-encrypted.
+async function decrypt(value) {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+  const id = dataKeyIdOf(value);
+  const aad = `${PREFIX}${id}:`;
+  return open(await getDataKey(id), value.slice(aad.length), aad).toString(
+    "utf8"
+  );
+}
+
+// Re-wrap every data key under the active master key, so that older master
+// keys can be removed from ENCRYPTION_KEYS. Ciphertexts are unaffected.
+async function rewrapDataKeys(db = pool) {
+  const masterKeyId = getActiveMasterKeyId();
+  const result = await db.query(
+    "SELECT * FROM encryption_keys WHERE master_key_id <> $1",
+    [masterKeyId]
+  );
+  for (const row of result.rows) {
+    await db.query(
+      `UPDATE encryption_keys
+       SET master_key_id = $1, wrapped_key = $2, rewrapped_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [masterKeyId, wrapKey(masterKeyId, unwrapKey(row)), row.id]
+    );
+  }
+  return result.rows.length;
+}
+
+module.exports = {
+  ENCRYPTED_COLUMNS,
+  EncryptionKeyError,
+  createDataKey,
+  decrypt,
+  encrypt,
+  isEncrypted,
+  rewrapDataKeys,
+};
@@ -0,0 +1,333 @@
+const { Octokit } = require("@octokit/rest");
+const { createAppAuth } = require("@octokit/auth-app");
+const { pool } = require("./db");
+const installations = require("./installations");
+const jobs = require("./jobs");
+
+// Repository permissions in increasing order of access
+const PERMISSION_LEVELS = [
+  "none",
+  "read",
+  "triage",
+  "write",
+  "maintain",
+  "admin",
+];
+
+// Shared GitHub App client. Installation tokens are cached until shortly
+// before they expire, requests are serialised per installation with a pause
+// between writes, and rate-limited requests are retried after the time GitHub
+// asks for. Rate-limit headers are collected for getRateLimitMetrics().
+
+const TOKEN_REFRESH_MARGIN_MS = 5 * 60 * 1000;
+const REPOSITORY_CACHE_TTL_MS = 10 * 60 * 1000;
+const WRITE_INTERVAL_MS = 1000;
+const MAX_RETRIES = 3;
+// Longer waits fail the request instead, so that the job queue can retry it
+// later rather than holding up the worker
+const MAX_RETRY_WAIT_MS = 60 * 1000;
+const SECONDARY_LIMIT_WAIT_MS = 60 * 1000;
+
+let appOctokit = null;
+const installationOctokits = new Map();
+const installationTokens = new Map();
+const repositoryInstallations = new Map();
+const throttles = new Map();
+const metrics = new Map();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function getMetrics(key) {
+  if (!metrics.has(key)) {
+    metrics.set(key, { requests: 0, retries: 0, rateLimited: 0 });
+  }
+  return metrics.get(key);
+}
+
+function recordRateLimit(key, headers = {}) {
+  if (headers["x-ratelimit-remaining"] === undefined) {
+    return;
+  }
+  Object.assign(getMetrics(key), {
+    limit: Number(headers["x-ratelimit-limit"]),
+    remaining: Number(headers["x-ratelimit-remaining"]),
+    used: Number(headers["x-ratelimit-used"]),
+    resource: headers["x-ratelimit-resource"],
+    reset: new Date(Number(headers["x-ratelimit-reset"]) * 1000).toISOString(),
+    updatedAt: new Date().toISOString(),
+  });
+}
+
+// How long to wait before retrying a rate-limited request, or null if the
+// error is not a rate limit.
+function rateLimitWait(error, attempt) {
+  const headers = error.response?.headers || {};
+  const isRateLimited =
+    error.status === 429 ||
+    (error.status === 403 &&
+      (headers["retry-after"] !== undefined ||
+        headers["x-ratelimit-remaining"] === "0" ||
+        /rate limit/i.test(error.message)));
+  if (!isRateLimited) {
+    return null;
+  }
+  if (headers["retry-after"] !== undefined) {
+    return Number(headers["retry-after"]) * 1000;
+  }
+  if (
+    headers["x-ratelimit-remaining"] === "0" &&
+    headers["x-ratelimit-reset"]
+  ) {
+    return Math.max(
+      Number(headers["x-ratelimit-reset"]) * 1000 - Date.now() + 1000,
+      0
+    );
+  }
+  return SECONDARY_LIMIT_WAIT_MS * 2 ** attempt;
+}
+
+// Run requests for one installation one at a time, spacing out writes.
+function throttle(key, method, fn) {
+  if (!throttles.has(key)) {
+    throttles.set(key, { queue: Promise.resolve(), lastWriteAt: 0 });
+  }
+  const state = throttles.get(key);
+
+  const run = state.queue.then(async () => {
+    if (method !== "GET" && method !== "HEAD") {
+      const wait = state.lastWriteAt + WRITE_INTERVAL_MS - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      state.lastWriteAt = Date.now();
+    }
+    return fn();
+  });
+  state.queue = run.catch(() => {});
+  return run;
+}
+
+async function sendWithRetries(key, request, options, installationId) {
+  for (let attempt = 0; ; attempt++) {
+    if (installationId) {
+      options.headers.authorization = `token ${await getInstallationToken(
+        installationId
+      )}`;
+    }
+
+    getMetrics(key).requests++;
+    try {
+      const response = await request(options);
+      recordRateLimit(key, response.headers);
+      return response;
+    } catch (error) {
+      recordRateLimit(key, error.response?.headers);
+
+      // The token may have been revoked before its expiry
+      if (installationId && error.status === 401 && attempt === 0) {
+        installationTokens.delete(installationId);
+        continue;
+      }
+
+      const wait = rateLimitWait(error, attempt);
+      if (wait !== null) {
+        getMetrics(key).rateLimited++;
+      }
+      if (wait === null || attempt >= MAX_RETRIES || wait > MAX_RETRY_WAIT_MS) {
+        throw error;
+      }
+      getMetrics(key).retries++;
+      await sleep(wait);
+    }
+  }
+}
+
+// Octokit authenticated as the app itself, for the /app endpoints.
+function getAppOctokit() {
+  if (!appOctokit) {
+    appOctokit = new Octokit({
+      authStrategy: createAppAuth,
+      auth: {
+        appId: process.env.GITHUB_APP_ID,
+        privateKey: process.env.GITHUB_PRIVATE_KEY,
+      },
+    });
+    appOctokit.hook.wrap("request", (request, options) =>
+      sendWithRetries("app", request, options, null)
+    );
+  }
+  return appOctokit;
+}
+
+async function getInstallationToken(installationId) {
+  const cached = installationTokens.get(installationId);
+  if (cached?.pending) {
+    return cached.pending;
+  }
+  if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return cached.token;
+  }
+
+  // Share one token request between concurrent callers
+  const pending = getAppOctokit()
+    .rest.apps.createInstallationAccessToken({
+      installation_id: installationId,
+    })
+    .then(({ data }) => {
+      installationTokens.set(installationId, {
+        token: data.token,
+        expiresAt: new Date(data.expires_at).getTime(),
+      });
+      return data.token;
+    })
+    .catch((error) => {
+      installationTokens.delete(installationId);
+      throw error;
+    });
+  installationTokens.set(installationId, { pending });
+  return pending;
+}
+
+function getInstallationOctokit(installationId) {
+  const id = Number(installationId);
+  if (!installationOctokits.has(id)) {
+    const octokit = new Octokit();
+    const key = `installation:${id}`;
+    octokit.hook.wrap("request", (request, options) =>
+      throttle(key, options.method, () =>
+        sendWithRetries(key, request, options, id)
+      )
+    );
+    installationOctokits.set(id, octokit);
+  }
+  return installationOctokits.get(id);
+}
+
+// Octokit for the installation that covers `owner/repo`, as recorded from
+// the installation webhooks. Repositories not recorded yet are looked up
+// through the app API.
+async function getRepositoryOctokit(owner, repo) {
+  const key = `${owner}/${repo}`.toLowerCase();
+  const cached = repositoryInstallations.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return getInstallationOctokit(cached.installationId);
+  }
+
+  let installationId;
+  const recorded = await installations.findRepositoryInstallation(pool, key);
+  if (recorded) {
+    installationId = Number(recorded.id);
+  } else {
+    const { data: installation } =
+      await getAppOctokit().rest.apps.getRepoInstallation({ owner, repo });
+    installationId = installation.id;
+  }
+  repositoryInstallations.set(key, {
+    installationId,
+    expiresAt: Date.now() + REPOSITORY_CACHE_TTL_MS,
+  });
+  return getInstallationOctokit(installationId);
+}
+
+// Forget everything cached for an installation, e.g. once it is deleted.
+function forgetInstallation(installationId) {
+  const id = Number(installationId);
+  installationTokens.delete(id);
+  installationOctokits.delete(id);
+  for (const [key, cached] of repositoryInstallations) {
+    if (cached.installationId === id) {
+      repositoryInstallations.delete(key);
+    }
+  }
+}
+
+// Forget the installation cached for `owner/repo`, e.g. once it is renamed or
+// removed from the installation.
+function forgetRepository(fullName) {
+  repositoryInstallations.delete(fullName.toLowerCase());
+}
+
+function getRateLimitMetrics() {
+  return Object.fromEntries(metrics);
+}
+
+// The user's permission on the repository: one of PERMISSION_LEVELS.
+async function fetchPermission(octokit, { owner, repo, username }) {
+  try {
+    const { data } = await octokit.rest.repos.getCollaboratorPermissionLevel({
+      owner,
+      repo,
+      username,
+    });
+    // role_name distinguishes maintain and triage, permission does not
+    return PERMISSION_LEVELS.includes(data.role_name)
+      ? data.role_name
+      : data.permission;
+  } catch (error) {
+    if (error.status === 404) {
+      return "none";
+    }
+    throw error;
+  }
+}
+
+// The user's role in the organization `org`: "admin", "member" or null
+async function fetchOrgRole(octokit, { org, username }) {
+  try {
+    const { data } = await octokit.rest.orgs.getMembershipForUser({
+      org,
+      username,
+    });
+    return data.state === "active" ? data.role : null;
+  } catch (error) {
+    if (error.status === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+function hasPermission(actual, required) {
+  return (
+    PERMISSION_LEVELS.indexOf(actual) >= PERMISSION_LEVELS.indexOf(required)
+  );
+}
+
+// Bounties store the issue URL; the number is needed for the issues API
+function issueNumberFromUrl(issueUrl) {
+  const match = /\/(?:issues|pull)\/(\d+)$/.exec(issueUrl || "");
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Queue a comment on an issue or pull request of `repository` ("owner/repo").
+async function enqueueComment(db, { repository, issueNumber, body }) {
+  return jobs.enqueue(db, "github.comment", { repository, issueNumber, body });
+}
+
+async function postCommentJob(job) {
+  const { repository, issueNumber, body } = job.payload;
+  const [owner, repo] = repository.split("/");
+  const octokit = await getRepositoryOctokit(owner, repo);
+  await octokit.rest.issues.createComment({
+    owner,
+    repo,
+    issue_number: issueNumber,
+    body,
+  });
+}
+
+module.exports = {
+  PERMISSION_LEVELS,
+  enqueueComment,
+  fetchOrgRole,
+  fetchPermission,
+  forgetInstallation,
+  forgetRepository,
+  getAppOctokit,
+  getInstallationOctokit,
+  getRateLimitMetrics,
+  getRepositoryOctokit,
+  hasPermission,
+  issueNumberFromUrl,
+  postCommentJob,
+};
@@ -0,0 +1,160 @@
+// GitHub App installations and the repositories they cover, recorded from
+// the installation and installation_repositories webhooks. Repository names
+// are matched case-insensitively, and a repository belongs to at most one
+// live installation.
+
+// Record `installation` as it appears in webhook payloads and the app API.
+// `installedBy` is the GitHub id of the user who installed it, if known.
+async function saveInstallation(db, installation, { installedBy } = {}) {
+  const { account } = installation;
+  await db.query(
+    `
+      INSERT INTO installations (id, account_id, account_login, account_type, installed_by, suspended_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (id) DO UPDATE SET
+        account_id = EXCLUDED.account_id,
+        account_login = EXCLUDED.account_login,
+        account_type = EXCLUDED.account_type,
+        installed_by = COALESCE(installations.installed_by, EXCLUDED.installed_by),
+        suspended_at = EXCLUDED.suspended_at,
+        deleted_at = NULL,
+        updated_at = CURRENT_TIMESTAMP
+    `,
+    [
+      installation.id,
+      account.id,
+      account.login,
+      account.type === "Organization" ? "Organization" : "User",
+      installedBy ?? null,
+      installation.suspended_at ?? null,
+    ]
+  );
+}
+
+async function deleteInstallation(db, installationId) {
+  await db.query(
+    "UPDATE installations SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [installationId]
+  );
+  await db.query(
+    "UPDATE repositories SET removed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE installation_id = $1 AND removed_at IS NULL",
+    [installationId]
+  );
+}
+
+async function setSuspended(db, installationId, suspended) {
+  await db.query(
+    "UPDATE installations SET suspended_at = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [installationId, suspended ? new Date() : null]
+  );
+}
+
+// Record `repositories` ({ id, full_name, private }) as covered by the
+// installation. A repository moving between installations is taken over.
+async function addRepositories(db, installationId, repositories = []) {
+  for (const repository of repositories) {
+    await db.query(
+      "UPDATE repositories SET removed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE lower(full_name) = lower($1) AND id <> $2 AND removed_at IS NULL",
+      [repository.full_name, repository.id]
+    );
+    await db.query(
+      `
+        INSERT INTO repositories (id, installation_id, full_name, private)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (id) DO UPDATE SET
+          installation_id = EXCLUDED.installation_id,
+          full_name = EXCLUDED.full_name,
+          private = EXCLUDED.private,
+          removed_at = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      `,
+      [
+        repository.id,
+        installationId,
+        repository.full_name,
+        Boolean(repository.private),
+      ]
+    );
+  }
+}
+
+async function removeRepositories(db, installationId, repositories = []) {
+  await db.query(
+    "UPDATE repositories SET removed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE installation_id = $1 AND id = ANY($2) AND removed_at IS NULL",
+    [installationId, repositories.map((repository) => repository.id)]
+  );
+}
+
+async function renameRepository(db, { from, to }) {
+  await db.query(
+    "UPDATE repositories SET full_name = $2, updated_at = CURRENT_TIMESTAMP WHERE lower(full_name) = lower($1) AND removed_at IS NULL",
+    [from, to]
+  );
+}
+
+async function getInstallation(db, installationId) {
+  const result = await db.query(
+    "SELECT * FROM installations WHERE id = $1 AND deleted_at IS NULL",
+    [installationId]
+  );
+  return result.rows[0] || null;
+}
+
+// The repositories the installation currently covers
+async function getRepositories(db, installationId) {
+  const result = await db.query(
+    "SELECT id, full_name, private FROM repositories WHERE installation_id = $1 AND removed_at IS NULL ORDER BY id",
+    [installationId]
+  );
+  return result.rows;
+}
+
+// The live installation covering `owner/repo`, if it is recorded
+async function findRepositoryInstallation(db, fullName) {
+  const result = await db.query(
+    `
+      SELECT i.*
+      FROM repositories r
+      JOIN installations i ON i.id = r.installation_id
+      WHERE lower(r.full_name) = lower($1)
+        AND r.removed_at IS NULL
+        AND i.deleted_at IS NULL
+    `,
+    [fullName]
+  );
+  return result.rows[0] || null;
+}
+
+// Live installations on the user's own account or installed by them
+async function getUserInstallations(db, userId) {
+  const result = await db.query(
+    `
+      SELECT
+        i.id,
+        i.account_login,
+        i.account_type,
+        i.suspended_at,
+        COUNT(r.id)::int AS repositories
+      FROM installations i
+      LEFT JOIN repositories r ON r.installation_id = i.id AND r.removed_at IS NULL
+      WHERE (i.account_id = $1 OR i.installed_by = $1) AND i.deleted_at IS NULL
+      GROUP BY i.id
+      ORDER BY i.created_at
+    `,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  addRepositories,
+  deleteInstallation,
+  findRepositoryInstallation,
+  getInstallation,
+  getRepositories,
+  getUserInstallations,
+  removeRepositories,
+  renameRepository,
+  saveInstallation,
+  setSuspended,
+};
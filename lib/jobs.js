@@ -0,0 +1,187 @@
+const { pool } = require("./db");
+
+// Postgres-backed job queue. Handlers are registered per job type and receive
+// the job row; throwing schedules a retry with exponential backoff until the
+// job runs out of attempts and is marked dead.
+
+const POLL_INTERVAL_MS = 1000;
+const BASE_RETRY_DELAY_MS = 5 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+// Jobs left running this long are assumed to belong to a crashed worker
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const handlers = new Map();
+
+let running = false;
+let timer = null;
+let currentJob = null;
+
+function registerHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+// `db` can be the pool or a client inside a transaction, so jobs can be
+// enqueued atomically with the change that caused them.
+async function enqueue(db, type, payload, { runAt, maxAttempts } = {}) {
+  const result = await db.query(
+    `
+      INSERT INTO jobs (type, payload, run_at, max_attempts)
+      VALUES ($1, $2, COALESCE($3, CURRENT_TIMESTAMP), COALESCE($4, 5))
+      RETURNING id
+    `,
+    [type, payload, runAt || null, maxAttempts || null]
+  );
+  return result.rows[0].id;
+}
+
+function retryDelay(attempts) {
+  const delay = Math.min(
+    BASE_RETRY_DELAY_MS * 2 ** (attempts - 1),
+    MAX_RETRY_DELAY_MS
+  );
+  // Jitter so that jobs failing together do not retry together
+  return delay + Math.floor(Math.random() * BASE_RETRY_DELAY_MS);
+}
+
+async function claimNextJob() {
+  const result = await pool.query(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'pending' AND run_at <= CURRENT_TIMESTAMP
+      ORDER BY run_at, id
+      FOR UPDATE SKIP LOCKED
+      LIMIT 1
+    )
+    RETURNING *
+  `);
+  return result.rows[0] || null;
+}
+
+async function releaseStaleJobs() {
+  await pool.query(
+    `
+      UPDATE jobs
+      SET status = 'pending', locked_at = NULL, last_error = 'Worker lock expired'
+      WHERE status = 'running' AND locked_at < CURRENT_TIMESTAMP - $1 * INTERVAL '1 millisecond'
+    `,
+    [LOCK_TIMEOUT_MS]
+  );
+}
+
+async function runJob(job) {
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type ${job.type}`);
+    }
+    await handler(job);
+    await pool.query(
+      "UPDATE jobs SET status = 'completed', locked_at = NULL, completed_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [job.id]
+    );
+  } catch (error) {
+    const dead = job.attempts >= job.max_attempts;
+    console.error(
+      `Job ${job.id} (${job.type}) failed on attempt ${job.attempts}${
+        dead ? ", giving up" : ""
+      }:`,
+      error
+    );
+    await pool.query(
+      `
+        UPDATE jobs
+        SET status = $2, locked_at = NULL, last_error = $3,
+            run_at = CURRENT_TIMESTAMP + $4 * INTERVAL '1 millisecond'
+        WHERE id = $1
+      `,
+      [
+        job.id,
+        dead ? "dead" : "pending",
+        String(error.stack || error),
+        dead ? 0 : retryDelay(job.attempts),
+      ]
+    );
+  }
+}
+
+// Poll for jobs until stopWorker() is called, running one job at a time.
+function startWorker({ pollInterval = POLL_INTERVAL_MS } = {}) {
+  if (running) {
+    return;
+  }
+  running = true;
+
+  const poll = async () => {
+    try {
+      await releaseStaleJobs();
+      let job;
+      while (running && (job = await claimNextJob())) {
+        currentJob = runJob(job);
+        await currentJob;
+        currentJob = null;
+      }
+    } catch (error) {
+      console.error("Error polling jobs:", error);
+    }
+    if (running) {
+      timer = setTimeout(poll, pollInterval);
+    }
+  };
+  poll();
+}
+
+// Stop polling and wait for the job in progress, if any.
+async function stopWorker() {
+  running = false;
+  clearTimeout(timer);
+  if (currentJob) {
+    await currentJob;
+  }
+}
+
+async function listJobs(client, { status, type, limit = 50 } = {}) {
+  const result = await client.query(
+    `
+      SELECT id, type, status, attempts, max_attempts, run_at, last_error, created_at, completed_at
+      FROM jobs
+      WHERE ($1::text IS NULL OR status = $1) AND ($2::text IS NULL OR type = $2)
+      ORDER BY created_at DESC, id DESC
+      LIMIT $3
+    `,
+    [status || null, type || null, limit]
+  );
+  return result.rows;
+}
+
+async function getJob(client, jobId) {
+  const result = await client.query("SELECT * FROM jobs WHERE id = $1", [
+    jobId,
+  ]);
+  return result.rows[0] || null;
+}
+
+// Give a dead job a fresh set of attempts. Returns null unless it was dead.
+async function retryJob(client, jobId) {
+  const result = await client.query(
+    `
+      UPDATE jobs
+      SET status = 'pending', attempts = 0, run_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'dead'
+      RETURNING *
+    `,
+    [jobId]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  enqueue,
+  getJob,
+  listJobs,
+  registerHandler,
+  retryJob,
+  startWorker,
+  stopWorker,
+};
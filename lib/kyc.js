@@ -0,0 +1,325 @@
+const crypto = require("crypto");
+const currency = require("./currency");
+const jobs = require("./jobs");
+const { pool } = require("./db");
+
+// KYC verification of Aadhaar numbers and PANs. Identifiers are checked
+// locally, then submitted to the provider named by KYC_PROVIDER, which may
+// answer straight away or leave the verification pending; pending ones are
+// polled from the job queue. Only a masked identifier and a keyed hash are
+// stored.
+
+const POLL_DELAY_MS = 30 * 1000;
+const MAX_POLLS = 20;
+
+class InvalidIdentifierError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidIdentifierError";
+  }
+}
+
+// KYC is not configured on this server
+class KycUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "KycUnavailableError";
+  }
+}
+
+class KycRequiredError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "KycRequiredError";
+  }
+}
+
+// Verhoeff checksum tables
+const MULTIPLICATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const PERMUTATION = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+function isValidVerhoeff(digits) {
+  let check = 0;
+  const reversed = digits.split("").reverse();
+  for (let i = 0; i < reversed.length; i++) {
+    check = MULTIPLICATION[check][PERMUTATION[i % 8][Number(reversed[i])]];
+  }
+  return check === 0;
+}
+
+// Aadhaar numbers are 12 digits, never start with 0 or 1 and end in a
+// Verhoeff check digit
+function isValidAadhaar(value) {
+  return /^[2-9]\d{11}$/.test(value) && isValidVerhoeff(value);
+}
+
+// PANs are five letters, four digits and a letter; the fourth letter is the
+// holder type
+function isValidPan(value) {
+  return /^[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]$/.test(value);
+}
+
+// Normalise an Aadhaar number or PAN and work out which one it is.
+function parseIdentifier(value) {
+  if (typeof value !== "string") {
+    throw new InvalidIdentifierError("An Aadhaar number or PAN is required");
+  }
+  const normalized = value.replace(/[\s-]/g, "").toUpperCase();
+  if (/^\d+$/.test(normalized)) {
+    if (!isValidAadhaar(normalized)) {
+      throw new InvalidIdentifierError("Invalid Aadhaar number");
+    }
+    return { type: "aadhaar", identifier: normalized };
+  }
+  if (!isValidPan(normalized)) {
+    throw new InvalidIdentifierError("Invalid PAN");
+  }
+  return { type: "pan", identifier: normalized };
+}
+
+function maskIdentifier(identifier) {
+  return "X".repeat(identifier.length - 4) + identifier.slice(-4);
+}
+
+function hashIdentifier(identifier) {
+  if (!process.env.KYC_HASH_SECRET) {
+    throw new KycUnavailableError("KYC_HASH_SECRET is not configured");
+  }
+  return crypto
+    .createHmac("sha256", process.env.KYC_HASH_SECRET)
+    .update(identifier)
+    .digest("hex");
+}
+
+// Providers implement submit({ type, identifier, userId }) and
+// checkStatus(reference), both resolving to { status, reference?, reason? }
+// with status "pending", "verified" or "rejected".
+const providers = new Map();
+
+function registerProvider(name, provider) {
+  providers.set(name, provider);
+}
+
+function getProvider() {
+  const name = process.env.KYC_PROVIDER || "mock";
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new KycUnavailableError(`Unknown KYC provider: ${name}`);
+  }
+  return { name, provider };
+}
+
+// For local testing. Verification stays pending until the first status
+// check; identifiers listed in KYC_MOCK_REJECT are rejected. The outcome is
+// kept in the reference so the mock needs no state.
+const mockProvider = {
+  async submit({ identifier }) {
+    const rejected = (process.env.KYC_MOCK_REJECT || "")
+      .split(",")
+      .map((value) => value.trim().toUpperCase())
+      .includes(identifier);
+    return {
+      status: "pending",
+      reference: `mock_${rejected ? "rejected" : "verified"}_${crypto
+        .randomBytes(8)
+        .toString("hex")}`,
+    };
+  },
+
+  async checkStatus(reference) {
+    return reference.startsWith("mock_rejected_")
+      ? { status: "rejected", reason: "Identifier could not be verified" }
+      : { status: "verified" };
+  },
+};
+
+registerProvider("mock", mockProvider);
+
+// Record a provider's answer on the verification and the user.
+async function applyResult(client, verification, { status, reason }) {
+  await client.query(
+    `UPDATE kyc_verifications
+     SET status = $1, reason = $2, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3`,
+    [status, reason || null, verification.id]
+  );
+  await client.query(
+    `UPDATE users SET
+       kyc_status = $1,
+       is_verified = $1 = 'verified',
+       kyc_verified_at = CASE WHEN $1 = 'verified' THEN CURRENT_TIMESTAMP END,
+       aadhaar_pan = $2
+     WHERE github_id = $3`,
+    [status, verification.masked_identifier, verification.user_id]
+  );
+}
+
+// Start verifying `value` for the user and return the verification.
+async function submitVerification(client, { userId, value }) {
+  const { type, identifier } = parseIdentifier(value);
+  const { name, provider } = getProvider();
+  const identifierHash = hashIdentifier(identifier);
+
+  const duplicate = await client.query(
+    `SELECT 1 FROM kyc_verifications
+     WHERE identifier_hash = $1 AND status = 'verified' AND user_id <> $2`,
+    [identifierHash, userId]
+  );
+  if (duplicate.rows.length > 0) {
+    throw new InvalidIdentifierError(
+      "This identifier is already verified for another account"
+    );
+  }
+
+  const result = await provider.submit({ type, identifier, userId });
+
+  await client.query("BEGIN");
+  try {
+    const inserted = await client.query(
+      `INSERT INTO kyc_verifications
+         (user_id, provider, reference, id_type, masked_identifier, identifier_hash)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [
+        userId,
+        name,
+        result.reference || null,
+        type,
+        maskIdentifier(identifier),
+        identifierHash,
+      ]
+    );
+    const verification = inserted.rows[0];
+    await applyResult(client, verification, result);
+    if (result.status === "pending") {
+      await jobs.enqueue(
+        client,
+        "kyc.check",
+        { verificationId: verification.id, polls: 1 },
+        { runAt: new Date(Date.now() + POLL_DELAY_MS) }
+      );
+    }
+    await client.query("COMMIT");
+    return { ...verification, status: result.status, reason: result.reason };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+// Job handler polling the provider for a pending verification.
+async function checkVerificationJob(job) {
+  const { verificationId, polls } = job.payload;
+  const client = await pool.connect();
+  try {
+    const found = await client.query(
+      "SELECT * FROM kyc_verifications WHERE id = $1",
+      [verificationId]
+    );
+    const verification = found.rows[0];
+    if (!verification || verification.status !== "pending") {
+      return;
+    }
+
+    const provider = providers.get(verification.provider);
+    if (!provider) {
+      throw new Error(`Unknown KYC provider: ${verification.provider}`);
+    }
+    const result = await provider.checkStatus(verification.reference);
+
+    await client.query("BEGIN");
+    // A newer submission supersedes this one
+    const latest = await client.query(
+      `SELECT id FROM kyc_verifications WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC LIMIT 1 FOR UPDATE`,
+      [verification.user_id]
+    );
+    if (latest.rows[0].id !== verification.id) {
+      await client.query("COMMIT");
+      return;
+    }
+
+    if (result.status !== "pending") {
+      await applyResult(client, verification, result);
+    } else if (polls >= MAX_POLLS) {
+      await applyResult(client, verification, {
+        status: "rejected",
+        reason: "Verification timed out",
+      });
+    } else {
+      await jobs.enqueue(
+        client,
+        "kyc.check",
+        { verificationId, polls: polls + 1 },
+        { runAt: new Date(Date.now() + POLL_DELAY_MS) }
+      );
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Payouts worth more than KYC_PAYOUT_THRESHOLD rupees need a verified
+// recipient, as do payouts whose INR value cannot be priced. Without a
+// threshold payouts are not gated.
+async function requiresVerification(amount, code) {
+  const threshold = process.env.KYC_PAYOUT_THRESHOLD;
+  if (threshold === undefined || threshold === "") {
+    return false;
+  }
+  const inr = await currency.toInr(amount, code);
+  return inr === null || inr > Number(threshold);
+}
+
+async function assertPayoutAllowed(db, { userId, amount, currency: code }) {
+  if (!(await requiresVerification(amount, code))) {
+    return;
+  }
+  const result = await db.query(
+    "SELECT kyc_status FROM users WHERE github_id = $1",
+    [userId]
+  );
+  if (result.rows[0]?.kyc_status !== "verified") {
+    throw new KycRequiredError(
+      `Payouts above ₹${process.env.KYC_PAYOUT_THRESHOLD} require the recipient to complete KYC verification`
+    );
+  }
+}
+
+module.exports = {
+  InvalidIdentifierError,
+  KycRequiredError,
+  KycUnavailableError,
+  assertPayoutAllowed,
+  checkVerificationJob,
+  isValidAadhaar,
+  isValidPan,
+  maskIdentifier,
+  parseIdentifier,
+  registerProvider,
+  submitVerification,
+};
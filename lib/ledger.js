@@ -0,0 +1,292 @@
+// Double-entry bounty ledger. Money moves between accounts through journal
+// entries whose lines sum to zero: a positive line amount moves money into an
+// account, a negative one moves it out. Account balances are never stored,
+// they are always summed from the lines.
+//
+// Accounts:
+//   user/funding    what a user has put into bounties, as creator or
+//                   backer (goes negative)
+//   user/earnings   what a user has been paid out
+//   bounty/escrow   funds held for an open bounty
+//   bounty/payable  funds approved for a claimant but not yet paid
+//
+// Every account holds a single currency. Entries are always in the currency
+// of their bounty, so callers never pass one.
+
+function negate(amount) {
+  const value = String(amount);
+  return value.startsWith("-") ? value.slice(1) : `-${value}`;
+}
+
+async function getAccountId(client, { ownerType, ownerId, kind }, currency) {
+  const result = await client.query(
+    `
+      INSERT INTO ledger_accounts (owner_type, owner_id, kind, currency)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (owner_type, owner_id, kind, currency) DO UPDATE SET kind = EXCLUDED.kind
+      RETURNING id
+    `,
+    [ownerType, ownerId, kind, currency]
+  );
+  return result.rows[0].id;
+}
+
+async function getBountyCurrency(client, bountyId) {
+  const result = await client.query(
+    "SELECT currency FROM bounties WHERE id = $1",
+    [bountyId]
+  );
+  if (!result.rows[0]) {
+    throw new Error(`Bounty ${bountyId} does not exist`);
+  }
+  return result.rows[0].currency;
+}
+
+async function getBalance(client, { ownerType, ownerId, kind }, currency) {
+  const result = await client.query(
+    `
+      SELECT COALESCE(SUM(l.amount), 0) AS balance
+      FROM ledger_lines l
+      JOIN ledger_accounts a ON a.id = l.account_id
+      WHERE a.owner_type = $1 AND a.owner_id = $2 AND a.kind = $3 AND a.currency = $4
+    `,
+    [ownerType, ownerId, kind, currency]
+  );
+  return result.rows[0].balance;
+}
+
+// Post a journal entry with the given `lines` of { account, amount }. Must
+// be called inside a transaction: the balance check runs at commit.
+async function postEntry(
+  client,
+  { entryType, bountyId, lines, description, reference, actorId }
+) {
+  const entryResult = await client.query(
+    `
+      INSERT INTO journal_entries (entry_type, bounty_id, description, reference, created_by)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING id
+    `,
+    [entryType, bountyId, description, reference || null, actorId || null]
+  );
+  const entryId = entryResult.rows[0].id;
+  const currency = await getBountyCurrency(client, bountyId);
+
+  for (const line of lines) {
+    await client.query(
+      "INSERT INTO ledger_lines (entry_id, account_id, amount) VALUES ($1, $2, $3)",
+      [entryId, await getAccountId(client, line.account, currency), line.amount]
+    );
+  }
+
+  return entryId;
+}
+
+// Post a journal entry moving `amount` from one account to another.
+async function transfer(client, { from, to, amount, ...entry }) {
+  return postEntry(client, {
+    ...entry,
+    lines: [
+      { account: from, amount: negate(amount) },
+      { account: to, amount },
+    ],
+  });
+}
+
+const userAccount = (userId, kind) => ({
+  ownerType: "user",
+  ownerId: userId,
+  kind,
+});
+const bountyAccount = (bountyId, kind) => ({
+  ownerType: "bounty",
+  ownerId: bountyId,
+  kind,
+});
+
+async function fundBounty(client, { bountyId, ownerId, amount, actorId }) {
+  return transfer(client, {
+    entryType: "fund",
+    bountyId,
+    from: userAccount(ownerId, "funding"),
+    to: bountyAccount(bountyId, "escrow"),
+    amount,
+    description: `Funded bounty #${bountyId}`,
+    actorId,
+  });
+}
+
+// Record a change of the bounty amount from `oldAmount` to `newAmount`.
+// Increases are drawn from the owner, decreases are returned to them.
+async function adjustBounty(
+  client,
+  { bountyId, ownerId, oldAmount, newAmount, actorId }
+) {
+  const deltaResult = await client.query(
+    "SELECT $1::numeric - $2::numeric AS delta",
+    [newAmount, oldAmount]
+  );
+  const delta = deltaResult.rows[0].delta;
+  if (Number(delta) === 0) {
+    return null;
+  }
+
+  const escrow = bountyAccount(bountyId, "escrow");
+  const funding = userAccount(ownerId, "funding");
+  const increase = Number(delta) > 0;
+  return transfer(client, {
+    entryType: "adjust",
+    bountyId,
+    from: increase ? funding : escrow,
+    to: increase ? escrow : funding,
+    amount: increase ? delta : negate(delta),
+    description: `Bounty #${bountyId} amount changed from ${oldAmount} to ${newAmount}`,
+    actorId,
+  });
+}
+
+async function approveBounty(
+  client,
+  { bountyId, amount, claimantId, actorId }
+) {
+  return transfer(client, {
+    entryType: "approve",
+    bountyId,
+    from: bountyAccount(bountyId, "escrow"),
+    to: bountyAccount(bountyId, "payable"),
+    amount,
+    description: `Approved bounty #${bountyId} for user ${claimantId}`,
+    actorId,
+  });
+}
+
+async function payoutBounty(
+  client,
+  { bountyId, claimantId, amount, reference, actorId }
+) {
+  const entryId = await transfer(client, {
+    entryType: "payout",
+    bountyId,
+    from: bountyAccount(bountyId, "payable"),
+    to: userAccount(claimantId, "earnings"),
+    amount,
+    description: `Paid out bounty #${bountyId}`,
+    reference,
+    actorId,
+  });
+  await syncTotalEarnings(client, claimantId);
+  return entryId;
+}
+
+// What is still held for the bounty, approved or not
+async function getHeldAmount(client, bountyId) {
+  const currency = await getBountyCurrency(client, bountyId);
+  const result = await client.query(
+    "SELECT $1::numeric + $2::numeric AS held",
+    await Promise.all(
+      ["payable", "escrow"].map((kind) =>
+        getBalance(client, bountyAccount(bountyId, kind), currency)
+      )
+    )
+  );
+  return result.rows[0].held;
+}
+
+// Return whatever is still held for the bounty to its backers, in a single
+// entry. `refunds` lists { userId, amount } and must add up to
+// getHeldAmount().
+async function refundBounty(client, { bountyId, refunds, actorId }) {
+  const currency = await getBountyCurrency(client, bountyId);
+  const lines = [];
+  for (const kind of ["payable", "escrow"]) {
+    const account = bountyAccount(bountyId, kind);
+    const balance = await getBalance(client, account, currency);
+    if (Number(balance) > 0) {
+      lines.push({ account, amount: negate(balance) });
+    }
+  }
+  if (lines.length === 0) {
+    return null;
+  }
+  for (const { userId, amount } of refunds) {
+    if (Number(amount) > 0) {
+      lines.push({ account: userAccount(userId, "funding"), amount });
+    }
+  }
+  return postEntry(client, {
+    entryType: "refund",
+    bountyId,
+    lines,
+    description: `Refunded bounty #${bountyId}`,
+    actorId,
+  });
+}
+
+// users.total_earnings caches the SOL earnings balance, as it did before
+// other currencies; statements report every currency
+async function syncTotalEarnings(client, userId) {
+  await client.query(
+    "UPDATE users SET total_earnings = $1 WHERE github_id = $2",
+    [await getBalance(client, userAccount(userId, "earnings"), "SOL"), userId]
+  );
+}
+
+async function getStatement(client, userId) {
+  const totalsResult = await client.query(
+    `
+      SELECT
+        a.currency,
+        COALESCE(SUM(l.amount) FILTER (WHERE a.kind = 'earnings'), 0) AS total_earnings,
+        COALESCE(-SUM(l.amount) FILTER (WHERE a.kind = 'funding'), 0) AS total_funded
+      FROM ledger_accounts a
+      JOIN ledger_lines l ON l.account_id = a.id
+      WHERE a.owner_type = 'user' AND a.owner_id = $1
+      GROUP BY a.currency
+      ORDER BY a.currency
+    `,
+    [userId]
+  );
+  const linesResult = await client.query(
+    `
+      SELECT
+        e.id AS entry_id,
+        e.entry_type,
+        e.bounty_id,
+        e.description,
+        e.reference,
+        e.created_at,
+        a.kind AS account,
+        a.currency,
+        l.amount,
+        SUM(l.amount) OVER (PARTITION BY a.id ORDER BY e.created_at, e.id) AS running_balance
+      FROM ledger_lines l
+      JOIN ledger_accounts a ON a.id = l.account_id
+      JOIN journal_entries e ON e.id = l.entry_id
+      WHERE a.owner_type = 'user' AND a.owner_id = $1
+      ORDER BY e.created_at DESC, e.id DESC
+    `,
+    [userId]
+  );
+
+  // Totals per currency, e.g. { SOL: { totalEarnings, totalFunded } }
+  const totals = {};
+  for (const row of totalsResult.rows) {
+    totals[row.currency] = {
+      totalEarnings: row.total_earnings,
+      totalFunded: row.total_funded,
+    };
+  }
+
+  return { totals, entries: linesResult.rows };
+}
+
+module.exports = {
+  adjustBounty,
+  approveBounty,
+  fundBounty,
+  getBalance,
+  getHeldAmount,
+  getStatement,
+  payoutBounty,
+  refundBounty,
+};
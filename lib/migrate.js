@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+// Arbitrary key so that only one process runs migrations at a time
+const MIGRATION_LOCK_ID = 727274;
+
+// Migration files are named "<version>_<name>.js" and export async
+// up(client) and down(client) functions.
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => /^\d+_[\w-]+\.js$/.test(file))
+    .map((file) => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      const migration = require(path.join(dir, file));
+      if (
+        typeof migration.up !== "function" ||
+        typeof migration.down !== "function"
+      ) {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+      return { version: parseInt(version, 10), name, ...migration };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+function migrationLabel(migration) {
+  return `${String(migration.version).padStart(3, "0")}_${migration.name}`;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query(
+    "SELECT version FROM schema_migrations ORDER BY version"
+  );
+  return result.rows.map((row) => row.version);
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT pg_advisory_lock($1)", [MIGRATION_LOCK_ID]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client
+      .query("SELECT pg_advisory_unlock($1)", [MIGRATION_LOCK_ID])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+// Each migration runs in its own transaction together with its
+// schema_migrations bookkeeping.
+async function runMigration(client, migration, direction) {
+  try {
+    await client.query("BEGIN");
+    await migration[direction](client);
+    if (direction === "up") {
+      await client.query(
+        "INSERT INTO schema_migrations (version, name) VALUES ($1, $2)",
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query("DELETE FROM schema_migrations WHERE version = $1", [
+        migration.version,
+      ]);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    error.message = `Migration ${migrationLabel(migration)} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+}
+
+// Apply every pending migration, or those up to and including `to`.
+async function migrate(pool, { to } = {}) {
+  const migrations = loadMigrations();
+  return withLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(
+      (migration) =>
+        !applied.includes(migration.version) &&
+        (to === undefined || migration.version <= to)
+    );
+
+    for (const migration of pending) {
+      await runMigration(client, migration, "up");
+      console.log(`Applied migration ${migrationLabel(migration)}`);
+    }
+    return pending.map((migration) => migration.version);
+  });
+}
+
+// Revert the last `steps` applied migrations.
+async function rollback(pool, { steps = 1 } = {}) {
+  const migrations = loadMigrations();
+  return withLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = applied.slice(-steps).reverse();
+
+    for (const version of toRevert) {
+      const migration = migrations.find((m) => m.version === version);
+      if (!migration) {
+        throw new Error(`Migration file for version ${version} is missing`);
+      }
+      await runMigration(client, migration, "down");
+      console.log(`Reverted migration ${migrationLabel(migration)}`);
+    }
+    return toRevert;
+  });
+}
+
+async function status(pool) {
+  const migrations = loadMigrations();
+  return withLock(pool, async (client) => {
+    const result = await client.query(
+      "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+    );
+    const applied = new Map(result.rows.map((row) => [row.version, row]));
+    const known = migrations.map((migration) => ({
+      version: migration.version,
+      name: migration.name,
+      appliedAt: applied.get(migration.version)?.applied_at || null,
+    }));
+    // Versions recorded in the database without a file on disk
+    const missing = result.rows
+      .filter((row) => !migrations.some((m) => m.version === row.version))
+      .map((row) => ({
+        version: row.version,
+        name: row.name,
+        appliedAt: row.applied_at,
+        missing: true,
+      }));
+    return [...known, ...missing].sort((a, b) => a.version - b.version);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  migrationLabel,
+  migrate,
+  rollback,
+  status,
+};
@@ -0,0 +1,128 @@
+const crypto = require("crypto");
+
+// The state is also kept in a cookie so a callback only completes in the
+// browser that started the login
+const STATE_COOKIE = "oauth_state";
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "none",
+};
+
+class InvalidReturnToError extends Error {
+  constructor(returnTo) {
+    super(`returnTo path is not allowed: ${returnTo}`);
+    this.name = "InvalidReturnToError";
+  }
+}
+
+function hashState(state) {
+  return crypto.createHash("sha256").update(state).digest("hex");
+}
+
+// Path prefixes the frontend may be sent back to after login, from
+// LOGIN_RETURN_PATHS. Defaults to any path.
+function allowedReturnPaths() {
+  const paths = (process.env.LOGIN_RETURN_PATHS || "/")
+    .split(",")
+    .map((path) => path.trim())
+    .filter(Boolean);
+  return paths.length ? paths : ["/"];
+}
+
+// Only same-site paths are accepted, so the frontend never redirects to
+// another origin.
+function validateReturnTo(returnTo) {
+  if (returnTo === undefined || returnTo === "") {
+    return "/";
+  }
+  if (
+    typeof returnTo !== "string" ||
+    !returnTo.startsWith("/") ||
+    returnTo.startsWith("//") ||
+    /[\\\s]/.test(returnTo)
+  ) {
+    throw new InvalidReturnToError(returnTo);
+  }
+
+  const { pathname } = new URL(returnTo, "http://localhost");
+  const allowed = allowedReturnPaths().some(
+    (prefix) =>
+      prefix === "/" ||
+      pathname === prefix ||
+      pathname.startsWith(prefix.endsWith("/") ? prefix : `${prefix}/`)
+  );
+  if (!allowed) {
+    throw new InvalidReturnToError(returnTo);
+  }
+  return returnTo;
+}
+
+// Start a login: store a one-time state with its PKCE verifier and return
+// what the authorize URL needs.
+async function createLoginAttempt(db, { returnTo }) {
+  await db.query(
+    "DELETE FROM oauth_states WHERE expires_at < CURRENT_TIMESTAMP"
+  );
+
+  const state = crypto.randomBytes(32).toString("base64url");
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  await db.query(
+    `INSERT INTO oauth_states (state_hash, code_verifier, return_to, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [
+      hashState(state),
+      codeVerifier,
+      validateReturnTo(returnTo),
+      new Date(Date.now() + STATE_TTL_MS),
+    ]
+  );
+  return { state, codeChallenge };
+}
+
+// Mark a login attempt as used and return it, or null if the state is
+// unknown, expired, already used or was not issued to this browser.
+async function consumeLoginAttempt(db, { state, cookieState }) {
+  if (
+    typeof state !== "string" ||
+    typeof cookieState !== "string" ||
+    !state ||
+    hashState(state) !== hashState(cookieState)
+  ) {
+    return null;
+  }
+  const result = await db.query(
+    `UPDATE oauth_states SET used_at = CURRENT_TIMESTAMP
+     WHERE state_hash = $1
+       AND used_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP
+     RETURNING code_verifier, return_to`,
+    [hashState(state)]
+  );
+  return result.rows[0] || null;
+}
+
+function setStateCookie(res, state) {
+  res.cookie(STATE_COOKIE, state, { ...cookieOptions, maxAge: STATE_TTL_MS });
+}
+
+function clearStateCookie(res) {
+  res.clearCookie(STATE_COOKIE, cookieOptions);
+}
+
+module.exports = {
+  InvalidReturnToError,
+  STATE_COOKIE,
+  clearStateCookie,
+  consumeLoginAttempt,
+  createLoginAttempt,
+  setStateCookie,
+  validateReturnTo,
+};
@@ -0,0 +1,403 @@
+const axios = require("axios");
+const crypto = require("crypto");
+const dns = require("dns");
+const https = require("https");
+const net = require("net");
+const { pool } = require("./db");
+const encryption = require("./encryption");
+const jobs = require("./jobs");
+
+// Webhooks to integrators. Users register HTTPS endpoints for the bounties
+// they created or claimed, and organization admins for every bounty in the
+// organization's repositories. Each event is stored as a delivery and sent
+// by the job queue, which retries failures with backoff. Payloads are signed
+// like GitHub's: X-Paisa-Signature-256 is "sha256=" followed by the hex
+// HMAC-SHA256 of the body with the endpoint's secret.
+
+// Events endpoints can subscribe to; endpoints without a list get them all
+const EVENT_TYPES = [
+  "bounty.created",
+  "bounty.claimed",
+  "bounty.reopened",
+  "bounty.ready_for_approval",
+  "bounty.suspended",
+  "bounty.approved",
+  "bounty.payment_pending",
+  "bounty.paid",
+  "bounty.cancelled",
+  "bounty.expired",
+  "bounty.disputed",
+];
+
+const DELIVERY_TIMEOUT_MS = 10 * 1000;
+const MAX_ATTEMPTS = 8;
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+class InvalidEndpointError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidEndpointError";
+  }
+}
+
+// Whether `host` is an IP literal in a private, loopback, link-local,
+// carrier-grade NAT, multicast or reserved range
+function isPrivateAddress(host) {
+  const address = host.replace(/^\[|\]$/g, "").toLowerCase();
+  if (net.isIPv4(address)) {
+    const [a, b] = address.split(".").map(Number);
+    return (
+      a === 0 ||
+      a === 10 ||
+      a === 127 ||
+      (a === 100 && b >= 64 && b <= 127) ||
+      (a === 169 && b === 254) ||
+      (a === 172 && b >= 16 && b <= 31) ||
+      (a === 192 && b === 168) ||
+      a >= 224
+    );
+  }
+  if (net.isIPv6(address)) {
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+    if (mapped) {
+      return isPrivateAddress(mapped[1]);
+    }
+    return (
+      address === "::" ||
+      address === "::1" ||
+      address.startsWith("::ffff:") ||
+      address.startsWith("fc") ||
+      address.startsWith("fd") ||
+      /^fe[89ab]/.test(address) ||
+      address.startsWith("ff")
+    );
+  }
+  return false;
+}
+
+// DNS lookup for outbound deliveries that refuses private addresses. It runs
+// on every connection, so a hostname that resolves (or is later rebound) to
+// an internal address is rejected before anything is sent to it.
+function publicLookup(hostname, options, callback) {
+  if (typeof options === "function") {
+    callback = options;
+    options = {};
+  }
+  const lookupOptions =
+    typeof options === "number" ? { family: options } : { ...options };
+  dns.lookup(hostname, { ...lookupOptions, all: true }, (error, addresses) => {
+    if (error) {
+      callback(error);
+      return;
+    }
+    const rejected = addresses.find(({ address }) =>
+      isPrivateAddress(address)
+    );
+    if (rejected || addresses.length === 0) {
+      const lookupError = new Error(
+        `${hostname} resolves to a non-public address`
+      );
+      lookupError.code = "EPRIVATEADDRESS";
+      callback(lookupError);
+      return;
+    }
+    if (lookupOptions.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+const deliveryAgent = new https.Agent({ lookup: publicLookup });
+
+// Endpoints must be public HTTPS URLs
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new InvalidEndpointError("url must be a valid URL");
+  }
+  if (parsed.protocol !== "https:") {
+    throw new InvalidEndpointError("url must use https");
+  }
+  if (parsed.username || parsed.password) {
+    throw new InvalidEndpointError("url must not contain credentials");
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (
+    host === "localhost" ||
+    host.endsWith(".localhost") ||
+    isPrivateAddress(host)
+  ) {
+    throw new InvalidEndpointError("url must be a public address");
+  }
+  return parsed.toString();
+}
+
+function validateEvents(events) {
+  if (
+    !Array.isArray(events) ||
+    !events.every((event) => EVENT_TYPES.includes(event))
+  ) {
+    throw new InvalidEndpointError(
+      `events must be a list of ${EVENT_TYPES.join(", ")}`
+    );
+  }
+  return [...new Set(events)];
+}
+
+function publicEndpoint(row) {
+  const { secret, ...endpoint } = row;
+  return endpoint;
+}
+
+// Register an endpoint for the user `userId` or the installation
+// `installationId`. The generated secret is only returned here.
+async function createEndpoint(
+  db,
+  { userId = null, installationId = null, url, events = [], createdBy }
+) {
+  const validUrl = validateUrl(url);
+  const validEvents = validateEvents(events);
+  const secret = `whsec_${crypto.randomBytes(24).toString("hex")}`;
+  const result = await db.query(
+    `
+      INSERT INTO webhook_endpoints (user_id, installation_id, url, secret, events, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `,
+    [
+      userId,
+      installationId,
+      validUrl,
+      await encryption.encrypt(secret),
+      validEvents,
+      createdBy,
+    ]
+  );
+  return { ...publicEndpoint(result.rows[0]), secret };
+}
+
+async function getEndpoint(db, endpointId) {
+  const result = await db.query(
+    "SELECT * FROM webhook_endpoints WHERE id = $1",
+    [endpointId]
+  );
+  return result.rows[0] ? publicEndpoint(result.rows[0]) : null;
+}
+
+// Endpoints of the user, and those they registered for installations
+async function listEndpoints(db, userId) {
+  const result = await db.query(
+    `
+      SELECT e.*, i.account_login AS installation_account
+      FROM webhook_endpoints e
+      LEFT JOIN installations i ON i.id = e.installation_id
+      WHERE e.user_id = $1 OR e.created_by = $1
+      ORDER BY e.created_at, e.id
+    `,
+    [userId]
+  );
+  return result.rows.map(publicEndpoint);
+}
+
+async function deleteEndpoint(db, endpointId) {
+  await db.query("DELETE FROM webhook_endpoints WHERE id = $1", [endpointId]);
+}
+
+async function listDeliveries(db, endpointId, { limit = 50 } = {}) {
+  const result = await db.query(
+    `
+      SELECT id, event, payload, status, attempts, response_status, response_body,
+             error, duration_ms, created_at, last_attempt_at, delivered_at
+      FROM webhook_endpoint_deliveries
+      WHERE endpoint_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `,
+    [endpointId, Math.min(Number(limit) || 50, 200)]
+  );
+  return result.rows;
+}
+
+async function enqueueDelivery(db, { endpointId, event, payload }) {
+  const result = await db.query(
+    `
+      INSERT INTO webhook_endpoint_deliveries (endpoint_id, event, payload)
+      VALUES ($1, $2, $3)
+      RETURNING id, endpoint_id, event, status, created_at
+    `,
+    [endpointId, event, payload]
+  );
+  const delivery = result.rows[0];
+  await jobs.enqueue(
+    db,
+    "webhook.outbound",
+    { deliveryId: delivery.id },
+    { maxAttempts: MAX_ATTEMPTS }
+  );
+  return delivery;
+}
+
+// Queue `payload` for every active endpoint subscribed to `event` that
+// covers the bounty: endpoints of the users in `userIds`, and those of the
+// installation `repository` is recorded under. Expects to run in the
+// transaction that caused the event, so nothing is sent if it rolls back.
+async function enqueueDeliveries(
+  client,
+  { event, payload, userIds, repository }
+) {
+  const result = await client.query(
+    `
+      SELECT e.id
+      FROM webhook_endpoints e
+      WHERE e.active
+        AND (cardinality(e.events) = 0 OR $1 = ANY(e.events))
+        AND (
+          e.user_id = ANY($2)
+          OR e.installation_id IN (
+            SELECT r.installation_id
+            FROM repositories r
+            JOIN installations i ON i.id = r.installation_id
+            WHERE lower(r.full_name) = lower($3)
+              AND r.removed_at IS NULL
+              AND i.deleted_at IS NULL
+          )
+        )
+      ORDER BY e.id
+    `,
+    [event, userIds, repository]
+  );
+  for (const { id } of result.rows) {
+    await enqueueDelivery(client, { endpointId: id, event, payload });
+  }
+  return result.rows.length;
+}
+
+// Queue a test event for `endpointId`
+async function enqueuePing(db, endpointId) {
+  return enqueueDelivery(db, {
+    endpointId,
+    event: "ping",
+    payload: {
+      id: crypto.randomUUID(),
+      event: "ping",
+      created_at: new Date().toISOString(),
+      data: { endpoint_id: endpointId },
+    },
+  });
+}
+
+function sign(secret, body) {
+  return `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(body)
+    .digest("hex")}`;
+}
+
+// Job handler sending a delivery. Failures are recorded on the delivery and
+// thrown so that the job queue retries them; the delivery is marked failed
+// once the job runs out of attempts.
+async function deliverJob(job) {
+  const { deliveryId } = job.payload;
+  const result = await pool.query(
+    `
+      SELECT d.*, e.url, e.secret, e.active
+      FROM webhook_endpoint_deliveries d
+      JOIN webhook_endpoints e ON e.id = d.endpoint_id
+      WHERE d.id = $1
+    `,
+    [deliveryId]
+  );
+  const delivery = result.rows[0];
+  if (!delivery || delivery.status === "delivered") {
+    return;
+  }
+  if (!delivery.active) {
+    await pool.query(
+      "UPDATE webhook_endpoint_deliveries SET status = 'failed', error = 'Endpoint is disabled' WHERE id = $1",
+      [deliveryId]
+    );
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const startedAt = Date.now();
+  let response = null;
+  let error = null;
+  try {
+    // Checked again in case the rules changed since the endpoint was saved;
+    // hostnames are checked when the agent resolves them
+    validateUrl(delivery.url);
+    response = await axios.post(delivery.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "Paisa-Baat-Webhooks",
+        "X-Paisa-Event": delivery.event,
+        "X-Paisa-Delivery": String(delivery.id),
+        "X-Paisa-Signature-256": sign(
+          await encryption.decrypt(delivery.secret),
+          body
+        ),
+      },
+      httpsAgent: deliveryAgent,
+      proxy: false,
+      timeout: DELIVERY_TIMEOUT_MS,
+      maxRedirects: 0,
+      responseType: "text",
+      transformResponse: (data) => data,
+      validateStatus: () => true,
+    });
+  } catch (requestError) {
+    error = requestError;
+  }
+
+  const delivered = response && response.status >= 200 && response.status < 300;
+  const failure =
+    error?.message || (delivered ? null : `HTTP ${response.status}`);
+  const status = delivered
+    ? "delivered"
+    : job.attempts >= job.max_attempts
+      ? "failed"
+      : "pending";
+  await pool.query(
+    `
+      UPDATE webhook_endpoint_deliveries
+      SET status = $2, attempts = $3, response_status = $4, response_body = $5,
+          error = $6, duration_ms = $7, last_attempt_at = CURRENT_TIMESTAMP,
+          delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP END
+      WHERE id = $1
+    `,
+    [
+      deliveryId,
+      status,
+      job.attempts,
+      response?.status ?? null,
+      response
+        ? String(response.data ?? "").slice(0, MAX_RESPONSE_BODY_LENGTH)
+        : null,
+      failure,
+      Date.now() - startedAt,
+    ]
+  );
+  if (!delivered) {
+    throw new Error(`Delivery ${deliveryId} failed: ${failure}`);
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  InvalidEndpointError,
+  createEndpoint,
+  deleteEndpoint,
+  deliverJob,
+  enqueueDeliveries,
+  enqueuePing,
+  getEndpoint,
+  isPrivateAddress,
+  listDeliveries,
+  listEndpoints,
+  sign,
+};
@@ -0,0 +1,128 @@
+const { Transaction } = require("@solana/web3.js");
+const solana = require("./solana");
+
+// Payout transactions the backend builds for bounty backers. Each issued
+// transaction is stored with its message, so a signed submission can be
+// matched byte for byte, and a payment made on chain can be traced back to a
+// blockhash that was issued for the bounty.
+
+class PayoutMismatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PayoutMismatchError";
+  }
+}
+
+// Build and record an unsigned transaction for `payment` of a share of
+// `bounty`, from the wallet the backer pledged from to `to`. The transaction
+// is returned base64 encoded for the backer's wallet.
+async function issuePayoutTransaction(db, { bounty, payment, to }) {
+  const from = payment.from_address;
+  const { transaction, blockhash, lastValidBlockHeight } =
+    await solana.buildPayoutTransaction({
+      from,
+      to,
+      amount: payment.amount,
+      currency: bounty.currency,
+      bountyId: bounty.id,
+    });
+
+  await db.query(
+    `INSERT INTO payout_transactions
+       (bounty_id, share_id, payment_id, from_address, to_address, amount,
+        currency, recent_blockhash, last_valid_block_height, message)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      bounty.id,
+      payment.share_id,
+      payment.id,
+      from,
+      to,
+      payment.amount,
+      bounty.currency,
+      blockhash,
+      lastValidBlockHeight,
+      transaction.serializeMessage().toString("base64"),
+    ]
+  );
+
+  return {
+    transaction: transaction
+      .serialize({ requireAllSignatures: false, verifySignatures: false })
+      .toString("base64"),
+    recentBlockhash: blockhash,
+    lastValidBlockHeight,
+    memo: solana.payoutMemo(bounty.id),
+  };
+}
+
+// Decode a signed transaction and find the issued payout it signs. The
+// message must be exactly one issued for `bounty`, fully signed and not yet
+// expired.
+async function matchSignedTransaction(db, { bounty, serialized }) {
+  let transaction;
+  try {
+    transaction = Transaction.from(Buffer.from(serialized, "base64"));
+  } catch (error) {
+    throw new PayoutMismatchError("Transaction could not be decoded");
+  }
+
+  const result = await db.query(
+    `SELECT * FROM payout_transactions
+     WHERE bounty_id = $1 AND message = $2
+     ORDER BY id DESC
+     LIMIT 1`,
+    [bounty.id, transaction.serializeMessage().toString("base64")]
+  );
+  const issued = result.rows[0];
+  if (!issued) {
+    throw new PayoutMismatchError(
+      "Transaction does not match the payout issued for this bounty"
+    );
+  }
+  if (!transaction.verifySignatures()) {
+    throw new PayoutMismatchError("Transaction is not fully signed");
+  }
+  if (
+    (await solana.getBlockHeight()) > Number(issued.last_valid_block_height)
+  ) {
+    throw new PayoutMismatchError(
+      "The payout transaction has expired, request a new one"
+    );
+  }
+
+  return { transaction, issued };
+}
+
+// The payout issued for payment `paymentId` of `bountyId` with
+// `recentBlockhash`, if any
+async function findIssuedTransaction(
+  db,
+  { bountyId, paymentId, recentBlockhash }
+) {
+  const result = await db.query(
+    `SELECT * FROM payout_transactions
+     WHERE bounty_id = $1 AND payment_id = $2 AND recent_blockhash = $3
+     ORDER BY id DESC
+     LIMIT 1`,
+    [bountyId, paymentId, recentBlockhash]
+  );
+  return result.rows[0] || null;
+}
+
+async function markSubmitted(db, { id, signature }) {
+  await db.query(
+    `UPDATE payout_transactions
+     SET signature = $2, submitted_at = COALESCE(submitted_at, NOW())
+     WHERE id = $1`,
+    [id, signature]
+  );
+}
+
+module.exports = {
+  PayoutMismatchError,
+  findIssuedTransaction,
+  issuePayoutTransaction,
+  markSubmitted,
+  matchSignedTransaction,
+};
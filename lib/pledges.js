@@ -0,0 +1,294 @@
+const { UNAPPROVED_STATUSES } = require("./bountyState");
+const currency = require("./currency");
+const ledger = require("./ledger");
+
+// Pledges towards a bounty. The creator's funding is the first pledge and
+// anyone can add to an open bounty with /bounty add, so the bounty amount is
+// always the sum of its pledges. Pledged funds stay in the wallet each backer
+// pledged from and are only held in the ledger's escrow: every share of an
+// approved bounty is paid by its backers from those wallets, and a cancelled
+// bounty is refunded, releasing the hold, in proportion to what each pledged.
+
+class PledgeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PledgeError";
+  }
+}
+
+// The wallet a backer funds pledges from: their connected address, which may
+// be their custodial wallet
+async function getWalletSource(db, userId) {
+  const result = await db.query(
+    "SELECT solana_address, wallet_address FROM users WHERE github_id = $1",
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user?.solana_address) {
+    return { walletAddress: null, walletSource: null };
+  }
+  return {
+    walletAddress: user.solana_address,
+    walletSource:
+      user.solana_address === user.wallet_address
+        ? "custodial_wallet"
+        : "solana_address",
+  };
+}
+
+// Split `total` base units in proportion to `weights`, settling rounding on
+// the last part
+function splitUnits(total, weights) {
+  const sum = weights.reduce((result, value) => result + value, 0n);
+  const parts = weights.map((weight) => (total * weight) / sum);
+  parts[parts.length - 1] +=
+    total - parts.reduce((result, value) => result + value, 0n);
+  return parts;
+}
+
+// Record a pledge for funds already moved into the bounty's escrow
+async function recordPledge(client, { bountyId, backerId, amount }) {
+  const { walletAddress, walletSource } = await getWalletSource(
+    client,
+    backerId
+  );
+  const result = await client.query(
+    `
+      INSERT INTO bounty_pledges (bounty_id, backer_id, amount, wallet_address, wallet_source)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `,
+    [bountyId, backerId, amount, walletAddress, walletSource]
+  );
+  return result.rows[0];
+}
+
+// Add `amount` from `backerId` to an open bounty, raising its amount and
+// funding its escrow. Expects to run inside a transaction. Returns the new
+// bounty amount.
+async function addPledge(client, { bountyId, backerId, amount, actorId }) {
+  const bountyResult = await client.query(
+    "SELECT status FROM bounties WHERE id = $1 FOR UPDATE",
+    [bountyId]
+  );
+  if (!UNAPPROVED_STATUSES.includes(bountyResult.rows[0]?.status)) {
+    throw new PledgeError("Only open bounties can be funded");
+  }
+
+  await recordPledge(client, { bountyId, backerId, amount });
+  const result = await client.query(
+    "UPDATE bounties SET amount = amount + $1 WHERE id = $2 RETURNING amount",
+    [amount, bountyId]
+  );
+  await ledger.fundBounty(client, {
+    bountyId,
+    ownerId: backerId,
+    amount,
+    actorId,
+  });
+  return result.rows[0].amount;
+}
+
+// Follow a change of the bounty amount by its creator from `oldAmount` to
+// `newAmount` in the creator's own pledges. Other backers' pledges are never
+// reduced. Expects to run inside a transaction.
+async function changeCreatorPledge(client, { bounty, oldAmount, newAmount }) {
+  const locked = await client.query(
+    "SELECT amount FROM bounties WHERE id = $1 FOR UPDATE",
+    [bounty.id]
+  );
+  const code = bounty.currency;
+  const current = currency.toBaseUnits(locked.rows[0].amount, code);
+  if (current !== currency.toBaseUnits(oldAmount, code)) {
+    throw new PledgeError("The bounty amount has changed, please try again");
+  }
+
+  const delta = currency.toBaseUnits(newAmount, code) - current;
+  if (delta > 0n) {
+    await recordPledge(client, {
+      bountyId: bounty.id,
+      backerId: bounty.creator_id,
+      amount: currency.fromBaseUnits(delta, code),
+    });
+    return;
+  }
+
+  // Lower the creator's most recent pledges first
+  const pledgesResult = await client.query(
+    `
+      SELECT id, amount FROM bounty_pledges
+      WHERE bounty_id = $1 AND backer_id = $2
+      ORDER BY id DESC
+    `,
+    [bounty.id, bounty.creator_id]
+  );
+  let remaining = -delta;
+  for (const pledge of pledgesResult.rows) {
+    if (remaining === 0n) {
+      break;
+    }
+    const amount = currency.toBaseUnits(pledge.amount, code);
+    if (amount <= remaining) {
+      await client.query("DELETE FROM bounty_pledges WHERE id = $1", [
+        pledge.id,
+      ]);
+      remaining -= amount;
+    } else {
+      await client.query(
+        "UPDATE bounty_pledges SET amount = $2 WHERE id = $1",
+        [pledge.id, currency.fromBaseUnits(amount - remaining, code)]
+      );
+      remaining = 0n;
+    }
+  }
+  if (remaining > 0n) {
+    throw new PledgeError(
+      "The amount cannot be lowered below what other backers have pledged"
+    );
+  }
+}
+
+// Backers of a bounty with their total pledge, first backer first
+async function getBackers(db, bountyId) {
+  const result = await db.query(
+    `
+      SELECT
+        p.backer_id,
+        u.name AS backer_name,
+        SUM(p.amount) AS amount,
+        COUNT(*)::int AS pledges,
+        MIN(p.created_at) AS first_pledged_at
+      FROM bounty_pledges p
+      LEFT JOIN users u ON u.github_id = p.backer_id
+      WHERE p.bounty_id = $1
+      GROUP BY p.backer_id, u.name
+      ORDER BY MIN(p.created_at), p.backer_id
+    `,
+    [bountyId]
+  );
+  return result.rows;
+}
+
+// The backers funding a bounty with their total pledge and the wallet of
+// their latest pledge, falling back to their connected address for pledges
+// made without one. First backer first.
+async function getFunders(db, bountyId) {
+  const result = await db.query(
+    `
+      SELECT
+        backer_id,
+        SUM(amount) AS amount,
+        (ARRAY_AGG(wallet_address ORDER BY id DESC)
+          FILTER (WHERE wallet_address IS NOT NULL))[1] AS wallet_address,
+        (ARRAY_AGG(wallet_source ORDER BY id DESC)
+          FILTER (WHERE wallet_address IS NOT NULL))[1] AS wallet_source
+      FROM bounty_pledges
+      WHERE bounty_id = $1 AND refunded_at IS NULL
+      GROUP BY backer_id
+      ORDER BY MIN(id)
+    `,
+    [bountyId]
+  );
+  const funders = [];
+  for (const row of result.rows) {
+    const wallet = row.wallet_address
+      ? { walletAddress: row.wallet_address, walletSource: row.wallet_source }
+      : await getWalletSource(db, row.backer_id);
+    funders.push({ backerId: row.backer_id, amount: row.amount, ...wallet });
+  }
+  return funders;
+}
+
+// Split `amount` of `code` between `funders` from getFunders() in proportion
+// to their pledges. Rounding is settled on the last funder and funders whose
+// part rounds down to nothing are left out.
+function splitByPledges(amount, funders, code) {
+  const parts = splitUnits(
+    currency.toBaseUnits(amount, code),
+    funders.map((funder) => currency.toBaseUnits(funder.amount, code))
+  );
+  return funders
+    .map((funder, index) => ({
+      ...funder,
+      amount: currency.fromBaseUnits(parts[index], code),
+      units: parts[index],
+    }))
+    .filter(({ units }) => units > 0n)
+    .map(({ units, ...funder }) => funder);
+}
+
+// Refund whatever is still held for a cancelled bounty to its backers, in
+// proportion to their pledges. Rounding is settled on the last pledge.
+// Expects to run inside a transaction. Returns the refund per backer with the
+// wallet it is released to.
+async function refundPledges(client, { bounty, actorId }) {
+  const code = bounty.currency;
+  const held = currency.toBaseUnits(
+    await ledger.getHeldAmount(client, bounty.id),
+    code
+  );
+  const pledgesResult = await client.query(
+    "SELECT id, backer_id, amount, wallet_address, wallet_source FROM bounty_pledges WHERE bounty_id = $1 AND refunded_at IS NULL ORDER BY id",
+    [bounty.id]
+  );
+  const pledges = pledgesResult.rows;
+  if (pledges.length === 0) {
+    // Nobody left to refund but the creator
+    pledges.push({ id: null, backer_id: bounty.creator_id, amount: "1" });
+  }
+
+  const amounts = splitUnits(
+    held,
+    pledges.map((pledge) => currency.toBaseUnits(pledge.amount, code))
+  );
+
+  // Each backer's refund goes back to the wallet of their latest pledge
+  const refunds = new Map();
+  for (const [index, pledge] of pledges.entries()) {
+    if (pledge.id !== null) {
+      await client.query(
+        "UPDATE bounty_pledges SET refunded_amount = $2, refunded_at = NOW() WHERE id = $1",
+        [pledge.id, currency.fromBaseUnits(amounts[index], code)]
+      );
+    }
+    const refund = refunds.get(pledge.backer_id) || { units: 0n };
+    refund.units += amounts[index];
+    if (pledge.wallet_address) {
+      refund.walletAddress = pledge.wallet_address;
+      refund.walletSource = pledge.wallet_source;
+    }
+    refunds.set(pledge.backer_id, refund);
+  }
+
+  const result = [];
+  for (const [userId, refund] of refunds) {
+    const wallet = refund.walletAddress
+      ? {
+          walletAddress: refund.walletAddress,
+          walletSource: refund.walletSource,
+        }
+      : await getWalletSource(client, userId);
+    result.push({
+      userId,
+      amount: currency.fromBaseUnits(refund.units, code),
+      ...wallet,
+    });
+  }
+  await ledger.refundBounty(client, {
+    bountyId: bounty.id,
+    refunds: result,
+    actorId,
+  });
+  return result;
+}
+
+module.exports = {
+  PledgeError,
+  addPledge,
+  changeCreatorPledge,
+  getBackers,
+  getFunders,
+  recordPledge,
+  refundPledges,
+  splitByPledges,
+};
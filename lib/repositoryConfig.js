@@ -0,0 +1,401 @@
+const yaml = require("js-yaml");
+const currency = require("./currency");
+
+// Per-repository bot configuration, read from .paisa.yml or .github/paisa.yml
+// on the default branch. Repositories without a file get the defaults.
+//
+//   currencies: [SOL, USDC]     # allowed currencies, the first is the default
+//   limits:
+//     SOL: { min: 0.1, max: 50 }
+//   required_labels: [bounty]   # labels an issue needs to get a bounty
+//   expire_after_days: 30       # open bounties expire and are refunded
+//   approvers: write            # creator, write, maintain (default) or admin
+//   templates:
+//     created: "A bounty of {{amount}} is up for grabs! ..."
+
+const CONFIG_PATHS = [".paisa.yml", ".github/paisa.yml"];
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+const APPROVERS = ["creator", "write", "maintain", "admin"];
+
+// Placeholders each comment template may use
+const TEMPLATE_VARIABLES = {
+  created: ["amount", "bounty_id", "creator", "frontend_url", "repository"],
+  claimed: ["bounty_id", "claimant", "frontend_url", "repository"],
+  approved: ["amount", "bounty_id", "claimant", "frontend_url"],
+};
+
+const DEFAULT_TEMPLATES = {
+  created: `Congratulations! A bounty of {{amount}} has been created for this issue.
+
+1. To claim this bounty, type "/claim-bounty {{bounty_id}}" on its own line in the body of your PR or in a comment.
+2. To receive payment, you must join Paisa-Baat ({{frontend_url}}) and complete authorization and wallet connection.
+3. Once approved, payment can take up to 3-5 days to complete.
+4. Thank you for contributing to {{repository}}!`,
+  claimed:
+    "Thank you for your contribution! The repo owners/managers will review your code and approve it if deemed correct. In the meantime, you can check out new bounties at {{frontend_url}}.",
+  approved:
+    "@{{claimant}}'s claim has been approved. The payment of {{amount}} will be made from {{frontend_url}}.",
+};
+
+const DEFAULT_CONFIG = {
+  path: null,
+  currencies: null,
+  limits: {},
+  requiredLabels: [],
+  expireAfterDays: null,
+  approvers: "maintain",
+  templates: DEFAULT_TEMPLATES,
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+class InvalidConfigError extends Error {
+  constructor(path, errors) {
+    super(`Invalid ${path}: ${errors.join("; ")}`);
+    this.name = "InvalidConfigError";
+    this.path = path;
+    this.errors = errors;
+  }
+}
+
+const cache = new Map();
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) && value.every((item) => typeof item === "string")
+  );
+}
+
+function parseCurrencies(value, errors) {
+  if (!isStringList(value) || value.length === 0) {
+    errors.push("`currencies` must be a non-empty list of currency codes");
+    return null;
+  }
+  const codes = value.map((code) => code.toUpperCase());
+  for (const code of codes) {
+    if (!currency.CURRENCIES[code]) {
+      errors.push(`\`currencies\` lists unknown currency \`${code}\``);
+    }
+  }
+  return codes;
+}
+
+function parseLimits(value, errors) {
+  const limits = {};
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    errors.push("`limits` must map currency codes to `min` and `max`");
+    return limits;
+  }
+  for (const [key, bounds] of Object.entries(value)) {
+    const code = key.toUpperCase();
+    if (!currency.CURRENCIES[code]) {
+      errors.push(`\`limits\` has unknown currency \`${key}\``);
+      continue;
+    }
+    if (typeof bounds !== "object" || bounds === null) {
+      errors.push(`\`limits.${key}\` must have \`min\` and/or \`max\``);
+      continue;
+    }
+    const limit = {};
+    for (const [name, amount] of Object.entries(bounds)) {
+      if (name !== "min" && name !== "max") {
+        errors.push(`\`limits.${key}\` has unknown key \`${name}\``);
+        continue;
+      }
+      try {
+        limit[name] = currency.parseAmount(String(amount), code);
+      } catch (error) {
+        if (!(error instanceof currency.InvalidAmountError)) {
+          throw error;
+        }
+        errors.push(`\`limits.${key}.${name}\`: ${error.message}`);
+      }
+    }
+    if (
+      limit.min !== undefined &&
+      limit.max !== undefined &&
+      currency.toBaseUnits(limit.min, code) >
+        currency.toBaseUnits(limit.max, code)
+    ) {
+      errors.push(`\`limits.${key}.min\` is larger than its \`max\``);
+    }
+    limits[code] = limit;
+  }
+  return limits;
+}
+
+function parseTemplates(value, errors) {
+  const templates = { ...DEFAULT_TEMPLATES };
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    errors.push("`templates` must map template names to text");
+    return templates;
+  }
+  for (const [name, text] of Object.entries(value)) {
+    if (!TEMPLATE_VARIABLES[name]) {
+      errors.push(
+        `Unknown template \`${name}\`, use one of ${Object.keys(
+          TEMPLATE_VARIABLES
+        ).join(", ")}`
+      );
+      continue;
+    }
+    if (typeof text !== "string" || text.trim() === "") {
+      errors.push(`Template \`${name}\` must be text`);
+      continue;
+    }
+    for (const [, variable] of text.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!TEMPLATE_VARIABLES[name].includes(variable)) {
+        errors.push(
+          `Template \`${name}\` cannot use \`{{${variable}}}\`, use one of ${TEMPLATE_VARIABLES[
+            name
+          ]
+            .map((known) => `{{${known}}}`)
+            .join(", ")}`
+        );
+      }
+    }
+    templates[name] = text;
+  }
+  return templates;
+}
+
+// Parse and validate the YAML `text` of the config file at `path`. Throws an
+// InvalidConfigError listing every problem found.
+function parseConfig(text, path) {
+  let raw;
+  try {
+    raw = yaml.load(text);
+  } catch (error) {
+    throw new InvalidConfigError(path, [
+      `YAML could not be parsed: ${error.reason || error.message}`,
+    ]);
+  }
+  if (raw === undefined || raw === null) {
+    return { ...DEFAULT_CONFIG, path };
+  }
+  if (typeof raw !== "object" || Array.isArray(raw)) {
+    throw new InvalidConfigError(path, ["The file must contain a mapping"]);
+  }
+
+  const errors = [];
+  const config = { ...DEFAULT_CONFIG, path };
+  for (const [key, value] of Object.entries(raw)) {
+    switch (key) {
+      case "currencies":
+        config.currencies = parseCurrencies(value, errors);
+        break;
+      case "limits":
+        config.limits = parseLimits(value, errors);
+        break;
+      case "required_labels":
+        if (isStringList(value)) {
+          config.requiredLabels = value;
+        } else {
+          errors.push("`required_labels` must be a list of label names");
+        }
+        break;
+      case "expire_after_days":
+        if (Number.isInteger(value) && value > 0 && value <= 365) {
+          config.expireAfterDays = value;
+        } else {
+          errors.push(
+            "`expire_after_days` must be a whole number of days up to 365"
+          );
+        }
+        break;
+      case "approvers":
+        if (APPROVERS.includes(value)) {
+          config.approvers = value;
+        } else {
+          errors.push(`\`approvers\` must be one of ${APPROVERS.join(", ")}`);
+        }
+        break;
+      case "templates":
+        config.templates = parseTemplates(value, errors);
+        break;
+      default:
+        errors.push(`Unknown setting \`${key}\``);
+    }
+  }
+  if (errors.length > 0) {
+    throw new InvalidConfigError(path, errors);
+  }
+  return config;
+}
+
+// Fetch the config file of `owner/repo` at `ref` (the default branch unless
+// given) through the installation client. Returns null if there is none.
+async function fetchConfigFile(octokit, { owner, repo, ref }) {
+  for (const path of CONFIG_PATHS) {
+    try {
+      const { data } = await octokit.rest.repos.getContent({
+        owner,
+        repo,
+        path,
+        ref,
+      });
+      return { path, text: Buffer.from(data.content, "base64").toString() };
+    } catch (error) {
+      if (error.status !== 404) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+// The validated config of `owner/repo`, cached for a few minutes. Throws an
+// InvalidConfigError if the file is invalid.
+async function loadConfig(octokit, { owner, repo }) {
+  const key = `${owner}/${repo}`.toLowerCase();
+  const cached = cache.get(key);
+  if (!cached || cached.expiresAt <= Date.now()) {
+    const file = await fetchConfigFile(octokit, { owner, repo });
+    let entry;
+    try {
+      entry = {
+        config: file ? parseConfig(file.text, file.path) : DEFAULT_CONFIG,
+      };
+    } catch (error) {
+      if (!(error instanceof InvalidConfigError)) {
+        throw error;
+      }
+      entry = { error };
+    }
+    cache.set(key, { ...entry, expiresAt: Date.now() + CACHE_TTL_MS });
+  }
+
+  const { config, error } = cache.get(key);
+  if (error) {
+    throw error;
+  }
+  return config;
+}
+
+function forgetConfig(repository) {
+  cache.delete(repository.toLowerCase());
+}
+
+function renderTemplate(config, name, variables) {
+  return config.templates[name].replace(
+    PLACEHOLDER_PATTERN,
+    (match, variable) => variables[variable] ?? ""
+  );
+}
+
+function formatConfigErrors(error) {
+  return `⚠️ The Paisa-Baat configuration in \`${
+    error.path
+  }\` is invalid, so bounty commands are disabled until it is fixed:\n\n${error.errors
+    .map((message) => `- ${message}`)
+    .join("\n")}`;
+}
+
+// Validate the config file after a push to the default branch that changed
+// it, and report the result as a check run on the pushed commit.
+async function checkConfigPush(octokit, payload) {
+  const { repository } = payload;
+  if (payload.ref !== `refs/heads/${repository.default_branch}`) {
+    return;
+  }
+  const changed = (payload.commits || []).some((commit) =>
+    [...commit.added, ...commit.modified, ...commit.removed].some((path) =>
+      CONFIG_PATHS.includes(path)
+    )
+  );
+  if (!changed) {
+    return;
+  }
+  forgetConfig(repository.full_name);
+
+  const owner = repository.owner.login ?? repository.owner.name;
+  const file = await fetchConfigFile(octokit, {
+    owner,
+    repo: repository.name,
+    ref: payload.after,
+  });
+  let output;
+  try {
+    const config = file ? parseConfig(file.text, file.path) : DEFAULT_CONFIG;
+    output = {
+      conclusion: "success",
+      title: "Configuration is valid",
+      summary: config.path
+        ? `\`${config.path}\` is valid.`
+        : "No configuration file, the defaults apply.",
+    };
+  } catch (error) {
+    if (!(error instanceof InvalidConfigError)) {
+      throw error;
+    }
+    output = {
+      conclusion: "failure",
+      title: `${error.errors.length} problem(s) in ${error.path}`,
+      summary: formatConfigErrors(error),
+    };
+  }
+
+  await octokit.rest.checks.create({
+    owner,
+    repo: repository.name,
+    name: "Paisa-Baat configuration",
+    head_sha: payload.after,
+    status: "completed",
+    conclusion: output.conclusion,
+    output: { title: output.title, summary: output.summary },
+  });
+}
+
+// Why a bounty of `amount` in `code` is outside the repository's limits, or
+// null if it is within them
+function checkLimits(config, { amount, code }) {
+  const { min } = config.limits[code] || {};
+  if (
+    min !== undefined &&
+    currency.toBaseUnits(amount, code) < currency.toBaseUnits(min, code)
+  ) {
+    return `Bounties in this repository must be at least ${currency.formatAmount(
+      min,
+      code
+    )}.`;
+  }
+  return checkMaximum(config, { amount, code });
+}
+
+// Like checkLimits, for a bounty total that has grown: only the maximum
+// applies, so a bounty below a raised minimum can still be added to
+function checkMaximum(config, { amount, code }) {
+  const { max } = config.limits[code] || {};
+  if (
+    max !== undefined &&
+    currency.toBaseUnits(amount, code) > currency.toBaseUnits(max, code)
+  ) {
+    return `Bounties in this repository can be at most ${currency.formatAmount(
+      max,
+      code
+    )}.`;
+  }
+  return null;
+}
+
+// The permission anyone but a bounty's creator needs to approve its claims,
+// or null if only the creator may
+function approverRole(config) {
+  return config.approvers === "creator" ? null : config.approvers;
+}
+
+module.exports = {
+  CONFIG_PATHS,
+  DEFAULT_CONFIG,
+  InvalidConfigError,
+  approverRole,
+  checkConfigPush,
+  checkLimits,
+  checkMaximum,
+  forgetConfig,
+  formatConfigErrors,
+  loadConfig,
+  parseConfig,
+  renderTemplate,
+};
@@ -0,0 +1,101 @@
+const { hasPermission } = require("./github");
+
+// Per-repository rules for who may create bounties and how they are claimed.
+// Repositories without settings let anyone with write access create them,
+// and accept claims from any pull request.
+
+const CREATOR_POLICIES = ["admin", "maintain", "write", "allowlist"];
+
+const DEFAULT_POLICY = {
+  bounty_creators: "write",
+  allowed_creators: [],
+  require_issue_reference: false,
+};
+
+async function getPolicy(client, repository) {
+  const result = await client.query(
+    "SELECT bounty_creators, allowed_creators, require_issue_reference FROM repository_settings WHERE repository = lower($1)",
+    [repository]
+  );
+  return result.rows[0] || DEFAULT_POLICY;
+}
+
+async function setPolicy(
+  client,
+  repository,
+  {
+    bountyCreators,
+    allowedCreators = [],
+    requireIssueReference = false,
+    actorId,
+  }
+) {
+  const result = await client.query(
+    `
+      INSERT INTO repository_settings
+        (repository, bounty_creators, allowed_creators, require_issue_reference, updated_by)
+      VALUES (lower($1), $2, $3, $4, $5)
+      ON CONFLICT (repository) DO UPDATE SET
+        bounty_creators = EXCLUDED.bounty_creators,
+        allowed_creators = EXCLUDED.allowed_creators,
+        require_issue_reference = EXCLUDED.require_issue_reference,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING bounty_creators, allowed_creators, require_issue_reference
+    `,
+    [
+      repository,
+      bountyCreators,
+      allowedCreators.map((login) => login.toLowerCase()),
+      requireIssueReference,
+      actorId,
+    ]
+  );
+  return result.rows[0];
+}
+
+// Repository admins can always create bounties, since they can change the
+// policy anyway. Under an allowlist the listed users may create bounties
+// regardless of their permission; otherwise the permission level named by
+// the policy is required.
+function canCreateBounty(policy, { username, permission }) {
+  if (permission === "admin") {
+    return true;
+  }
+  if (policy.bounty_creators === "allowlist") {
+    return policy.allowed_creators.includes(username.toLowerCase());
+  }
+  return hasPermission(permission, policy.bounty_creators);
+}
+
+// Who may manage an existing bounty: its owner needs write access to the
+// repository, anyone else needs `role`. With a null `role` only the owner
+// may.
+function canManageBounty({ isOwner, permission, role = "maintain" }) {
+  if (isOwner) {
+    return hasPermission(permission, "write");
+  }
+  return role !== null && hasPermission(permission, role);
+}
+
+function describePolicy(policy) {
+  switch (policy.bounty_creators) {
+    case "allowlist":
+      return "users on this repository's allowlist";
+    case "admin":
+      return "repository admins";
+    case "maintain":
+      return "repository maintainers";
+    default:
+      return "users with write access to this repository";
+  }
+}
+
+module.exports = {
+  CREATOR_POLICIES,
+  canCreateBounty,
+  canManageBounty,
+  describePolicy,
+  getPolicy,
+  setPolicy,
+};
@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+
+const SESSION_COOKIE = "session";
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+// last_seen_at is only written when it is older than this
+const TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+const cookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "none",
+};
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Start a session for `userId`. `replaceToken` is the session cookie the
+// browser already had, if any; it is revoked so a login always rotates the
+// token.
+async function createSession(
+  db,
+  { userId, userAgent, ipAddress, replaceToken }
+) {
+  if (replaceToken) {
+    await db.query(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND revoked_at IS NULL`,
+      [hashToken(replaceToken)]
+    );
+  }
+  await db.query(
+    "DELETE FROM sessions WHERE user_id = $1 AND expires_at < CURRENT_TIMESTAMP",
+    [userId]
+  );
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const csrfToken = crypto.randomBytes(32).toString("base64url");
+  const result = await db.query(
+    `INSERT INTO sessions (token_hash, user_id, csrf_token, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, expires_at`,
+    [
+      hashToken(token),
+      userId,
+      csrfToken,
+      userAgent || null,
+      ipAddress || null,
+      new Date(Date.now() + SESSION_TTL_MS),
+    ]
+  );
+  return { token, csrfToken, ...result.rows[0] };
+}
+
+// The live session for a cookie token, or null.
+async function getSession(db, token) {
+  if (typeof token !== "string" || !token) {
+    return null;
+  }
+  const result = await db.query(
+    `SELECT * FROM sessions
+     WHERE token_hash = $1
+       AND revoked_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP`,
+    [hashToken(token)]
+  );
+  const session = result.rows[0];
+  if (!session) {
+    return null;
+  }
+
+  if (Date.now() - new Date(session.last_seen_at) > TOUCH_INTERVAL_MS) {
+    await db.query(
+      "UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [session.id]
+    );
+  }
+  return session;
+}
+
+function verifyCsrfToken(session, token) {
+  if (typeof token !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(session.csrf_token);
+  const actual = Buffer.from(token);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+async function listSessions(db, userId) {
+  const result = await db.query(
+    `SELECT id, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+// Revoke one of the user's sessions. Returns false if it was not live.
+async function revokeSession(db, userId, sessionId) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+// Revoke all of the user's sessions and return how many there were.
+async function revokeAllSessions(db, userId) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL`,
+    [userId]
+  );
+  return result.rowCount;
+}
+
+function setSessionCookie(res, session) {
+  res.cookie(SESSION_COOKIE, session.token, {
+    ...cookieOptions,
+    expires: new Date(session.expires_at),
+  });
+}
+
+function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, cookieOptions);
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  clearSessionCookie,
+  createSession,
+  getSession,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  setSessionCookie,
+  verifyCsrfToken,
+};
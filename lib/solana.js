@@ -0,0 +1,318 @@
+const {
+  Connection,
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  TransactionInstruction,
+  clusterApiUrl,
+} = require("@solana/web3.js");
+const { getCurrency, toBaseUnits } = require("./currency");
+
+const TOKEN_PROGRAM_ID = new PublicKey(
+  "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA"
+);
+const ASSOCIATED_TOKEN_PROGRAM_ID = new PublicKey(
+  "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL"
+);
+const MEMO_PROGRAM_ID = new PublicKey(
+  "MemoSq4gqABAXKb96qnH8TysNcWxMyWCqXgDLGmfcHr"
+);
+
+// Any object exposing getParsedTransaction(signature, options),
+// getBalance(publicKey, commitment), getTokenAccountBalance(publicKey,
+// commitment), getLatestBlockhash(commitment), getBlockHeight(commitment),
+// sendRawTransaction(buffer, options) and confirmTransaction(strategy,
+// commitment) can act as the RPC client, so a local validator or a stub can
+// be swapped in with setRpcClient().
+let rpcClient = null;
+
+function createRpcClient(
+  rpcUrl = process.env.SOLANA_RPC_URL || clusterApiUrl("devnet")
+) {
+  return new Connection(rpcUrl, getCommitment());
+}
+
+function getRpcClient() {
+  if (!rpcClient) {
+    rpcClient = createRpcClient();
+  }
+  return rpcClient;
+}
+
+function setRpcClient(client) {
+  rpcClient = client;
+}
+
+function getCommitment() {
+  return process.env.SOLANA_COMMITMENT || "finalized";
+}
+
+// Balance of `address` in lamports.
+async function getBalance(address) {
+  return getRpcClient().getBalance(new PublicKey(address), getCommitment());
+}
+
+// The token account holding `mint` for `owner`.
+function getAssociatedTokenAddress(owner, mint) {
+  return PublicKey.findProgramAddressSync(
+    [
+      new PublicKey(owner).toBuffer(),
+      TOKEN_PROGRAM_ID.toBuffer(),
+      new PublicKey(mint).toBuffer(),
+    ],
+    ASSOCIATED_TOKEN_PROGRAM_ID
+  )[0];
+}
+
+// Balance of `address` in base units of `code`.
+async function getCurrencyBalance(address, code) {
+  const { mint } = getCurrency(code);
+  if (!mint) {
+    return BigInt(await getBalance(address));
+  }
+  try {
+    const { value } = await getRpcClient().getTokenAccountBalance(
+      getAssociatedTokenAddress(address, mint),
+      getCommitment()
+    );
+    return BigInt(value.amount);
+  } catch (error) {
+    // No token account means no tokens
+    if (/could not find account/i.test(error.message)) {
+      return 0n;
+    }
+    throw error;
+  }
+}
+
+// The memo tagging the payout of a bounty on chain
+function payoutMemo(bountyId) {
+  return `paisa-vasool bounty #${bountyId}`;
+}
+
+function buildMemoInstruction(text, signer) {
+  return new TransactionInstruction({
+    programId: MEMO_PROGRAM_ID,
+    keys: [{ pubkey: signer, isSigner: true, isWritable: false }],
+    data: Buffer.from(text, "utf8"),
+  });
+}
+
+// Instructions paying `amount` of `code` from `from` to `to` for bounty
+// `bountyId`, followed by the bounty's memo. Token payouts create the
+// recipient's token account if it does not exist yet, paid for by the sender.
+function buildPayoutInstructions({
+  from,
+  to,
+  amount,
+  currency: code,
+  bountyId,
+}) {
+  const fromKey = new PublicKey(from);
+  const memo = buildMemoInstruction(payoutMemo(bountyId), fromKey);
+  return [
+    ...buildTransferInstructions(fromKey, new PublicKey(to), amount, code),
+    memo,
+  ];
+}
+
+function buildTransferInstructions(fromKey, toKey, amount, code) {
+  const units = toBaseUnits(amount, code);
+  const { mint, decimals } = getCurrency(code);
+
+  if (!mint) {
+    return [
+      SystemProgram.transfer({
+        fromPubkey: fromKey,
+        toPubkey: toKey,
+        lamports: units,
+      }),
+    ];
+  }
+
+  const mintKey = new PublicKey(mint);
+  const source = getAssociatedTokenAddress(fromKey, mintKey);
+  const destination = getAssociatedTokenAddress(toKey, mintKey);
+
+  // Associated token program: CreateIdempotent
+  const createAccount = new TransactionInstruction({
+    programId: ASSOCIATED_TOKEN_PROGRAM_ID,
+    keys: [
+      { pubkey: fromKey, isSigner: true, isWritable: true },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: toKey, isSigner: false, isWritable: false },
+      { pubkey: mintKey, isSigner: false, isWritable: false },
+      { pubkey: SystemProgram.programId, isSigner: false, isWritable: false },
+      { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false },
+    ],
+    data: Buffer.from([1]),
+  });
+
+  // Token program: TransferChecked(amount: u64, decimals: u8)
+  const data = Buffer.alloc(10);
+  data.writeUInt8(12, 0);
+  data.writeBigUInt64LE(units, 1);
+  data.writeUInt8(decimals, 9);
+  const transfer = new TransactionInstruction({
+    programId: TOKEN_PROGRAM_ID,
+    keys: [
+      { pubkey: source, isSigner: false, isWritable: true },
+      { pubkey: mintKey, isSigner: false, isWritable: false },
+      { pubkey: destination, isSigner: false, isWritable: true },
+      { pubkey: fromKey, isSigner: true, isWritable: false },
+    ],
+    data,
+  });
+
+  return [createAccount, transfer];
+}
+
+// An unsigned payout transaction, paid for by the sender, with a recent
+// blockhash. It can be signed until the chain passes `lastValidBlockHeight`.
+async function buildPayoutTransaction(payout) {
+  const { blockhash, lastValidBlockHeight } =
+    await getRpcClient().getLatestBlockhash(getCommitment());
+  const transaction = new Transaction({
+    feePayer: new PublicKey(payout.from),
+    recentBlockhash: blockhash,
+  }).add(...buildPayoutInstructions(payout));
+  return { transaction, blockhash, lastValidBlockHeight };
+}
+
+async function getBlockHeight() {
+  return getRpcClient().getBlockHeight(getCommitment());
+}
+
+// Broadcast a signed transaction and wait for it to reach the configured
+// commitment. Resolves to the transaction signature.
+async function sendTransaction(
+  transaction,
+  { blockhash, lastValidBlockHeight }
+) {
+  const rpc = getRpcClient();
+  const signature = await rpc.sendRawTransaction(transaction.serialize(), {
+    preflightCommitment: getCommitment(),
+  });
+  const { value } = await rpc.confirmTransaction(
+    { signature, blockhash, lastValidBlockHeight },
+    getCommitment()
+  );
+  if (value?.err) {
+    throw new Error(`Transaction ${signature} failed on chain`);
+  }
+  return signature;
+}
+
+function findSolTransfer(instructions, { from, to }) {
+  return instructions.find(
+    (instruction) =>
+      instruction.programId?.toString() ===
+        SystemProgram.programId.toString() &&
+      instruction.parsed?.type === "transfer" &&
+      instruction.parsed.info.source === from &&
+      instruction.parsed.info.destination === to
+  );
+}
+
+// Token transfers name token accounts; the authority is the sending wallet
+function findTokenTransfer(instructions, { from, to, mint }) {
+  const destination = getAssociatedTokenAddress(to, mint).toBase58();
+  return instructions.find(
+    (instruction) =>
+      instruction.programId?.toString() === TOKEN_PROGRAM_ID.toString() &&
+      ["transfer", "transferChecked"].includes(instruction.parsed?.type) &&
+      instruction.parsed.info.destination === destination &&
+      instruction.parsed.info.authority === from &&
+      (instruction.parsed.type === "transfer" ||
+        instruction.parsed.info.mint === mint)
+  );
+}
+
+function hasMemo(instructions, memo) {
+  return instructions.some(
+    (instruction) =>
+      instruction.programId?.toString() === MEMO_PROGRAM_ID.toString() &&
+      instruction.parsed === memo
+  );
+}
+
+// Confirm that `signature` is a successful transaction paying exactly
+// `amount` of `currency` from the `from` wallet to the `to` wallet, carrying
+// `memo` when one is given.
+async function verifyTransfer({
+  signature,
+  from,
+  to,
+  amount,
+  currency: code,
+  memo,
+}) {
+  const transaction = await getRpcClient().getParsedTransaction(signature, {
+    commitment: getCommitment(),
+    maxSupportedTransactionVersion: 0,
+  });
+
+  if (!transaction) {
+    return {
+      verified: false,
+      reason: "Transaction not found or not confirmed",
+    };
+  }
+  if (!transaction.meta || transaction.meta.err) {
+    return { verified: false, reason: "Transaction failed on chain" };
+  }
+
+  const { mint } = getCurrency(code);
+  const expected = toBaseUnits(amount, code);
+  const instructions = transaction.transaction.message.instructions || [];
+  const transfer = mint
+    ? findTokenTransfer(instructions, { from, to, mint })
+    : findSolTransfer(instructions, { from, to });
+
+  if (!transfer) {
+    return {
+      verified: false,
+      reason: "No transfer from the owner's wallet to the claimant's wallet",
+    };
+  }
+  const info = transfer.parsed.info;
+  const actual = BigInt(
+    mint ? (info.tokenAmount?.amount ?? info.amount) : info.lamports
+  );
+  if (actual !== expected) {
+    return {
+      verified: false,
+      reason: `Transfer amount ${actual} does not match the expected ${expected} base units of ${code}`,
+    };
+  }
+  if (memo && !hasMemo(instructions, memo)) {
+    return {
+      verified: false,
+      reason: `Transaction is missing the memo "${memo}"`,
+    };
+  }
+
+  return {
+    verified: true,
+    recentBlockhash: transaction.transaction.message.recentBlockhash,
+    slot: transaction.slot,
+    blockTime: transaction.blockTime
+      ? new Date(transaction.blockTime * 1000)
+      : null,
+  };
+}
+
+module.exports = {
+  buildPayoutInstructions,
+  buildPayoutTransaction,
+  createRpcClient,
+  getAssociatedTokenAddress,
+  getBalance,
+  getBlockHeight,
+  getCurrencyBalance,
+  getRpcClient,
+  payoutMemo,
+  sendTransaction,
+  setRpcClient,
+  verifyTransfer,
+};
@@ -0,0 +1,192 @@
+const crypto = require("crypto");
+const { PublicKey } = require("@solana/web3.js");
+
+// Connecting a Solana address. The user asks for a challenge, signs its
+// message with the wallet (e.g. signMessage in Phantom) and sends back the
+// base64 signature. Addresses cannot change while a payout to or from the
+// user is in flight.
+
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+const BASE58 = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+class InvalidAddressError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidAddressError";
+  }
+}
+
+class AddressLockedError extends Error {
+  constructor() {
+    super("Your Solana address cannot change while a payout is in progress");
+    this.name = "AddressLockedError";
+  }
+}
+
+// A Solana address that can sign: a base58 encoded ed25519 public key.
+// Program derived addresses are off the curve and are rejected.
+function parseAddress(address) {
+  if (typeof address !== "string" || !BASE58.test(address)) {
+    throw new InvalidAddressError("Solana address must be base58 encoded");
+  }
+  let publicKey;
+  try {
+    publicKey = new PublicKey(address);
+  } catch (error) {
+    throw new InvalidAddressError("Solana address must be 32 bytes");
+  }
+  if (!PublicKey.isOnCurve(publicKey.toBytes())) {
+    throw new InvalidAddressError("Solana address is not an ed25519 key");
+  }
+  return publicKey;
+}
+
+async function createChallenge(db, { userId, username, address }) {
+  const publicKey = parseAddress(address);
+  const issuedAt = new Date();
+  const message = [
+    "Paisa Vasool: connect this Solana address to your account.",
+    "",
+    `GitHub user: ${username}`,
+    `Address: ${publicKey.toBase58()}`,
+    `Nonce: ${crypto.randomBytes(16).toString("hex")}`,
+    `Issued at: ${issuedAt.toISOString()}`,
+  ].join("\n");
+
+  await db.query(
+    `INSERT INTO solana_address_challenges (user_id, address, message, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [
+      userId,
+      publicKey.toBase58(),
+      message,
+      new Date(issuedAt.getTime() + CHALLENGE_TTL_MS),
+    ]
+  );
+  return {
+    message,
+    expiresAt: new Date(issuedAt.getTime() + CHALLENGE_TTL_MS),
+  };
+}
+
+function verifySignature(publicKey, message, signature) {
+  const key = crypto.createPublicKey({
+    key: {
+      kty: "OKP",
+      crv: "Ed25519",
+      x: Buffer.from(publicKey.toBytes()).toString("base64url"),
+    },
+    format: "jwk",
+  });
+  const bytes = Buffer.from(signature, "base64");
+  return (
+    bytes.length === 64 &&
+    crypto.verify(null, Buffer.from(message, "utf8"), key, bytes)
+  );
+}
+
+async function assertNoPayoutInFlight(db, userId) {
+  const result = await db.query(
+    `SELECT 1 FROM bounties b
+     WHERE b.status IN ('approved', 'payment_pending')
+       AND (
+         b.creator_id = $1
+         OR EXISTS (
+           SELECT 1 FROM bounty_shares s
+           WHERE s.bounty_id = b.id AND s.user_id = $1 AND s.status <> 'paid'
+         )
+       )
+     LIMIT 1`,
+    [userId]
+  );
+  if (result.rows.length > 0) {
+    throw new AddressLockedError();
+  }
+}
+
+// Set the user's address and record the change. Expects to run inside a
+// transaction.
+async function setAddress(client, { userId, address, source }) {
+  const result = await client.query(
+    "SELECT solana_address FROM users WHERE github_id = $1 FOR UPDATE",
+    [userId]
+  );
+  const previous = result.rows[0]?.solana_address || null;
+  if (previous === address) {
+    return;
+  }
+  // A first address cannot disturb a payout; approval requires one
+  if (previous) {
+    await assertNoPayoutInFlight(client, userId);
+  }
+
+  await client.query(
+    "UPDATE users SET solana_address = $1 WHERE github_id = $2",
+    [address, userId]
+  );
+  await client.query(
+    `INSERT INTO solana_address_history (user_id, previous_address, address, source)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, previous, address, source]
+  );
+}
+
+// Connect `address` using a signature over its latest challenge. Expects to
+// run inside a transaction.
+async function connectAddress(client, { userId, address, signature }) {
+  const publicKey = parseAddress(address);
+  const result = await client.query(
+    `SELECT * FROM solana_address_challenges
+     WHERE user_id = $1
+       AND address = $2
+       AND used_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1
+     FOR UPDATE`,
+    [userId, publicKey.toBase58()]
+  );
+  const challenge = result.rows[0];
+  if (!challenge) {
+    throw new InvalidAddressError(
+      "No open challenge for this address; request a new one"
+    );
+  }
+  if (
+    typeof signature !== "string" ||
+    !verifySignature(publicKey, challenge.message, signature)
+  ) {
+    throw new InvalidAddressError("Signature does not match the challenge");
+  }
+
+  await client.query(
+    "UPDATE solana_address_challenges SET used_at = CURRENT_TIMESTAMP WHERE id = $1",
+    [challenge.id]
+  );
+  await setAddress(client, {
+    userId,
+    address: publicKey.toBase58(),
+    source: "signature",
+  });
+}
+
+async function getHistory(db, userId) {
+  const result = await db.query(
+    `SELECT previous_address, address, source, changed_at
+     FROM solana_address_history
+     WHERE user_id = $1
+     ORDER BY changed_at DESC, id DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  AddressLockedError,
+  InvalidAddressError,
+  connectAddress,
+  createChallenge,
+  getHistory,
+  parseAddress,
+  setAddress,
+};
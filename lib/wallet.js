@@ -0,0 +1,358 @@
+const {
+  ComputeBudgetInstruction,
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  Transaction,
+} = require("@solana/web3.js");
+const bountyShares = require("./bountyShares");
+const encryption = require("./encryption");
+const kyc = require("./kyc");
+const solanaAddress = require("./solanaAddress");
+const { buildPayoutInstructions, getCurrencyBalance } = require("./solana");
+const { CURRENCIES } = require("./currency");
+
+// Custodial wallets. The secret key is kept base64 encoded under envelope
+// encryption in users.encrypted_private_key and is only used to sign the
+// payout of a bounty the user owns that is awaiting payment.
+
+// Caps on the compute budget a payout may request, so that a signed payout
+// pays at most a small priority fee (0.0002 SOL)
+const MAX_COMPUTE_UNITS = 200000;
+const MAX_COMPUTE_UNIT_PRICE = 1000000n; // micro-lamports per compute unit
+
+class WalletNotFoundError extends Error {
+  constructor() {
+    super("No custodial wallet for this user");
+    this.name = "WalletNotFoundError";
+  }
+}
+
+class WalletInUseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WalletInUseError";
+  }
+}
+
+class TransactionRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TransactionRejectedError";
+  }
+}
+
+async function loadKeypair(encryptedPrivateKey) {
+  if (!encryption.isEncrypted(encryptedPrivateKey)) {
+    throw new WalletInUseError(
+      "The existing wallet key is in a legacy format; convert it with npm run encryption:rotate"
+    );
+  }
+  const secretKey = Buffer.from(
+    await encryption.decrypt(encryptedPrivateKey),
+    "base64"
+  );
+  return Keypair.fromSecretKey(secretKey);
+}
+
+// Balance in base units for each currency, as strings
+async function getBalances(address) {
+  const balances = {};
+  for (const code of Object.keys(CURRENCIES)) {
+    balances[code] = String(await getCurrencyBalance(address, code));
+  }
+  return balances;
+}
+
+async function getWallet(client, userId) {
+  const result = await client.query(
+    `SELECT wallet_address, wallet_created_at, solana_address
+     FROM users WHERE github_id = $1`,
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user?.wallet_address) {
+    throw new WalletNotFoundError();
+  }
+  return {
+    address: user.wallet_address,
+    createdAt: user.wallet_created_at,
+    balances: await getBalances(user.wallet_address),
+    isSolanaAddress: user.solana_address === user.wallet_address,
+  };
+}
+
+// Generate a wallet for the user. An existing wallet is only replaced when it
+// is empty. With `useAsSolanaAddress` payouts to the user go to the wallet.
+async function createWallet(client, userId, { useAsSolanaAddress } = {}) {
+  const result = await client.query(
+    `SELECT encrypted_private_key, wallet_address, solana_address
+     FROM users WHERE github_id = $1 FOR UPDATE`,
+    [userId]
+  );
+  const user = result.rows[0];
+
+  if (user.encrypted_private_key) {
+    const existing = await loadKeypair(user.encrypted_private_key);
+    const balances = await getBalances(existing.publicKey.toBase58());
+    if (Object.values(balances).some((balance) => balance !== "0")) {
+      throw new WalletInUseError(
+        "The existing wallet still holds funds and cannot be replaced"
+      );
+    }
+  }
+
+  const keypair = Keypair.generate();
+  const address = keypair.publicKey.toBase58();
+  // A wallet that was the user's address stays their address when replaced
+  const useAsAddress = Boolean(
+    useAsSolanaAddress ||
+    (user.wallet_address && user.solana_address === user.wallet_address)
+  );
+
+  await client.query(
+    `UPDATE users SET
+       encrypted_private_key = $1,
+       wallet_address = $2,
+       wallet_created_at = CURRENT_TIMESTAMP
+     WHERE github_id = $3`,
+    [
+      await encryption.encrypt(
+        Buffer.from(keypair.secretKey).toString("base64")
+      ),
+      address,
+      userId,
+    ]
+  );
+  if (useAsAddress) {
+    await solanaAddress.setAddress(client, {
+      userId,
+      address,
+      source: "custodial_wallet",
+    });
+  }
+  return { address, isSolanaAddress: useAsAddress };
+}
+
+function sameInstruction(actual, expected) {
+  return (
+    actual.programId.equals(expected.programId) &&
+    actual.data.equals(expected.data) &&
+    actual.keys.length === expected.keys.length &&
+    actual.keys.every(
+      (key, index) =>
+        key.pubkey.equals(expected.keys[index].pubkey) &&
+        key.isSigner === expected.keys[index].isSigner &&
+        key.isWritable === expected.keys[index].isWritable
+    )
+  );
+}
+
+// Compute budget instructions may set the compute unit limit and price once
+// each, within the caps; nothing else is allowed.
+function checkComputeBudget(instructions) {
+  const seen = new Set();
+  for (const instruction of instructions) {
+    let type = null;
+    try {
+      type = ComputeBudgetInstruction.decodeInstructionType(instruction);
+    } catch (error) {
+      // Rejected below
+    }
+    if (
+      !["SetComputeUnitLimit", "SetComputeUnitPrice"].includes(type) ||
+      instruction.keys.length > 0
+    ) {
+      throw new TransactionRejectedError(
+        "Only the compute unit limit and price may be set"
+      );
+    }
+    if (seen.has(type)) {
+      throw new TransactionRejectedError(
+        "The compute unit limit and price may only be set once"
+      );
+    }
+    seen.add(type);
+
+    if (
+      type === "SetComputeUnitLimit" &&
+      ComputeBudgetInstruction.decodeSetComputeUnitLimit(instruction).units >
+        MAX_COMPUTE_UNITS
+    ) {
+      throw new TransactionRejectedError(
+        `The compute unit limit may be at most ${MAX_COMPUTE_UNITS}`
+      );
+    }
+    if (
+      type === "SetComputeUnitPrice" &&
+      BigInt(
+        ComputeBudgetInstruction.decodeSetComputeUnitPrice(instruction)
+          .microLamports
+      ) > MAX_COMPUTE_UNIT_PRICE
+    ) {
+      throw new TransactionRejectedError(
+        `The compute unit price may be at most ${MAX_COMPUTE_UNIT_PRICE} micro-lamports`
+      );
+    }
+  }
+}
+
+// Check that `transaction` does nothing but pay `amount` of `currency` from
+// `wallet` to `recipient` for bounty `bountyId`: its instructions must be
+// exactly the payout instructions, apart from a capped compute budget for
+// priority fees.
+function checkPayoutTransaction(
+  transaction,
+  { wallet, recipient, amount, currency, bountyId }
+) {
+  if (!transaction.feePayer || !transaction.feePayer.equals(wallet)) {
+    throw new TransactionRejectedError("The wallet must pay the fee");
+  }
+
+  const expected = buildPayoutInstructions({
+    from: wallet,
+    to: recipient,
+    amount,
+    currency,
+    bountyId,
+  });
+  const isComputeBudget = (instruction) =>
+    instruction.programId.equals(ComputeBudgetProgram.programId);
+  checkComputeBudget(transaction.instructions.filter(isComputeBudget));
+  const actual = transaction.instructions.filter(
+    (instruction) => !isComputeBudget(instruction)
+  );
+  if (
+    actual.length !== expected.length ||
+    !actual.every((instruction, index) =>
+      sameInstruction(instruction, expected[index])
+    )
+  ) {
+    throw new TransactionRejectedError(
+      "Transaction does not match the approved payout"
+    );
+  }
+
+  const otherSigners = transaction.signatures.filter(
+    ({ publicKey }) => !publicKey.equals(wallet)
+  );
+  if (otherSigners.length > 0) {
+    throw new TransactionRejectedError(
+      "Transaction may only be signed by the wallet"
+    );
+  }
+}
+
+// Sign the payout transaction for the user's payment towards share
+// `shareId` of `bounty` with their custodial wallet, which must be the
+// wallet they pledged from. The share may be left out when it is the only
+// one they still have to pay. `serialized` is the base64 encoded, unsigned
+// transaction.
+async function signPayout(client, { userId, bounty, shareId, serialized }) {
+  const result = await client.query(
+    `SELECT encrypted_private_key, wallet_address, solana_address
+     FROM users WHERE github_id = $1`,
+    [userId]
+  );
+  const owner = result.rows[0];
+  if (!owner?.wallet_address) {
+    throw new WalletNotFoundError();
+  }
+  if (bounty.status !== "payment_pending") {
+    throw new TransactionRejectedError("Bounty is not awaiting payment");
+  }
+
+  let payment;
+  try {
+    payment = await bountyShares.findUnpaidPayment(client, {
+      bountyId: bounty.id,
+      shareId,
+      payerId: userId,
+    });
+  } catch (error) {
+    if (error instanceof bountyShares.InvalidSharesError) {
+      throw new TransactionRejectedError(error.message);
+    }
+    throw error;
+  }
+  // Payments are verified against the wallet the backer pledged from
+  if (payment.from_address !== owner.wallet_address) {
+    throw new TransactionRejectedError(
+      "This payment is made from the wallet you pledged from, not your custodial wallet"
+    );
+  }
+
+  const claimantResult = await client.query(
+    "SELECT solana_address FROM users WHERE github_id = $1",
+    [payment.user_id]
+  );
+  const claimantAddress = claimantResult.rows[0]?.solana_address;
+  if (!claimantAddress) {
+    throw new TransactionRejectedError(
+      "Claimant has not connected a Solana address"
+    );
+  }
+
+  // The limit applies to the whole share the claimant is paid
+  await kyc.assertPayoutAllowed(client, {
+    userId: payment.user_id,
+    amount: payment.share_amount,
+    currency: bounty.currency,
+  });
+
+  let transaction;
+  try {
+    transaction = Transaction.from(Buffer.from(serialized, "base64"));
+  } catch (error) {
+    throw new TransactionRejectedError("Transaction could not be decoded");
+  }
+  if (!transaction.recentBlockhash) {
+    throw new TransactionRejectedError("Transaction has no recent blockhash");
+  }
+
+  const keypair = await loadKeypair(owner.encrypted_private_key);
+  const wallet = new PublicKey(owner.wallet_address);
+  if (!keypair.publicKey.equals(wallet)) {
+    throw new WalletInUseError("Stored wallet key does not match its address");
+  }
+  checkPayoutTransaction(transaction, {
+    wallet,
+    recipient: new PublicKey(claimantAddress),
+    amount: payment.amount,
+    currency: bounty.currency,
+    bountyId: bounty.id,
+  });
+
+  transaction.partialSign(keypair);
+  return transaction.serialize().toString("base64");
+}
+
+// Make the wallet the address payouts are sent from and to. Expects to run
+// inside a transaction.
+async function useAsSolanaAddress(client, userId) {
+  const result = await client.query(
+    "SELECT wallet_address FROM users WHERE github_id = $1",
+    [userId]
+  );
+  const address = result.rows[0]?.wallet_address;
+  if (!address) {
+    throw new WalletNotFoundError();
+  }
+  await solanaAddress.setAddress(client, {
+    userId,
+    address,
+    source: "custodial_wallet",
+  });
+  return address;
+}
+
+module.exports = {
+  TransactionRejectedError,
+  WalletInUseError,
+  WalletNotFoundError,
+  checkPayoutTransaction,
+  createWallet,
+  getWallet,
+  signPayout,
+  useAsSolanaAddress,
+};
@@ -0,0 +1,266 @@
+const crypto = require("crypto");
+const { pool } = require("./db");
+const bot = require("./bot");
+const bountySync = require("./bountySync");
+const installations = require("./installations");
+const { forgetInstallation, getInstallationOctokit } = require("./github");
+const jobs = require("./jobs");
+const repositoryConfig = require("./repositoryConfig");
+
+// Check an X-Hub-Signature-256 header against the exact bytes GitHub sent.
+function verifySignature(rawBody, signature, secret) {
+  if (!rawBody || !secret || typeof signature !== "string") {
+    return false;
+  }
+  const expected = Buffer.from(
+    `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`
+  );
+  const actual = Buffer.from(signature);
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+// Record a delivery before processing it. Returns false when the delivery has
+// already been processed or is being processed; failed deliveries are
+// claimed again so that GitHub redeliveries can retry them.
+async function startDelivery(client, { deliveryId, event, payload }) {
+  const inserted = await client.query(
+    `
+      INSERT INTO webhook_deliveries (delivery_id, event, action, payload)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (delivery_id) DO NOTHING
+      RETURNING delivery_id
+    `,
+    [deliveryId, event, payload.action || null, payload]
+  );
+  if (inserted.rows.length > 0) {
+    return true;
+  }
+
+  const retried = await client.query(
+    `
+      UPDATE webhook_deliveries
+      SET status = 'processing', attempts = attempts + 1, error = NULL
+      WHERE delivery_id = $1 AND status = 'failed'
+      RETURNING delivery_id
+    `,
+    [deliveryId]
+  );
+  return retried.rows.length > 0;
+}
+
+async function finishDelivery(db, deliveryId, error) {
+  await db.query(
+    `
+      UPDATE webhook_deliveries
+      SET status = $2, error = $3, processed_at = CURRENT_TIMESTAMP
+      WHERE delivery_id = $1
+    `,
+    [
+      deliveryId,
+      error ? "failed" : "processed",
+      error ? String(error.stack || error) : null,
+    ]
+  );
+}
+
+async function handleEvent(event, payload, deliveryId) {
+  if (event === "installation") {
+    await handleInstallationEvent(payload);
+  } else if (event === "installation_repositories") {
+    const installationId = payload.installation.id;
+    await installations.addRepositories(
+      pool,
+      installationId,
+      payload.repositories_added
+    );
+    await installations.removeRepositories(
+      pool,
+      installationId,
+      payload.repositories_removed
+    );
+    await bountySync.handleInstallationRepositories({
+      added: payload.repositories_added,
+      removed: payload.repositories_removed,
+      actorId: payload.sender.id,
+    });
+  } else if (event === "repository" && payload.action === "deleted") {
+    await installations.removeRepositories(pool, payload.installation.id, [
+      payload.repository,
+    ]);
+  }
+
+  // Keep bounties in step with their issue and repository
+  if (
+    event === "issues" &&
+    ["closed", "reopened", "transferred", "deleted", "edited"].includes(
+      payload.action
+    )
+  ) {
+    await bountySync.handleIssueEvent(payload);
+  } else if (
+    event === "repository" &&
+    ["renamed", "transferred", "deleted"].includes(payload.action)
+  ) {
+    await bountySync.handleRepositoryEvent(payload);
+  }
+
+  // Report problems with a pushed .paisa.yml
+  if (event === "push") {
+    await repositoryConfig.checkConfigPush(
+      getInstallationOctokit(payload.installation.id),
+      payload
+    );
+  }
+
+  // Slash commands in comments and in issue or pull request descriptions
+  if (event === "issue_comment" && payload.action === "created") {
+    await bot.handleCommands(payload, payload.comment.body, { deliveryId });
+  } else if (event === "issues" && payload.action === "opened") {
+    await bot.handleCommands(payload, payload.issue.body, { deliveryId });
+  } else if (event === "pull_request" && payload.action === "opened") {
+    await bot.handleCommands(payload, payload.pull_request.body, { deliveryId });
+  }
+
+  // Claims follow the lifecycle of their pull request
+  if (
+    event === "pull_request" &&
+    (payload.action === "closed" || payload.action === "reopened")
+  ) {
+    await bot.handlePullRequestEvent(payload);
+  }
+}
+
+// Installations of the app on a user or organization account. The bounties
+// of its repositories are suspended while it is uninstalled.
+async function handleInstallationEvent(payload) {
+  const { action, installation, sender } = payload;
+  if (action === "created" || action === "new_permissions_accepted") {
+    await installations.saveInstallation(pool, installation, {
+      installedBy: sender.id,
+    });
+    await installations.addRepositories(
+      pool,
+      installation.id,
+      payload.repositories
+    );
+    await bountySync.handleInstallationRepositories({
+      added: payload.repositories,
+      actorId: sender.id,
+    });
+  } else if (action === "deleted") {
+    // The payload may not list the repositories, so also suspend the
+    // bounties of those recorded before deleteInstallation clears them
+    const recorded = await installations.getRepositories(
+      pool,
+      installation.id
+    );
+    const removed = new Map(
+      [...recorded, ...(payload.repositories || [])].map((repository) => [
+        repository.full_name.toLowerCase(),
+        repository,
+      ])
+    );
+    forgetInstallation(installation.id);
+    await installations.deleteInstallation(pool, installation.id);
+    await bountySync.handleInstallationRepositories({
+      removed: [...removed.values()],
+      actorId: sender.id,
+    });
+    console.log(
+      `${installation.account.login} uninstalled the GitHub app (installation ${installation.id}).`
+    );
+  } else if (action === "suspend" || action === "unsuspend") {
+    forgetInstallation(installation.id);
+    await installations.setSuspended(
+      pool,
+      installation.id,
+      action === "suspend"
+    );
+  }
+}
+
+// Record a delivery and queue it for processing unless it was seen before.
+// Returns false for duplicates.
+async function enqueueDelivery({ deliveryId, event, payload }) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    if (!(await startDelivery(client, { deliveryId, event, payload }))) {
+      await client.query("ROLLBACK");
+      return false;
+    }
+    await jobs.enqueue(client, "webhook", { deliveryId });
+    await client.query("COMMIT");
+    return true;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Job handler for queued deliveries. The delivery is only marked failed once
+// the job has used up its retries, so redeliveries do not race the queue.
+async function processDeliveryJob(job) {
+  const { deliveryId } = job.payload;
+  const result = await pool.query(
+    "SELECT event, payload FROM webhook_deliveries WHERE delivery_id = $1",
+    [deliveryId]
+  );
+  if (result.rows.length === 0) {
+    throw new Error(`Delivery ${deliveryId} not found`);
+  }
+
+  const { event, payload } = result.rows[0];
+  try {
+    await handleEvent(event, payload, deliveryId);
+  } catch (error) {
+    if (job.attempts >= job.max_attempts) {
+      await finishDelivery(pool, deliveryId, error);
+    }
+    throw error;
+  }
+  await finishDelivery(pool, deliveryId, null);
+}
+
+// Run a stored delivery again regardless of its status, for debugging.
+// Slash commands it already ran are not repeated.
+async function replayDelivery(deliveryId) {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `
+        UPDATE webhook_deliveries
+        SET status = 'processing', attempts = attempts + 1, error = NULL
+        WHERE delivery_id = $1
+        RETURNING event, payload
+      `,
+      [deliveryId]
+    );
+    if (result.rows.length === 0) {
+      throw new Error(`Delivery ${deliveryId} not found`);
+    }
+
+    const { event, payload } = result.rows[0];
+    try {
+      await handleEvent(event, payload, deliveryId);
+    } catch (error) {
+      await finishDelivery(client, deliveryId, error);
+      throw error;
+    }
+    await finishDelivery(client, deliveryId, null);
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  enqueueDelivery,
+  processDeliveryJob,
+  replayDelivery,
+  verifySignature,
+};
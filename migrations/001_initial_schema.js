@@ -0,0 +1,100 @@
+// Baseline schema. Databases created by the old setupDatabase() already have
+// these tables, so everything here is safe to run against them: the claims
+// column is renamed to match the code, and the triggers (which could not be
+// recreated on restart and referenced a missing column) are replaced with
+// unique indexes.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS users (
+        id SERIAL PRIMARY KEY,
+        github_id INTEGER UNIQUE NOT NULL,
+        github_installation_id TEXT,
+        total_earnings NUMERIC DEFAULT 0,
+        aadhaar_pan TEXT,
+        is_verified BOOLEAN DEFAULT FALSE,
+        is_active BOOLEAN,
+        authorization_revoked BOOLEAN,
+        email TEXT,
+        name TEXT,
+        personal_access_token TEXT,
+        expiry_date TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        refresh_token TEXT,
+        refresh_token_expiry_date TIMESTAMP,
+        solana_address TEXT,
+        encrypted_private_key TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS bounties (
+        id SERIAL PRIMARY KEY,
+        issue_id NUMERIC NOT NULL,
+        amount NUMERIC NOT NULL,
+        status TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        repository TEXT,
+        issue_title TEXT,
+        issue_url TEXT,
+        creator_id INTEGER REFERENCES users(github_id),
+        claimed_by INTEGER REFERENCES users(github_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS bounty_claims (
+        id SERIAL PRIMARY KEY,
+        bounty_id INTEGER REFERENCES bounties(id),
+        user_id INTEGER REFERENCES users(github_id),
+        claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        pull_request_number NUMERIC
+    );
+
+    ALTER TABLE bounties ADD COLUMN IF NOT EXISTS payment_signature TEXT UNIQUE;
+    ALTER TABLE bounties ADD COLUMN IF NOT EXISTS payment_slot BIGINT;
+    ALTER TABLE bounties ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP;
+  `);
+
+  await client.query(`
+    DO $$
+    BEGIN
+        IF EXISTS (SELECT 1 FROM information_schema.columns
+                   WHERE table_name = 'bounty_claims' AND column_name = 'pull_request') THEN
+            ALTER TABLE bounty_claims RENAME COLUMN pull_request TO pull_request_number;
+        END IF;
+    END;
+    $$;
+  `);
+
+  await client.query(`
+    DROP TRIGGER IF EXISTS unique_open_bounty_trigger ON bounties;
+    DROP TRIGGER IF EXISTS unique_claim_on_open_bounty_trigger ON bounty_claims;
+    DROP FUNCTION IF EXISTS check_unique_open_bounty();
+    DROP FUNCTION IF EXISTS check_unique_claim_on_open_bounty();
+  `);
+
+  await client.query(`
+    ALTER TABLE bounties
+        ADD CONSTRAINT bounties_amount_positive CHECK (amount > 0);
+    ALTER TABLE bounty_claims
+        ALTER COLUMN bounty_id SET NOT NULL,
+        ALTER COLUMN user_id SET NOT NULL;
+
+    -- Only one open bounty per issue
+    CREATE UNIQUE INDEX IF NOT EXISTS bounties_open_issue_idx
+        ON bounties (issue_id) WHERE status = 'open';
+    -- A pull request can claim a given bounty only once
+    CREATE UNIQUE INDEX IF NOT EXISTS bounty_claims_bounty_pull_request_idx
+        ON bounty_claims (bounty_id, pull_request_number);
+
+    CREATE INDEX IF NOT EXISTS bounties_creator_id_idx ON bounties (creator_id);
+    CREATE INDEX IF NOT EXISTS bounties_claimed_by_idx ON bounties (claimed_by);
+    CREATE INDEX IF NOT EXISTS bounty_claims_user_id_idx ON bounty_claims (user_id);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE IF EXISTS bounty_claims;
+    DROP TABLE IF EXISTS bounties;
+    DROP TABLE IF EXISTS users;
+  `);
+}
+
+module.exports = { up, down };
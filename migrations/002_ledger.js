@@ -0,0 +1,146 @@
+// Double-entry ledger for bounty escrow. Every journal entry is a set of
+// ledger lines whose amounts sum to zero; a positive amount moves money into
+// the account and a negative amount moves it out. Entries are append-only.
+// Accounts reference bounties by id without a foreign key so that the ledger
+// outlives deleted bounties.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE ledger_accounts (
+        id SERIAL PRIMARY KEY,
+        owner_type TEXT NOT NULL CHECK (owner_type IN ('user', 'bounty')),
+        owner_id INTEGER NOT NULL,
+        kind TEXT NOT NULL CHECK (kind IN ('funding', 'earnings', 'escrow', 'payable')),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (owner_type, owner_id, kind)
+    );
+
+    CREATE TABLE journal_entries (
+        id SERIAL PRIMARY KEY,
+        entry_type TEXT NOT NULL CHECK (entry_type IN ('fund', 'adjust', 'approve', 'payout', 'refund')),
+        bounty_id INTEGER NOT NULL,
+        description TEXT,
+        reference TEXT,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE ledger_lines (
+        id SERIAL PRIMARY KEY,
+        entry_id INTEGER NOT NULL REFERENCES journal_entries(id),
+        account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+        amount NUMERIC NOT NULL CHECK (amount <> 0)
+    );
+
+    CREATE INDEX journal_entries_bounty_id_idx ON journal_entries (bounty_id);
+    CREATE INDEX ledger_lines_entry_id_idx ON ledger_lines (entry_id);
+    CREATE INDEX ledger_lines_account_id_idx ON ledger_lines (account_id);
+  `);
+
+  await client.query(`
+    CREATE FUNCTION reject_ledger_change() RETURNS TRIGGER AS $$
+    BEGIN
+        RAISE EXCEPTION 'Ledger records are immutable';
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE TRIGGER journal_entries_immutable
+    BEFORE UPDATE OR DELETE ON journal_entries
+    FOR EACH ROW EXECUTE FUNCTION reject_ledger_change();
+
+    CREATE TRIGGER ledger_lines_immutable
+    BEFORE UPDATE OR DELETE ON ledger_lines
+    FOR EACH ROW EXECUTE FUNCTION reject_ledger_change();
+
+    -- Checked at commit so that all lines of an entry can be inserted first
+    CREATE FUNCTION check_journal_entry_balanced() RETURNS TRIGGER AS $$
+    BEGIN
+        IF (SELECT SUM(amount) FROM ledger_lines WHERE entry_id = NEW.entry_id) <> 0 THEN
+            RAISE EXCEPTION 'Journal entry % is not balanced', NEW.entry_id;
+        END IF;
+        RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    CREATE CONSTRAINT TRIGGER ledger_lines_balanced
+    AFTER INSERT ON ledger_lines
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION check_journal_entry_balanced();
+  `);
+
+  // Opening entries for bounties created before the ledger existed
+  await client.query(`
+    INSERT INTO ledger_accounts (owner_type, owner_id, kind)
+    SELECT 'user', creator_id, 'funding' FROM bounties WHERE creator_id IS NOT NULL
+    UNION
+    SELECT 'user', claimed_by, 'earnings' FROM bounties WHERE status = 'completed' AND claimed_by IS NOT NULL
+    UNION
+    SELECT 'bounty', id, 'escrow' FROM bounties
+    UNION
+    SELECT 'bounty', id, 'payable' FROM bounties WHERE status IN ('payment pending', 'completed');
+  `);
+
+  const bounties = await client.query(
+    "SELECT * FROM bounties WHERE creator_id IS NOT NULL ORDER BY id"
+  );
+  for (const bounty of bounties.rows) {
+    const steps = [["fund", "user", bounty.creator_id, "funding", "escrow"]];
+    if (["payment pending", "completed"].includes(bounty.status)) {
+      steps.push(["approve", "bounty", bounty.id, "escrow", "payable"]);
+    }
+    if (bounty.status === "completed" && bounty.claimed_by) {
+      steps.push(["payout", "bounty", bounty.id, "payable", "earnings"]);
+    }
+
+    for (const [entryType, fromType, fromId, fromKind, toKind] of steps) {
+      const toType = toKind === "earnings" ? "user" : "bounty";
+      const toId = toKind === "earnings" ? bounty.claimed_by : bounty.id;
+      await client.query(
+        `
+          WITH entry AS (
+            INSERT INTO journal_entries (entry_type, bounty_id, description)
+            VALUES ($1, $2, 'Opening balance')
+            RETURNING id
+          )
+          INSERT INTO ledger_lines (entry_id, account_id, amount)
+          SELECT entry.id, a.id, CASE WHEN a.owner_type = $3 AND a.owner_id = $4 AND a.kind = $5
+                                      THEN -$8::numeric ELSE $8::numeric END
+          FROM entry, ledger_accounts a
+          WHERE (a.owner_type = $3 AND a.owner_id = $4 AND a.kind = $5)
+             OR (a.owner_type = $6 AND a.owner_id = $7 AND a.kind = $9)
+        `,
+        [
+          entryType,
+          bounty.id,
+          fromType,
+          fromId,
+          fromKind,
+          toType,
+          toId,
+          bounty.amount,
+          toKind,
+        ]
+      );
+    }
+  }
+
+  await client.query(`
+    UPDATE users u SET total_earnings = COALESCE((
+        SELECT SUM(l.amount)
+        FROM ledger_lines l
+        JOIN ledger_accounts a ON a.id = l.account_id
+        WHERE a.owner_type = 'user' AND a.owner_id = u.github_id AND a.kind = 'earnings'
+    ), 0);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE ledger_lines;
+    DROP TABLE journal_entries;
+    DROP TABLE ledger_accounts;
+    DROP FUNCTION reject_ledger_change();
+    DROP FUNCTION check_journal_entry_balanced();
+  `);
+}
+
+module.exports = { up, down };
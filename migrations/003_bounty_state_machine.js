@@ -0,0 +1,55 @@
+// Bounty statuses are now managed by lib/bountyState.js. Legacy free-text
+// values are mapped onto the new states and every change is recorded in
+// bounty_events.
+const LEGACY_STATUSES = [
+  ["payment pending", "payment_pending"],
+  ["completed", "paid"],
+];
+
+async function up(client) {
+  for (const [legacy, status] of LEGACY_STATUSES) {
+    await client.query("UPDATE bounties SET status = $1 WHERE status = $2", [
+      status,
+      legacy,
+    ]);
+  }
+
+  await client.query(`
+    ALTER TABLE bounties
+        ADD CONSTRAINT bounties_status_check CHECK (status IN (
+            'open', 'approved', 'payment_pending', 'paid', 'cancelled', 'expired', 'disputed'
+        ));
+
+    CREATE TABLE bounty_events (
+        id SERIAL PRIMARY KEY,
+        bounty_id INTEGER NOT NULL REFERENCES bounties(id),
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor_id INTEGER,
+        reason TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX bounty_events_bounty_id_idx ON bounty_events (bounty_id, created_at);
+
+    INSERT INTO bounty_events (bounty_id, from_status, to_status, actor_id, reason, created_at)
+    SELECT id, NULL, status, creator_id, 'Recorded before bounty history was tracked', created_at
+    FROM bounties;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE bounty_events;
+    ALTER TABLE bounties DROP CONSTRAINT bounties_status_check;
+  `);
+
+  for (const [legacy, status] of LEGACY_STATUSES) {
+    await client.query("UPDATE bounties SET status = $1 WHERE status = $2", [
+      legacy,
+      status,
+    ]);
+  }
+}
+
+module.exports = { up, down };
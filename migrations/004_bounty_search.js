@@ -0,0 +1,24 @@
+// Columns and indexes backing the public bounty discovery API.
+async function up(client) {
+  await client.query(`
+    ALTER TABLE bounties ADD COLUMN labels TEXT[] NOT NULL DEFAULT '{}';
+    ALTER TABLE bounties ADD COLUMN search_vector tsvector
+        GENERATED ALWAYS AS (to_tsvector('english', COALESCE(issue_title, ''))) STORED;
+
+    CREATE INDEX bounties_search_vector_idx ON bounties USING GIN (search_vector);
+    CREATE INDEX bounties_labels_idx ON bounties USING GIN (labels);
+    CREATE INDEX bounties_status_created_at_idx ON bounties (status, created_at DESC, id DESC);
+    CREATE INDEX bounties_repository_idx ON bounties (lower(repository));
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP INDEX bounties_repository_idx;
+    DROP INDEX bounties_status_created_at_idx;
+    ALTER TABLE bounties DROP COLUMN search_vector;
+    ALTER TABLE bounties DROP COLUMN labels;
+  `);
+}
+
+module.exports = { up, down };
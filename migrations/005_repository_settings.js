@@ -0,0 +1,20 @@
+// Who may create bounties on a repository. Repository names are stored as
+// lower-cased full names ("owner/repo").
+async function up(client) {
+  await client.query(`
+    CREATE TABLE repository_settings (
+        repository TEXT PRIMARY KEY,
+        bounty_creators TEXT NOT NULL DEFAULT 'write'
+            CHECK (bounty_creators IN ('admin', 'maintain', 'write', 'allowlist')),
+        allowed_creators TEXT[] NOT NULL DEFAULT '{}',
+        updated_by INTEGER,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE repository_settings;");
+}
+
+module.exports = { up, down };
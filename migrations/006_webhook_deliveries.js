@@ -0,0 +1,26 @@
+// GitHub webhook deliveries, keyed by X-GitHub-Delivery, so that redeliveries
+// are processed only once and stored payloads can be replayed.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE webhook_deliveries (
+        delivery_id TEXT PRIMARY KEY,
+        event TEXT NOT NULL,
+        action TEXT,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'processing'
+            CHECK (status IN ('processing', 'processed', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 1,
+        error TEXT,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        processed_at TIMESTAMP
+    );
+
+    CREATE INDEX webhook_deliveries_status_idx ON webhook_deliveries (status, received_at);
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE webhook_deliveries;");
+}
+
+module.exports = { up, down };
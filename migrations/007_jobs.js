@@ -0,0 +1,30 @@
+// Background jobs. Workers claim pending jobs with SKIP LOCKED; failed jobs
+// are retried with backoff until max_attempts, then left as 'dead' for an
+// admin to inspect and retry.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE jobs (
+        id BIGSERIAL PRIMARY KEY,
+        type TEXT NOT NULL,
+        payload JSONB NOT NULL DEFAULT '{}',
+        status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'running', 'completed', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 5,
+        run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+    );
+
+    CREATE INDEX jobs_pending_idx ON jobs (run_at, id) WHERE status = 'pending';
+    CREATE INDEX jobs_status_idx ON jobs (status, created_at DESC);
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE jobs;");
+}
+
+module.exports = { up, down };
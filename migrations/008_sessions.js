@@ -0,0 +1,27 @@
+// Server-side login sessions. The cookie carries an opaque random token and
+// only its SHA-256 hash is stored, so a database leak cannot be replayed.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE sessions (
+        id BIGSERIAL PRIMARY KEY,
+        token_hash TEXT UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL REFERENCES users(github_id) ON DELETE CASCADE,
+        csrf_token TEXT NOT NULL,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        revoked_at TIMESTAMP
+    );
+
+    CREATE INDEX sessions_user_idx ON sessions (user_id, created_at DESC)
+        WHERE revoked_at IS NULL;
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE sessions;");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Pending GitHub logins. Each row holds the PKCE verifier and return path for
+// one authorize redirect and can be consumed once before it expires.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE oauth_states (
+        state_hash TEXT PRIMARY KEY,
+        code_verifier TEXT NOT NULL,
+        return_to TEXT NOT NULL DEFAULT '/',
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+    );
+
+    CREATE INDEX oauth_states_expires_idx ON oauth_states (expires_at);
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE oauth_states;");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Data keys for envelope encryption. Each key is stored wrapped (encrypted)
+// under one of the master keys from ENCRYPTION_KEYS; ciphertexts name the
+// data key they were encrypted with.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE encryption_keys (
+        id SERIAL PRIMARY KEY,
+        master_key_id TEXT NOT NULL,
+        wrapped_key TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        rewrapped_at TIMESTAMP,
+        retired_at TIMESTAMP
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE encryption_keys;");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+// Public address of each user's custodial wallet, so balances can be checked
+// and payouts matched without decrypting the key.
+async function up(client) {
+  await client.query(`
+    ALTER TABLE users
+        ADD COLUMN wallet_address TEXT UNIQUE,
+        ADD COLUMN wallet_created_at TIMESTAMP;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE users
+        DROP COLUMN wallet_address,
+        DROP COLUMN wallet_created_at;
+  `);
+}
+
+module.exports = { up, down };
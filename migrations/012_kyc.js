@@ -0,0 +1,48 @@
+// KYC verification through a provider. users.aadhaar_pan now only holds a
+// masked identifier; raw values stored by the old stub are masked and their
+// owners have to verify again.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE kyc_verifications (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(github_id) ON DELETE CASCADE,
+        provider TEXT NOT NULL,
+        reference TEXT,
+        id_type TEXT NOT NULL CHECK (id_type IN ('aadhaar', 'pan')),
+        masked_identifier TEXT NOT NULL,
+        identifier_hash TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'verified', 'rejected')),
+        reason TEXT,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX kyc_verifications_user_idx
+        ON kyc_verifications (user_id, created_at DESC);
+    CREATE INDEX kyc_verifications_hash_idx
+        ON kyc_verifications (identifier_hash) WHERE status = 'verified';
+
+    ALTER TABLE users
+        ADD COLUMN kyc_status TEXT NOT NULL DEFAULT 'unverified'
+            CHECK (kyc_status IN ('unverified', 'pending', 'verified', 'rejected')),
+        ADD COLUMN kyc_verified_at TIMESTAMP;
+
+    UPDATE users SET
+        aadhaar_pan = repeat('X', greatest(length(aadhaar_pan) - 4, 0))
+            || right(aadhaar_pan, 4),
+        is_verified = FALSE
+    WHERE aadhaar_pan IS NOT NULL;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE users
+        DROP COLUMN kyc_status,
+        DROP COLUMN kyc_verified_at;
+    DROP TABLE kyc_verifications;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,39 @@
+// Ownership proofs for Solana addresses: one-time challenges the user signs
+// with the wallet, and a history of every address change.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE solana_address_challenges (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(github_id) ON DELETE CASCADE,
+        address TEXT NOT NULL,
+        message TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP
+    );
+
+    CREATE INDEX solana_address_challenges_user_idx
+        ON solana_address_challenges (user_id, address, created_at DESC);
+
+    CREATE TABLE solana_address_history (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users(github_id) ON DELETE CASCADE,
+        previous_address TEXT,
+        address TEXT,
+        source TEXT NOT NULL CHECK (source IN ('signature', 'custodial_wallet')),
+        changed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX solana_address_history_user_idx
+        ON solana_address_history (user_id, changed_at DESC);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE solana_address_history;
+    DROP TABLE solana_address_challenges;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,60 @@
+// Bounties carry their currency and its decimals; amounts before this were
+// paid in SOL. Ledger accounts are kept per currency, and a journal entry
+// has to balance in each currency it touches.
+async function up(client) {
+  await client.query(`
+    ALTER TABLE bounties
+        ADD COLUMN currency TEXT NOT NULL DEFAULT 'SOL'
+            CHECK (currency IN ('SOL', 'USDC')),
+        ADD COLUMN decimals SMALLINT NOT NULL DEFAULT 9;
+
+    CREATE INDEX bounties_currency_idx ON bounties (currency);
+
+    ALTER TABLE ledger_accounts
+        ADD COLUMN currency TEXT NOT NULL DEFAULT 'SOL',
+        DROP CONSTRAINT ledger_accounts_owner_type_owner_id_kind_key,
+        ADD CONSTRAINT ledger_accounts_owner_kind_currency_key
+            UNIQUE (owner_type, owner_id, kind, currency);
+
+    CREATE OR REPLACE FUNCTION check_journal_entry_balanced() RETURNS TRIGGER AS $$
+    BEGIN
+        IF EXISTS (
+            SELECT 1
+            FROM ledger_lines l
+            JOIN ledger_accounts a ON a.id = l.account_id
+            WHERE l.entry_id = NEW.entry_id
+            GROUP BY a.currency
+            HAVING SUM(l.amount) <> 0
+        ) THEN
+            RAISE EXCEPTION 'Journal entry % is not balanced', NEW.entry_id;
+        END IF;
+        RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    CREATE OR REPLACE FUNCTION check_journal_entry_balanced() RETURNS TRIGGER AS $$
+    BEGIN
+        IF (SELECT SUM(amount) FROM ledger_lines WHERE entry_id = NEW.entry_id) <> 0 THEN
+            RAISE EXCEPTION 'Journal entry % is not balanced', NEW.entry_id;
+        END IF;
+        RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql;
+
+    ALTER TABLE ledger_accounts
+        DROP CONSTRAINT ledger_accounts_owner_kind_currency_key,
+        ADD CONSTRAINT ledger_accounts_owner_type_owner_id_kind_key
+            UNIQUE (owner_type, owner_id, kind),
+        DROP COLUMN currency;
+
+    ALTER TABLE bounties
+        DROP COLUMN currency,
+        DROP COLUMN decimals;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,31 @@
+// Unsigned payout transactions built for bounty owners to sign. Payments are
+// matched against the message that was issued.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE payout_transactions (
+        id BIGSERIAL PRIMARY KEY,
+        bounty_id INTEGER NOT NULL REFERENCES bounties(id),
+        from_address TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        amount NUMERIC NOT NULL,
+        currency TEXT NOT NULL,
+        recent_blockhash TEXT NOT NULL,
+        last_valid_block_height BIGINT NOT NULL,
+        message TEXT NOT NULL,
+        signature TEXT UNIQUE,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        submitted_at TIMESTAMP
+    );
+
+    CREATE INDEX payout_transactions_bounty_idx
+        ON payout_transactions (bounty_id, recent_blockhash);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE payout_transactions;
+  `);
+}
+
+module.exports = { up, down };
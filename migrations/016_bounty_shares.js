@@ -0,0 +1,46 @@
+// Approved claimants each get a share of the bounty, paid out on its own.
+// Bounties approved before shares existed get one share for the whole
+// amount; bounties.claimed_by is kept for them but no longer written.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE bounty_shares (
+        id BIGSERIAL PRIMARY KEY,
+        bounty_id INTEGER NOT NULL REFERENCES bounties(id),
+        user_id INTEGER NOT NULL REFERENCES users(github_id),
+        amount NUMERIC NOT NULL CHECK (amount > 0),
+        percentage NUMERIC CHECK (percentage > 0 AND percentage <= 100),
+        status TEXT NOT NULL DEFAULT 'approved'
+            CHECK (status IN ('approved', 'payment_pending', 'paid')),
+        payment_signature TEXT UNIQUE,
+        payment_slot BIGINT,
+        paid_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (bounty_id, user_id)
+    );
+
+    CREATE INDEX bounty_shares_user_idx ON bounty_shares (user_id);
+
+    INSERT INTO bounty_shares
+        (bounty_id, user_id, amount, percentage, status, payment_signature, payment_slot, paid_at)
+    SELECT id, claimed_by, amount, 100, status, payment_signature, payment_slot, paid_at
+    FROM bounties
+    WHERE claimed_by IS NOT NULL AND status IN ('approved', 'payment_pending', 'paid');
+
+    ALTER TABLE payout_transactions
+        ADD COLUMN share_id BIGINT REFERENCES bounty_shares(id);
+
+    UPDATE payout_transactions p
+    SET share_id = s.id
+    FROM bounty_shares s
+    WHERE s.bounty_id = p.bounty_id;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE payout_transactions DROP COLUMN share_id;
+    DROP TABLE bounty_shares;
+  `);
+}
+
+module.exports = { up, down };
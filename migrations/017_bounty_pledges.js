@@ -0,0 +1,49 @@
+// Pledges towards a bounty, one row per pledge, with the wallet the backer
+// funds it from. Existing bounties get a single pledge by their creator.
+// Backers are referenced by GitHub id without a foreign key, as bounty
+// creators need not have signed up.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE bounty_pledges (
+        id BIGSERIAL PRIMARY KEY,
+        bounty_id INTEGER NOT NULL REFERENCES bounties(id),
+        backer_id INTEGER NOT NULL,
+        amount NUMERIC NOT NULL CHECK (amount > 0),
+        wallet_address TEXT,
+        wallet_source TEXT CHECK (wallet_source IN ('solana_address', 'custodial_wallet')),
+        refunded_amount NUMERIC,
+        refunded_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX bounty_pledges_bounty_idx ON bounty_pledges (bounty_id);
+    CREATE INDEX bounty_pledges_backer_idx ON bounty_pledges (backer_id);
+
+    INSERT INTO bounty_pledges
+        (bounty_id, backer_id, amount, wallet_address, wallet_source, refunded_amount, refunded_at, created_at)
+    SELECT
+        b.id,
+        b.creator_id,
+        b.amount,
+        u.solana_address,
+        CASE
+            WHEN u.solana_address IS NULL THEN NULL
+            WHEN u.solana_address = u.wallet_address THEN 'custodial_wallet'
+            ELSE 'solana_address'
+        END,
+        CASE WHEN b.status = 'cancelled' THEN b.amount END,
+        CASE WHEN b.status = 'cancelled' THEN CURRENT_TIMESTAMP END,
+        COALESCE(b.created_at, CURRENT_TIMESTAMP)
+    FROM bounties b
+    LEFT JOIN users u ON u.github_id = b.creator_id
+    WHERE b.creator_id IS NOT NULL AND b.amount > 0;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE bounty_pledges;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,63 @@
+// Claims follow their pull request: merged, or closed without merging, which
+// withdraws the claim. A merged claim moves an open bounty to
+// 'ready_for_approval'. Repositories can require claiming pull requests to
+// reference the bounty's issue with a closing keyword ("Fixes #12").
+async function up(client) {
+  await client.query(`
+    ALTER TABLE bounty_claims
+        ADD COLUMN repository TEXT,
+        ADD COLUMN status TEXT NOT NULL DEFAULT 'open'
+            CHECK (status IN ('open', 'merged', 'closed')),
+        ADD COLUMN merged_at TIMESTAMP,
+        ADD COLUMN closed_at TIMESTAMP;
+
+    UPDATE bounty_claims bc
+    SET repository = lower(b.repository)
+    FROM bounties b
+    WHERE b.id = bc.bounty_id;
+
+    CREATE INDEX bounty_claims_pull_request_idx
+        ON bounty_claims (repository, pull_request_number);
+
+    ALTER TABLE bounties DROP CONSTRAINT bounties_status_check;
+    ALTER TABLE bounties
+        ADD CONSTRAINT bounties_status_check CHECK (status IN (
+            'open', 'ready_for_approval', 'approved', 'payment_pending', 'paid',
+            'cancelled', 'expired', 'disputed'
+        ));
+
+    DROP INDEX bounties_open_issue_idx;
+    CREATE UNIQUE INDEX bounties_open_issue_idx
+        ON bounties (issue_id) WHERE status IN ('open', 'ready_for_approval');
+
+    ALTER TABLE repository_settings
+        ADD COLUMN require_issue_reference BOOLEAN NOT NULL DEFAULT FALSE;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE repository_settings DROP COLUMN require_issue_reference;
+
+    UPDATE bounties SET status = 'open' WHERE status = 'ready_for_approval';
+
+    DROP INDEX bounties_open_issue_idx;
+    CREATE UNIQUE INDEX bounties_open_issue_idx
+        ON bounties (issue_id) WHERE status = 'open';
+
+    ALTER TABLE bounties DROP CONSTRAINT bounties_status_check;
+    ALTER TABLE bounties
+        ADD CONSTRAINT bounties_status_check CHECK (status IN (
+            'open', 'approved', 'payment_pending', 'paid', 'cancelled', 'expired', 'disputed'
+        ));
+
+    DROP INDEX bounty_claims_pull_request_idx;
+    ALTER TABLE bounty_claims
+        DROP COLUMN closed_at,
+        DROP COLUMN merged_at,
+        DROP COLUMN status,
+        DROP COLUMN repository;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Bounties whose issue is closed without a fix, or whose repository is
+// removed from the app, are suspended until the issue is reopened or the
+// repository added back. suspended_from keeps the status to resume to.
+async function up(client) {
+  await client.query(`
+    ALTER TABLE bounties
+        ADD COLUMN suspended_from TEXT,
+        ADD COLUMN suspension_reason TEXT
+            CHECK (suspension_reason IN ('issue_closed', 'repository_removed'));
+
+    ALTER TABLE bounties DROP CONSTRAINT bounties_status_check;
+    ALTER TABLE bounties
+        ADD CONSTRAINT bounties_status_check CHECK (status IN (
+            'open', 'ready_for_approval', 'suspended', 'approved', 'payment_pending',
+            'paid', 'cancelled', 'expired', 'disputed'
+        ));
+
+    DROP INDEX bounties_open_issue_idx;
+    CREATE UNIQUE INDEX bounties_open_issue_idx
+        ON bounties (issue_id) WHERE status IN ('open', 'ready_for_approval', 'suspended');
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    UPDATE bounties SET status = suspended_from WHERE status = 'suspended';
+
+    DROP INDEX bounties_open_issue_idx;
+    CREATE UNIQUE INDEX bounties_open_issue_idx
+        ON bounties (issue_id) WHERE status IN ('open', 'ready_for_approval');
+
+    ALTER TABLE bounties DROP CONSTRAINT bounties_status_check;
+    ALTER TABLE bounties
+        ADD CONSTRAINT bounties_status_check CHECK (status IN (
+            'open', 'ready_for_approval', 'approved', 'payment_pending', 'paid',
+            'cancelled', 'expired', 'disputed'
+        ));
+
+    ALTER TABLE bounties
+        DROP COLUMN suspension_reason,
+        DROP COLUMN suspended_from;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+// Repositories can have open bounties expire, see repositoryConfig.
+async function up(client) {
+  await client.query(`
+    ALTER TABLE bounties ADD COLUMN expires_at TIMESTAMP;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE bounties DROP COLUMN expires_at;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+// App installations and the repositories they cover, kept up to date from
+// the installation webhooks. Installations used to be stored on the user
+// whose account they were installed on, which left organization
+// installations unrecorded; existing ones are moved over.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE installations (
+        id BIGINT PRIMARY KEY,
+        account_id BIGINT NOT NULL,
+        account_login TEXT NOT NULL,
+        account_type TEXT NOT NULL CHECK (account_type IN ('User', 'Organization')),
+        installed_by INTEGER,
+        suspended_at TIMESTAMP,
+        deleted_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX installations_account_idx ON installations (account_id);
+    CREATE INDEX installations_installed_by_idx ON installations (installed_by);
+
+    CREATE TABLE repositories (
+        id BIGINT PRIMARY KEY,
+        installation_id BIGINT NOT NULL REFERENCES installations(id),
+        full_name TEXT NOT NULL,
+        private BOOLEAN NOT NULL DEFAULT FALSE,
+        removed_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE UNIQUE INDEX repositories_full_name_idx
+        ON repositories (lower(full_name)) WHERE removed_at IS NULL;
+    CREATE INDEX repositories_installation_idx ON repositories (installation_id);
+
+    INSERT INTO installations (id, account_id, account_login, account_type, installed_by)
+    SELECT DISTINCT ON (github_installation_id)
+        github_installation_id::bigint, github_id, COALESCE(name, github_id::text), 'User', github_id
+    FROM users
+    WHERE github_installation_id ~ '^[0-9]+$'
+    ORDER BY github_installation_id, id;
+
+    ALTER TABLE users DROP COLUMN github_installation_id;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE users ADD COLUMN github_installation_id TEXT;
+
+    UPDATE users u
+    SET github_installation_id = i.id::text
+    FROM installations i
+    WHERE i.account_id = u.github_id AND i.deleted_at IS NULL;
+
+    DROP TABLE repositories;
+    DROP TABLE installations;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Webhook endpoints registered by users, or for an organization's
+// installation, to receive bounty events, and the log of deliveries to them.
+// Secrets are stored encrypted.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE webhook_endpoints (
+        id BIGSERIAL PRIMARY KEY,
+        user_id INTEGER REFERENCES users(github_id),
+        installation_id BIGINT REFERENCES installations(id),
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT[] NOT NULL DEFAULT '{}',
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        created_by INTEGER NOT NULL,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((user_id IS NULL) <> (installation_id IS NULL))
+    );
+
+    CREATE INDEX webhook_endpoints_user_idx ON webhook_endpoints (user_id);
+    CREATE INDEX webhook_endpoints_installation_idx ON webhook_endpoints (installation_id);
+
+    CREATE TABLE webhook_endpoint_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        endpoint_id BIGINT NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        payload JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'delivered', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        duration_ms INTEGER,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at TIMESTAMP,
+        delivered_at TIMESTAMP
+    );
+
+    CREATE INDEX webhook_endpoint_deliveries_endpoint_idx
+        ON webhook_endpoint_deliveries (endpoint_id, created_at DESC);
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    DROP TABLE webhook_endpoint_deliveries;
+    DROP TABLE webhook_endpoints;
+  `);
+}
+
+module.exports = { up, down };
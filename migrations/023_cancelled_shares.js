@@ -0,0 +1,28 @@
+// Shares of a bounty cancelled after approval are marked cancelled, so that
+// they no longer count as owed to their claimants.
+async function up(client) {
+  await client.query(`
+    ALTER TABLE bounty_shares DROP CONSTRAINT bounty_shares_status_check;
+    ALTER TABLE bounty_shares
+        ADD CONSTRAINT bounty_shares_status_check
+            CHECK (status IN ('approved', 'payment_pending', 'paid', 'cancelled'));
+
+    UPDATE bounty_shares s
+    SET status = 'cancelled'
+    FROM bounties b
+    WHERE b.id = s.bounty_id AND b.status = 'cancelled' AND s.status <> 'paid';
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    UPDATE bounty_shares SET status = 'approved' WHERE status = 'cancelled';
+
+    ALTER TABLE bounty_shares DROP CONSTRAINT bounty_shares_status_check;
+    ALTER TABLE bounty_shares
+        ADD CONSTRAINT bounty_shares_status_check
+            CHECK (status IN ('approved', 'payment_pending', 'paid'));
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,19 @@
+// Slash commands already run for a webhook delivery, so that a delivery
+// retried after a later command failed does not run the earlier ones again.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE processed_commands (
+        delivery_id TEXT NOT NULL REFERENCES webhook_deliveries(delivery_id) ON DELETE CASCADE,
+        command_index INTEGER NOT NULL,
+        command TEXT NOT NULL,
+        processed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (delivery_id, command_index)
+    );
+  `);
+}
+
+async function down(client) {
+  await client.query("DROP TABLE processed_commands;");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,69 @@
+// Every share of a bounty is paid by its backers from the wallets they
+// pledged from, each in proportion to their pledge, so a share is paid once
+// all of its payments are. Shares approved before this get a single payment
+// by the bounty creator from their Solana address.
+async function up(client) {
+  await client.query(`
+    CREATE TABLE share_payments (
+        id BIGSERIAL PRIMARY KEY,
+        share_id BIGINT NOT NULL REFERENCES bounty_shares(id),
+        bounty_id INTEGER NOT NULL REFERENCES bounties(id),
+        payer_id INTEGER NOT NULL,
+        from_address TEXT,
+        wallet_source TEXT CHECK (wallet_source IN ('solana_address', 'custodial_wallet')),
+        amount NUMERIC NOT NULL CHECK (amount > 0),
+        status TEXT NOT NULL DEFAULT 'pending'
+            CHECK (status IN ('pending', 'paid', 'cancelled')),
+        payment_signature TEXT UNIQUE,
+        payment_slot BIGINT,
+        paid_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (share_id, payer_id)
+    );
+
+    CREATE INDEX share_payments_bounty_idx ON share_payments (bounty_id);
+    CREATE INDEX share_payments_payer_idx ON share_payments (payer_id);
+
+    INSERT INTO share_payments
+        (share_id, bounty_id, payer_id, from_address, wallet_source, amount, status, payment_signature, payment_slot, paid_at)
+    SELECT
+        s.id,
+        s.bounty_id,
+        b.creator_id,
+        u.solana_address,
+        CASE
+            WHEN u.solana_address IS NULL THEN NULL
+            WHEN u.solana_address = u.wallet_address THEN 'custodial_wallet'
+            ELSE 'solana_address'
+        END,
+        s.amount,
+        CASE s.status
+            WHEN 'paid' THEN 'paid'
+            WHEN 'cancelled' THEN 'cancelled'
+            ELSE 'pending'
+        END,
+        s.payment_signature,
+        s.payment_slot,
+        s.paid_at
+    FROM bounty_shares s
+    JOIN bounties b ON b.id = s.bounty_id
+    LEFT JOIN users u ON u.github_id = b.creator_id;
+
+    ALTER TABLE payout_transactions
+        ADD COLUMN payment_id BIGINT REFERENCES share_payments(id);
+
+    UPDATE payout_transactions t
+    SET payment_id = p.id
+    FROM share_payments p
+    WHERE p.share_id = t.share_id;
+  `);
+}
+
+async function down(client) {
+  await client.query(`
+    ALTER TABLE payout_transactions DROP COLUMN payment_id;
+    DROP TABLE share_payments;
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+const { pool } = require("../lib/db");
+const { migrate, migrationLabel, rollback, status } = require("../lib/migrate");
+
+const usage = `Usage: node scripts/migrate.js <command>
+
+Commands:
+  up [version]     Apply pending migrations, optionally up to a version
+  down [steps]     Roll back the last applied migration(s), default 1
+  status           List migrations and whether they have been applied`;
+
+async function main() {
+  const [command, arg] = process.argv.slice(2);
+
+  switch (command) {
+    case "up": {
+      const applied = await migrate(pool, {
+        to: arg !== undefined ? parseInt(arg, 10) : undefined,
+      });
+      if (applied.length === 0) {
+        console.log("Database is up to date");
+      }
+      break;
+    }
+    case "down": {
+      const steps = arg !== undefined ? parseInt(arg, 10) : 1;
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error("Steps must be a positive integer");
+      }
+      const reverted = await rollback(pool, { steps });
+      if (reverted.length === 0) {
+        console.log("No migrations to roll back");
+      }
+      break;
+    }
+    case "status": {
+      const migrations = await status(pool);
+      for (const migration of migrations) {
+        const state = migration.missing
+          ? "missing"
+          : migration.appliedAt
+            ? `applied ${new Date(migration.appliedAt).toISOString()}`
+            : "pending";
+        console.log(`${migrationLabel(migration)}  ${state}`);
+      }
+      break;
+    }
+    default:
+      console.log(usage);
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
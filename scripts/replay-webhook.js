@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+const { pool } = require("../lib/db");
+const { replayDelivery } = require("../lib/webhooks");
+
+const [deliveryId] = process.argv.slice(2);
+
+if (!deliveryId) {
+  console.log("Usage: node scripts/replay-webhook.js <delivery id>");
+  process.exit(1);
+}
+
+replayDelivery(deliveryId)
+  .then(() => console.log(`Replayed delivery ${deliveryId}`))
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+const crypto = require("crypto");
+const { pool } = require("../lib/db");
+const encryption = require("../lib/encryption");
+
+const usage = `Usage: node scripts/rotate-encryption-key.js [--rewrap-only]
+
+Re-wraps all data keys under ENCRYPTION_ACTIVE_KEY, then re-encrypts every
+encrypted column under a fresh data key and retires the old data keys.
+Deploy the new master key to ENCRYPTION_KEYS on all servers (keeping the old
+one) and make it active before running this. With --rewrap-only the stored
+values are left as they are.`;
+
+const BATCH_SIZE = 100;
+
+// Wallet keys written before envelope encryption were stored as JSON,
+// encrypted directly with ENCRYPTION_KEY
+function legacyPlaintext(column, value) {
+  if (column !== "encrypted_private_key" || !value.startsWith("{")) {
+    return value;
+  }
+  if (!process.env.ENCRYPTION_KEY) {
+    throw new Error("ENCRYPTION_KEY is needed to convert legacy wallet keys");
+  }
+  const { iv, encryptedData, authTag } = JSON.parse(value);
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    process.env.ENCRYPTION_KEY,
+    Buffer.from(iv, "hex")
+  );
+  decipher.setAuthTag(Buffer.from(authTag, "hex"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(encryptedData, "hex")),
+    decipher.final(),
+  ]).toString("base64");
+}
+
+async function reencryptColumn({ table, key, column }, dataKeyId) {
+  let updated = 0;
+  const skipped = [];
+
+  for (;;) {
+    // Re-encrypted rows drop out of this query
+    const result = await pool.query(
+      `SELECT ${key} AS key, ${column} AS value FROM ${table}
+       WHERE ${column} IS NOT NULL
+         AND ${column} NOT LIKE $1
+         AND NOT (${key} = ANY($2))
+       ORDER BY ${key}
+       LIMIT ${BATCH_SIZE}`,
+      [`enc:v1:${dataKeyId}:%`, skipped]
+    );
+    if (result.rows.length === 0) {
+      break;
+    }
+
+    for (const row of result.rows) {
+      const plaintext = encryption.isEncrypted(row.value)
+        ? await encryption.decrypt(row.value)
+        : legacyPlaintext(column, row.value);
+      const ciphertext = await encryption.encrypt(plaintext, { dataKeyId });
+      // Rows changed since they were read were written by a server and are
+      // left for the next run
+      const update = await pool.query(
+        `UPDATE ${table} SET ${column} = $1 WHERE ${key} = $2 AND ${column} = $3`,
+        [ciphertext, row.key, row.value]
+      );
+      if (update.rowCount > 0) {
+        updated++;
+      } else {
+        skipped.push(row.key);
+      }
+    }
+  }
+
+  console.log(
+    `${table}.${column}: ${updated} re-encrypted, ${skipped.length} changed concurrently`
+  );
+  return skipped.length;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  if (args.some((arg) => arg !== "--rewrap-only")) {
+    console.log(usage);
+    process.exitCode = 1;
+    return;
+  }
+
+  const rewrapped = await encryption.rewrapDataKeys();
+  console.log(
+    `Re-wrapped ${rewrapped} data key(s) under the active master key`
+  );
+  if (args.includes("--rewrap-only")) {
+    return;
+  }
+
+  const dataKeyId = await encryption.createDataKey();
+  console.log(`Created data key ${dataKeyId}`);
+
+  let skipped = 0;
+  for (const column of encryption.ENCRYPTED_COLUMNS) {
+    skipped += await reencryptColumn(column, dataKeyId);
+  }
+
+  if (skipped > 0) {
+    console.log("Some rows changed while running; run again to finish");
+    return;
+  }
+  await pool.query(
+    `UPDATE encryption_keys SET retired_at = CURRENT_TIMESTAMP
+     WHERE id <> $1 AND retired_at IS NULL`,
+    [dataKeyId]
+  );
+  console.log("Retired older data keys");
+}
+
+main()
+  .catch((error) => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
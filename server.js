@@ -1,13 +1,43 @@
 const express = require("express");
 const cors = require("cors");
-const { Pool } = require("pg");
-const { Octokit } = require("@octokit/rest");
-const { createAppAuth } = require("@octokit/auth-app");
 const cookieParser = require("cookie-parser");
 const axios = require("axios");
-const crypto = require("crypto");
-const { Keypair, Transaction } = require("@solana/web3.js"); // Import Keypair
-const { App } = require("@octokit/app");
+const { pool } = require("./lib/db");
+const { migrate } = require("./lib/migrate");
+const bountyEvents = require("./lib/bountyEvents");
+const bountySearch = require("./lib/bountySearch");
+const bountyShares = require("./lib/bountyShares");
+const bountyState = require("./lib/bountyState");
+const bountySync = require("./lib/bountySync");
+const currency = require("./lib/currency");
+const encryption = require("./lib/encryption");
+const installations = require("./lib/installations");
+const {
+  enqueueComment,
+  fetchOrgRole,
+  fetchPermission,
+  getAppOctokit,
+  getInstallationOctokit,
+  getRateLimitMetrics,
+  getRepositoryOctokit,
+  hasPermission,
+  issueNumberFromUrl,
+  postCommentJob,
+} = require("./lib/github");
+const jobs = require("./lib/jobs");
+const kyc = require("./lib/kyc");
+const ledger = require("./lib/ledger");
+const oauth = require("./lib/oauth");
+const outboundWebhooks = require("./lib/outboundWebhooks");
+const payouts = require("./lib/payouts");
+const pledges = require("./lib/pledges");
+const repositoryConfig = require("./lib/repositoryConfig");
+const repositoryPolicy = require("./lib/repositoryPolicy");
+const sessions = require("./lib/sessions");
+const { payoutMemo, sendTransaction, verifyTransfer } = require("./lib/solana");
+const solanaAddress = require("./lib/solanaAddress");
+const wallet = require("./lib/wallet");
+const webhooks = require("./lib/webhooks");
 require("dotenv").config();
 
 const app = express();
@@ -18,149 +48,40 @@ app.use(
     credentials: true,
   })
 );
-app.use(express.json());
+app.use(
+  express.json({
+    // Webhook signatures are computed over the exact bytes GitHub sent
+    verify: (req, res, buf) => {
+      if (req.originalUrl === "/api/github/webhooks") {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 
 const PORT = process.env.PORT || 3001;
 
-// GitHub App initialization
-const gitHubApp = new App({
-  appId: process.env.GITHUB_APP_ID,
-  privateKey: process.env.GITHUB_PRIVATE_KEY,
-  oauth: {
-    clientId: process.env.GITHUB_CLIENT_ID,
-    clientSecret: process.env.GITHUB_CLIENT_SECRET,
-  },
-  webhooks: {
-    secret: process.env.GITHUB_WEBHOOK_SECRET,
-  },
-});
-
-// Database connection
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl:
-    process.env.NODE_ENV === "production"
-      ? { rejectUnauthorized: false }
-      : false,
-});
-
-// Database setup
-async function setupDatabase() {
-  let client;
-  try {
-    client = await pool.connect();
-
-    // Create tables (if they don't exist)
-    await client.query(`
-          CREATE TABLE IF NOT EXISTS users (
-              id SERIAL PRIMARY KEY,
-              github_id INTEGER UNIQUE NOT NULL,
-              github_installation_id TEXT,
-              total_earnings NUMERIC DEFAULT 0,
-              aadhaar_pan TEXT,
-              is_verified BOOLEAN DEFAULT FALSE,
-              is_active BOOLEAN,
-              authorization_revoked BOOLEAN,
-              email TEXT,
-              name TEXT,
-              personal_access_token TEXT,
-              expiry_date TIMESTAMP,
-              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-              refresh_token TEXT,
-              refresh_token_expiry_date TIMESTAMP,
-              solana_address TEXT,
-              encrypted_private_key TEXT 
-          );
-
-          CREATE TABLE IF NOT EXISTS bounties (
-              id SERIAL PRIMARY KEY,
-              issue_id NUMERIC NOT NULL,
-              amount NUMERIC NOT NULL,
-              status TEXT NOT NULL,
-              created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-              repository TEXT,
-              issue_title TEXT,
-              issue_url TEXT,
-              creator_id INTEGER REFERENCES users(github_id),
-              claimed_by INTEGER REFERENCES users(github_id)
-          );
-
-          CREATE TABLE IF NOT EXISTS bounty_claims (
-              id SERIAL PRIMARY KEY,
-              bounty_id INTEGER REFERENCES bounties(id),
-              user_id INTEGER REFERENCES users(github_id),
-              claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-              pull_request NUMERIC
-          );
-      `);
-
-    // Create a helper function to check for unique open bounties
-    await client.query(`
-          CREATE OR REPLACE FUNCTION check_unique_open_bounty() RETURNS TRIGGER AS $$
-          BEGIN
-              IF (NEW.status = 'open' AND 
-                  EXISTS (SELECT 1 FROM bounties 
-                          WHERE issue_id = NEW.issue_id AND id != NEW.id AND status = 'open')) THEN
-                  RAISE EXCEPTION 'An open bounty already exists for this issue.';
-              END IF;
-              RETURN NEW;
-          END;
-          $$ LANGUAGE plpgsql;
-      `);
-
-    // Create a trigger to call the helper function on bounties insert/update
-    await client.query(`
-          CREATE TRIGGER unique_open_bounty_trigger
-          BEFORE INSERT OR UPDATE ON bounties
-          FOR EACH ROW
-          EXECUTE FUNCTION check_unique_open_bounty();
-      `);
-
-    // Create a helper function to check for unique claims on open bounties
-    await client.query(`
-          CREATE OR REPLACE FUNCTION check_unique_claim_on_open_bounty() RETURNS TRIGGER AS $$
-          BEGIN
-              IF (EXISTS (SELECT 1 FROM bounties 
-                          WHERE id = NEW.bounty_id AND status = 'open') AND 
-                  EXISTS (SELECT 1 FROM bounty_claims 
-                          WHERE pull_request_number = NEW.pull_request_number 
-                          AND bounty_id IN (SELECT id FROM bounties WHERE status = 'open')
-                          AND id != NEW.id)) THEN
-                  RAISE EXCEPTION 'A claim already exists for this pull request on an open bounty.';
-              END IF;
-              RETURN NEW;
-          END;
-          $$ LANGUAGE plpgsql;
-      `);
-
-    // Create a trigger to call the helper function on bounty_claims insert/update
-    await client.query(`
-          CREATE TRIGGER unique_claim_on_open_bounty_trigger
-          BEFORE INSERT OR UPDATE ON bounty_claims
-          FOR EACH ROW
-          EXECUTE FUNCTION check_unique_claim_on_open_bounty();
-      `);
-
-    console.log("Database setup complete");
-  } catch (err) {
-    console.error("Error setting up database:", err);
-  } finally {
-    if (client) {
-      client.release();
-    }
-  }
-}
-
-setupDatabase();
+// Requests that change state must echo the session's CSRF token
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
 
 // Middleware for authentication
 const authenticateUser = async (req, res, next) => {
-  const userId = req.cookies?.user_id;
-  if (!userId) {
-    return res.status(401).json({ error: "Not authenticated" });
-  }
-
   try {
+    const session = await sessions.getSession(
+      pool,
+      req.cookies?.[sessions.SESSION_COOKIE]
+    );
+    if (!session) {
+      return res.status(401).json({ error: "Not authenticated" });
+    }
+    if (
+      !SAFE_METHODS.includes(req.method) &&
+      !sessions.verifyCsrfToken(session, req.get("X-CSRF-Token"))
+    ) {
+      return res.status(403).json({ error: "Invalid CSRF token" });
+    }
+
+    const userId = session.user_id;
     const result = await pool.query(
       "SELECT * FROM users WHERE github_id = $1",
       [userId]
@@ -178,9 +99,15 @@ const authenticateUser = async (req, res, next) => {
       // Refresh the access token
       const newAccessToken = await refreshGitHubToken(userId);
       user.personal_access_token = newAccessToken;
+    } else {
+      user.personal_access_token = await encryption.decrypt(
+        user.personal_access_token
+      );
     }
+    delete user.refresh_token;
 
     req.user = user;
+    req.session = session;
     next();
   } catch (error) {
     console.error("Authentication error:", error);
@@ -189,25 +116,51 @@ const authenticateUser = async (req, res, next) => {
 };
 
 // Routes
-app.get("/auth/github", (req, res) => {
+app.get("/auth/github", async (req, res) => {
   const redirectUri = process.env.GITHUB_AUTH_CALLBACK_URI;
   const clientId = process.env.GITHUB_CLIENT_ID;
   const scopes = ["user:email", "read:user"];
 
-  const authUrl = `https://github.com/login/oauth/authorize?client_id=${clientId}&scope=${encodeURIComponent(
-    scopes.join(" ")
-  )}&redirect_uri=${encodeURIComponent(redirectUri)}`;
+  try {
+    const { state, codeChallenge } = await oauth.createLoginAttempt(pool, {
+      returnTo: req.query.returnTo,
+    });
+    oauth.setStateCookie(res, state);
+
+    const authUrl = `https://github.com/login/oauth/authorize?client_id=${clientId}&scope=${encodeURIComponent(
+      scopes.join(" ")
+    )}&redirect_uri=${encodeURIComponent(
+      redirectUri
+    )}&state=${state}&code_challenge=${codeChallenge}&code_challenge_method=S256`;
 
-  res.json({ authUrl });
+    res.json({ authUrl });
+  } catch (error) {
+    if (error instanceof oauth.InvalidReturnToError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error starting authentication:", error);
+    res.status(500).json({ error: "Error starting authentication" });
+  }
 });
 
 app.get("/auth/github/callback", async (req, res) => {
-  const code = req.query.code;
+  const { code, state } = req.query;
   const clientId = process.env.GITHUB_CLIENT_ID;
   const clientSecret = process.env.GITHUB_CLIENT_SECRET;
   const redirectUri = process.env.GITHUB_AUTH_CALLBACK_URI;
 
   try {
+    const loginAttempt = await oauth.consumeLoginAttempt(pool, {
+      state,
+      cookieState: req.cookies?.[oauth.STATE_COOKIE],
+    });
+    oauth.clearStateCookie(res);
+    if (!loginAttempt || typeof code !== "string") {
+      return res
+        .status(400)
+        .json({ error: "Invalid or expired login attempt" });
+    }
+
     // Exchange code for access token
     const accessTokenResponse = await axios.post(
       "https://github.com/login/oauth/access_token",
@@ -216,6 +169,7 @@ app.get("/auth/github/callback", async (req, res) => {
         client_secret: clientSecret,
         code: code,
         redirect_uri: redirectUri,
+        code_verifier: loginAttempt.code_verifier,
       },
       {
         headers: {
@@ -224,6 +178,13 @@ app.get("/auth/github/callback", async (req, res) => {
       }
     );
 
+    // GitHub reports a bad code or PKCE verifier in a 200 response
+    if (accessTokenResponse.data.error) {
+      return res
+        .status(400)
+        .json({ error: accessTokenResponse.data.error_description });
+    }
+
     const {
       access_token,
       expires_in,
@@ -266,36 +227,54 @@ app.get("/auth/github/callback", async (req, res) => {
         user.id,
         user.login,
         primaryEmail,
-        access_token,
+        await encryption.encrypt(access_token),
         new Date(Date.now() + expires_in * 1000),
-        refresh_token,
+        await encryption.encrypt(refresh_token),
         new Date(Date.now() + refresh_token_expires_in * 1000),
         true,
         false,
       ]
     );
 
-    res.cookie("user_id", user.id, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "none",
-      maxAge: 30 * 24 * 60 * 60 * 1000, // 30 days
+    const session = await sessions.createSession(pool, {
+      userId: user.id,
+      userAgent: req.get("User-Agent"),
+      ipAddress: req.ip,
+      replaceToken: req.cookies?.[sessions.SESSION_COOKIE],
     });
+    sessions.setSessionCookie(res, session);
 
-    res.json({ success: true });
+    res.json({
+      success: true,
+      csrfToken: session.csrfToken,
+      returnTo: loginAttempt.return_to,
+    });
   } catch (error) {
     console.error("Error during authentication:", error);
     res.status(500).json({ error: "Error during authentication" });
   }
 });
 
-app.get("/api/checkAuth", authenticateUser, (req, res) => {
+app.get("/api/checkAuth", authenticateUser, async (req, res) => {
+  let userInstallations;
+  try {
+    userInstallations = await installations.getUserInstallations(
+      pool,
+      req.user.github_id
+    );
+  } catch (error) {
+    console.error("Error fetching installations:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
   res.status(200).json({
     authenticated: true,
-    isAppInstalled: req.user.github_installation_id !== null,
-    aadhaarPanVerified: req.user.aadhaar_pan !== null,
-    aadhaarPanSet: req.user.aadhaar_pan,
+    isAppInstalled: userInstallations.length > 0,
+    aadhaarPanVerified: req.user.kyc_status === "verified",
+    aadhaarPanSet: req.user.aadhaar_pan !== null,
+    kycStatus: req.user.kyc_status,
+    maskedIdentifier: req.user.aadhaar_pan,
     solanaAddressSet: req.user.solana_address !== null,
+    csrfToken: req.session.csrf_token,
   });
 });
 
@@ -303,13 +282,34 @@ app.post("/api/user/verify", authenticateUser, async (req, res) => {
   const client = await pool.connect();
   try {
     const { aadhaarPan } = req.body;
-    const isVerified = await verifyAadhaarPan(aadhaarPan, req.user.github_id);
-    if (isVerified) {
-      res.json({ message: "Verification successful" });
-    } else {
-      res.status(400).json({ error: "Verification failed" });
+    const verification = await kyc.submitVerification(client, {
+      userId: req.user.github_id,
+      value: aadhaarPan,
+    });
+    if (verification.status === "rejected") {
+      return res.status(400).json({
+        error: "Verification failed",
+        reason: verification.reason,
+      });
     }
+    res.status(verification.status === "pending" ? 202 : 200).json({
+      message:
+        verification.status === "pending"
+          ? "Verification submitted"
+          : "Verification successful",
+      status: verification.status,
+      maskedIdentifier: verification.masked_identifier,
+    });
   } catch (error) {
+    if (error instanceof kyc.InvalidIdentifierError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof kyc.KycUnavailableError) {
+      console.error("KYC is not configured:", error.message);
+      return res
+        .status(503)
+        .json({ error: "Verification is temporarily unavailable" });
+    }
     console.error("Error verifying Aadhaar/PAN:", error);
     res.status(500).json({ error: "Failed to verify Aadhaar/PAN" });
   } finally {
@@ -319,12 +319,8 @@ app.post("/api/user/verify", authenticateUser, async (req, res) => {
 
 app.post("/api/logout", authenticateUser, async (req, res) => {
   try {
-    // Clear the user_id cookie
-    res.clearCookie("user_id", {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "none",
-    });
+    await sessions.revokeSession(pool, req.user.github_id, req.session.id);
+    sessions.clearSessionCookie(res);
 
     res.json({ message: "Logout successful" });
   } catch (error) {
@@ -333,6 +329,57 @@ app.post("/api/logout", authenticateUser, async (req, res) => {
   }
 });
 
+app.post("/api/logout-all", authenticateUser, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(pool, req.user.github_id);
+    sessions.clearSessionCookie(res);
+
+    res.json({ message: "Logged out of all devices", revoked });
+  } catch (error) {
+    console.error("Error during logout:", error);
+    res.status(500).json({ error: "Error during logout" });
+  }
+});
+
+// Devices the user is logged in on
+app.get("/api/sessions", authenticateUser, async (req, res) => {
+  try {
+    const rows = await sessions.listSessions(pool, req.user.github_id);
+    res.json(
+      rows.map((session) => ({
+        ...session,
+        current: session.id === req.session.id,
+      }))
+    );
+  } catch (error) {
+    console.error("Error listing sessions:", error);
+    res.status(500).json({ error: "Failed to list sessions" });
+  }
+});
+
+app.delete("/api/sessions/:id", authenticateUser, async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(404).json({ error: "Session not found" });
+  }
+  try {
+    const revoked = await sessions.revokeSession(
+      pool,
+      req.user.github_id,
+      req.params.id
+    );
+    if (!revoked) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    if (req.params.id === req.session.id) {
+      sessions.clearSessionCookie(res);
+    }
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
+
 // app installation
 app.get("/api/github/login", authenticateUser, (req, res) => {
   const githubAuthUrl = `https://github.com/apps/${process.env.GITHUB_APP_SLUG}/installations/new`;
@@ -340,7 +387,7 @@ app.get("/api/github/login", authenticateUser, (req, res) => {
 });
 
 app.get("/api/github/callback", authenticateUser, async (req, res) => {
-  const { installation_id, setup_action } = req.query;
+  const { installation_id } = req.query;
 
   if (!installation_id) {
     return res.status(400).json({ error: "Invalid installation_id provided" });
@@ -348,47 +395,23 @@ app.get("/api/github/callback", authenticateUser, async (req, res) => {
 
   const client = await pool.connect();
   try {
-    const result = await client.query(
-      `
-        SELECT github_installation_id
-        FROM users
-        WHERE github_id = $1
-        FOR UPDATE
-      `,
-      [req.user.github_id]
-    );
-
-    if (
-      setup_action !== "update" &&
-      result.rows[0].github_installation_id === installation_id
-    ) {
-      return res.status(200).json({ isAppInstalled: true });
-    }
-
-    const appOctokit = new Octokit({
-      authStrategy: createAppAuth,
-      auth: {
-        appId: process.env.GITHUB_APP_ID,
-        privateKey: process.env.GITHUB_PRIVATE_KEY,
-        installationId: installation_id,
-      },
-    });
-    const { data: installation } = await appOctokit.apps.getInstallation({
+    const { data: installation } = await getAppOctokit().apps.getInstallation({
       installation_id,
     });
 
-    // Update the user's github_installation_id in the database
-    await client.query(
-      `
-        UPDATE users
-        SET github_installation_id = $1
-        WHERE github_id = $2
-      `,
-      [installation_id, installation.account.id]
+    // The installation webhooks record the same, but may arrive later
+    const octokit = getInstallationOctokit(installation.id);
+    const repositories = await octokit.paginate(
+      octokit.rest.apps.listReposAccessibleToInstallation
     );
+    await client.query("BEGIN");
+    await installations.saveInstallation(client, installation);
+    await installations.addRepositories(client, installation.id, repositories);
+    await client.query("COMMIT");
 
     res.json({ isAppInstalled: true });
   } catch (error) {
+    await client.query("ROLLBACK");
     console.error("Error in GitHub callback:", error);
     res.status(500).json({ error: "Failed to update GitHub installation" });
   } finally {
@@ -396,16 +419,204 @@ app.get("/api/github/callback", authenticateUser, async (req, res) => {
   }
 });
 
+app.get("/api/github/installations", authenticateUser, async (req, res) => {
+  try {
+    res.json(
+      await installations.getUserInstallations(pool, req.user.github_id)
+    );
+  } catch (error) {
+    console.error("Error fetching installations:", error);
+    res.status(500).json({ error: "Failed to fetch installations" });
+  }
+});
+
+// Outbound webhooks. Users register endpoints for their own bounties, and
+// the owner or an admin of an organization for all of its bounties.
+const canManageInstallation = async (user, installation) => {
+  if (Number(installation.account_id) === user.github_id) {
+    return true;
+  }
+  if (installation.account_type !== "Organization") {
+    return false;
+  }
+  const role = await fetchOrgRole(getInstallationOctokit(installation.id), {
+    org: installation.account_login,
+    username: user.name,
+  });
+  return role === "admin";
+};
+
+// Load the endpoint in req.params.id if the user may manage it
+const findManagedEndpoint = async (req, res) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(404).json({ error: "Webhook endpoint not found" });
+    return null;
+  }
+  const endpoint = await outboundWebhooks.getEndpoint(pool, req.params.id);
+  let allowed = endpoint?.user_id === req.user.github_id;
+  if (endpoint?.installation_id) {
+    const installation = await installations.getInstallation(
+      pool,
+      endpoint.installation_id
+    );
+    allowed =
+      installation !== null &&
+      (await canManageInstallation(req.user, installation));
+  }
+  if (!allowed) {
+    res.status(404).json({ error: "Webhook endpoint not found" });
+    return null;
+  }
+  return endpoint;
+};
+
+app.get("/api/webhook-endpoints", authenticateUser, async (req, res) => {
+  try {
+    res.json({
+      events: outboundWebhooks.EVENT_TYPES,
+      endpoints: await outboundWebhooks.listEndpoints(pool, req.user.github_id),
+    });
+  } catch (error) {
+    console.error("Error listing webhook endpoints:", error);
+    res.status(500).json({ error: "Failed to list webhook endpoints" });
+  }
+});
+
+// Register an endpoint. The response holds the signing secret, which is not
+// shown again.
+app.post("/api/webhook-endpoints", authenticateUser, async (req, res) => {
+  const { url, events, installationId } = req.body;
+  try {
+    if (installationId !== undefined && installationId !== null) {
+      const installation = /^\d+$/.test(String(installationId))
+        ? await installations.getInstallation(pool, installationId)
+        : null;
+      if (!installation) {
+        return res.status(404).json({ error: "Installation not found" });
+      }
+      if (!(await canManageInstallation(req.user, installation))) {
+        return res.status(403).json({
+          error: "Only the owner or an admin of the account can add webhooks",
+        });
+      }
+    }
+
+    const endpoint = await outboundWebhooks.createEndpoint(pool, {
+      userId: installationId ? null : req.user.github_id,
+      installationId: installationId || null,
+      url,
+      events,
+      createdBy: req.user.github_id,
+    });
+    res.status(201).json(endpoint);
+  } catch (error) {
+    if (error instanceof outboundWebhooks.InvalidEndpointError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error creating webhook endpoint:", error);
+    res.status(500).json({ error: "Failed to create webhook endpoint" });
+  }
+});
+
+app.delete("/api/webhook-endpoints/:id", authenticateUser, async (req, res) => {
+  try {
+    const endpoint = await findManagedEndpoint(req, res);
+    if (!endpoint) {
+      return;
+    }
+    await outboundWebhooks.deleteEndpoint(pool, endpoint.id);
+    res.json({ message: "Webhook endpoint deleted" });
+  } catch (error) {
+    console.error("Error deleting webhook endpoint:", error);
+    res.status(500).json({ error: "Failed to delete webhook endpoint" });
+  }
+});
+
+// Recent deliveries to an endpoint, newest first
+app.get(
+  "/api/webhook-endpoints/:id/deliveries",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const endpoint = await findManagedEndpoint(req, res);
+      if (!endpoint) {
+        return;
+      }
+      res.json(
+        await outboundWebhooks.listDeliveries(pool, endpoint.id, {
+          limit: req.query.limit,
+        })
+      );
+    } catch (error) {
+      console.error("Error listing webhook deliveries:", error);
+      res.status(500).json({ error: "Failed to list webhook deliveries" });
+    }
+  }
+);
+
+// Send a test "ping" event to an endpoint
+app.post(
+  "/api/webhook-endpoints/:id/ping",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const endpoint = await findManagedEndpoint(req, res);
+      if (!endpoint) {
+        return;
+      }
+      res
+        .status(202)
+        .json(await outboundWebhooks.enqueuePing(pool, endpoint.id));
+    } catch (error) {
+      console.error("Error sending webhook ping:", error);
+      res.status(500).json({ error: "Failed to send webhook ping" });
+    }
+  }
+);
+
+// Step one of connecting an address: a message to sign with the wallet
+app.post(
+  "/api/user/solana-address/challenge",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      const challenge = await solanaAddress.createChallenge(pool, {
+        userId: req.user.github_id,
+        username: req.user.name,
+        address: req.body.solanaAddress,
+      });
+      res.json(challenge);
+    } catch (error) {
+      if (error instanceof solanaAddress.InvalidAddressError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error("Error creating Solana address challenge:", error);
+      res.status(500).json({ error: "Failed to create challenge" });
+    }
+  }
+);
+
+// Step two: the base64 signature of the challenge message
 app.post("/api/user/set_solana-address", authenticateUser, async (req, res) => {
   const client = await pool.connect();
   try {
-    const { solanaAddress } = req.body;
-    await client.query(
-      "UPDATE users SET solana_address = $1 WHERE github_id = $2",
-      [solanaAddress, req.user.github_id]
-    );
+    const { solanaAddress: address, signature } = req.body;
+    await client.query("BEGIN");
+    await solanaAddress.connectAddress(client, {
+      userId: req.user.github_id,
+      address,
+      signature,
+    });
+    await client.query("COMMIT");
     res.json({ message: "Solana address connected" });
   } catch (error) {
+    await client.query("ROLLBACK");
+    if (error instanceof solanaAddress.InvalidAddressError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof solanaAddress.AddressLockedError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error("Error connecting Solana address:", error);
     res.status(500).json({ error: "Failed to connect Solana address" });
   } finally {
@@ -413,6 +624,19 @@ app.post("/api/user/set_solana-address", authenticateUser, async (req, res) => {
   }
 });
 
+app.get(
+  "/api/user/solana-address/history",
+  authenticateUser,
+  async (req, res) => {
+    try {
+      res.json(await solanaAddress.getHistory(pool, req.user.github_id));
+    } catch (error) {
+      console.error("Error fetching Solana address history:", error);
+      res.status(500).json({ error: "Failed to fetch address history" });
+    }
+  }
+);
+
 app.get("/api/created_bounties", authenticateUser, async (req, res) => {
   const client = await pool.connect();
   try {
@@ -435,7 +659,7 @@ app.get("/api/user/bounties-to-approve", authenticateUser, async (req, res) => {
     const result = await client.query(
       `
       WITH user_bounties AS (
-        SELECT id FROM bounties WHERE creator_id = $1 AND (status = 'open' OR status = 'payment pending')
+        SELECT id FROM bounties WHERE creator_id = $1 AND status IN ('open', 'ready_for_approval', 'approved', 'payment_pending')
       )
       SELECT 
         b.id,
@@ -444,19 +668,34 @@ app.get("/api/user/bounties-to-approve", authenticateUser, async (req, res) => {
         b.repository,
         b.issue_title,
         b.issue_url,
-        b.status, 
-        b.claimed_by, 
+        b.currency,
+        b.status,
+        (
+          SELECT json_agg(json_build_object(
+            'share_id', s.id,
+            'claimant_id', s.user_id,
+            'amount', s.amount::text,
+            'percentage', s.percentage::text,
+            'status', s.status
+          ) ORDER BY s.id)
+          FROM bounty_shares s
+          WHERE s.bounty_id = b.id
+        ) AS shares,
         json_agg(json_build_object(
           'claimant_id', u.github_id,
           'claimant_name', u.name,
           'claimant_email', u.email,
-          'claimed_at', bc.claimed_at
+          'claimed_at', bc.claimed_at,
+          'pull_request_number', bc.pull_request_number,
+          'claim_status', bc.status,
+          'merged_at', bc.merged_at
         )) FILTER (WHERE u.github_id IS NOT NULL) AS claimants
       FROM user_bounties ub
       JOIN bounties b ON ub.id = b.id
-      LEFT JOIN bounty_claims bc ON b.id = bc.bounty_id
+      -- Claims withdrawn by closing their pull request are left out
+      LEFT JOIN bounty_claims bc ON b.id = bc.bounty_id AND bc.status <> 'closed'
       LEFT JOIN users u ON bc.user_id = u.github_id
-      GROUP BY b.id, b.issue_id, b.amount, b.repository, b.issue_title, b.issue_url, b.status, b.claimed_by
+      GROUP BY b.id
       HAVING COUNT(u.github_id) > 0
       ORDER BY b.created_at DESC
     `,
@@ -482,8 +721,150 @@ app.get("/api/user/bounties-to-approve", authenticateUser, async (req, res) => {
   }
 });
 
+// Live updates for the dashboards, as Server-Sent Events: every event about a
+// bounty the user created or claimed, naming the bounty to refetch
+const EVENT_STREAM_HEARTBEAT_MS = 25 * 1000;
+
+app.get("/api/events/stream", authenticateUser, async (req, res) => {
+  const userId = req.user.github_id;
+  let unsubscribe;
+  try {
+    unsubscribe = await bountyEvents.subscribe((event) => {
+      if (event.userIds.includes(userId)) {
+        res.write(
+          `id: ${event.id}\nevent: ${event.event}\ndata: ${JSON.stringify({
+            bountyId: event.bountyId,
+            status: event.status,
+          })}\n\n`
+        );
+      }
+    });
+  } catch (error) {
+    console.error("Error subscribing to bounty events:", error);
+    return res.status(500).json({ error: "Failed to open event stream" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    EVENT_STREAM_HEARTBEAT_MS
+  );
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Whether `user` may manage `bounty`, going by their role in its repository.
+// The owner needs write access, other members of the repository or its
+// organization need `role`; with a null `role` only the owner may.
+const checkBountyRole = async (bounty, user, role = "maintain") => {
+  const isOwner = bounty.creator_id === user.github_id;
+  const [owner, repo] = bounty.repository.split("/");
+  const permission = await fetchPermission(
+    await getRepositoryOctokit(owner, repo),
+    { owner, repo, username: user.name }
+  );
+  return {
+    isOwner,
+    allowed: repositoryPolicy.canManageBounty({ isOwner, permission, role }),
+  };
+};
+
+// The shares of `bounty` with the payments each backer makes towards them,
+// issuing a fresh unsigned transaction for every payment `payerId` has still
+// to make. Each call issues new ones, as the blockhash of earlier ones may
+// have expired.
+const describePayments = async (client, { bounty, payerId }) => {
+  const shares = await bountyShares.getShares(client, bounty.id);
+  const payments = await bountyShares.getPayments(client, bounty.id);
+  const usersResult = await client.query(
+    "SELECT github_id, name, solana_address FROM users WHERE github_id = ANY($1)",
+    [
+      [
+        ...shares.map((share) => share.user_id),
+        ...payments.map((payment) => payment.payer_id),
+      ],
+    ]
+  );
+  const users = new Map(
+    usersResult.rows.map((user) => [user.github_id, user])
+  );
+
+  const response = [];
+  for (const share of shares) {
+    const claimant = users.get(share.user_id);
+    const sharePayments = [];
+    for (const payment of payments) {
+      if (Number(payment.share_id) !== Number(share.id)) {
+        continue;
+      }
+      const payout =
+        payment.status === "pending" &&
+        payment.payer_id === payerId &&
+        claimant?.solana_address
+          ? await payouts.issuePayoutTransaction(client, {
+              bounty,
+              payment,
+              to: claimant.solana_address,
+            })
+          : {};
+      sharePayments.push({
+        paymentId: payment.id,
+        payerId: payment.payer_id,
+        payerName: users.get(payment.payer_id)?.name ?? null,
+        fromWalletAddress: payment.from_address,
+        walletSource: payment.wallet_source,
+        amount: payment.amount,
+        status: payment.status,
+        transaction: payout.transaction,
+        recentBlockhash: payout.recentBlockhash,
+        lastValidBlockHeight: payout.lastValidBlockHeight,
+        memo: payout.memo,
+      });
+    }
+    response.push({
+      shareId: share.id,
+      claimantId: share.user_id,
+      claimantName: claimant?.name ?? null,
+      toWalletAddress: claimant?.solana_address ?? null,
+      amount: share.amount,
+      percentage: share.percentage,
+      amountInr: await currency.toInr(share.amount, bounty.currency),
+      status: share.status,
+      payments: sharePayments,
+    });
+  }
+
+  return {
+    bountyId: bounty.id,
+    amount: bounty.amount,
+    currency: bounty.currency,
+    decimals: bounty.decimals,
+    mint: currency.getCurrency(bounty.currency).mint,
+    amountInr: await currency.toInr(bounty.amount, bounty.currency),
+    shares: response,
+  };
+};
+
+// Approve one or more claimants and issue the user the payout transactions
+// for their own pledges, each share being paid by every backer in proportion
+// to their pledge. `shares` is a list of { claimantId, percentage } or
+// { claimantId, amount } adding up to the bounty amount; a single
+// `claimantId` approves that claimant for the whole bounty.
 app.post("/api/approve-bounty-verify", authenticateUser, async (req, res) => {
   const { bountyId, claimantId } = req.body;
+  const requestedShares =
+    req.body.shares ??
+    (claimantId !== undefined ? [{ claimantId, percentage: 100 }] : undefined);
   const client = await pool.connect();
 
   try {
@@ -497,59 +878,141 @@ app.post("/api/approve-bounty-verify", authenticateUser, async (req, res) => {
     }
     const bounty = bountyResult.rows[0];
 
-    // 2. Check if the claimant has claimed this bounty
-    const claimResult = await client.query(
-      "SELECT * FROM bounty_claims WHERE bounty_id = $1 AND user_id = $2",
-      [bountyId, claimantId]
+    // 2. Check that the user is the owner of the bounty and can still write
+    // to its repository, or has the access the repository's .paisa.yml
+    // requires of other approvers
+    const [repoOwner, repoName] = bounty.repository.split("/");
+    const config = await repositoryConfig.loadConfig(
+      await getRepositoryOctokit(repoOwner, repoName),
+      { owner: repoOwner, repo: repoName }
     );
-    if (claimResult.rows.length === 0) {
-      return res
-        .status(400)
-        .json({ error: "Claimant has not claimed this bounty" });
+    const { isOwner, allowed } = await checkBountyRole(
+      bounty,
+      req.user,
+      repositoryConfig.approverRole(config)
+    );
+    if (!allowed) {
+      return res.status(403).json({
+        error: isOwner
+          ? "You need write access to the repository to approve this bounty"
+          : config.approvers === "creator"
+            ? "Only the owner can approve this bounty"
+            : `Only the owner or users with ${config.approvers} access can approve this bounty`,
+      });
     }
 
-    // 3. Check if the user is the owner of the bounty
-    if (bounty.creator_id !== req.user.github_id) {
-      return res.status(401).json({ error: "Unauthorized" });
+    // 3. Work out the shares. Repeating the call for an approved bounty just
+    // issues the payment details again, as long as the shares are the same.
+    const isApproved = ["approved", "payment_pending"].includes(bounty.status);
+    const existingShares = isApproved
+      ? await bountyShares.getShares(client, bounty.id)
+      : [];
+    let shares = null;
+    if (requestedShares !== undefined) {
+      shares = bountyShares.resolveShares(bounty, requestedShares);
+      if (
+        isApproved &&
+        !bountyShares.sameShares(existingShares, shares, bounty.currency)
+      ) {
+        return res.status(409).json({
+          error: "Bounty has already been approved with different shares",
+        });
+      }
+    } else if (!isApproved) {
+      return res
+        .status(400)
+        .json({ error: "claimantId or shares are required" });
     }
-
-    // 4. Fetch owner and claimant details
-    const ownerResult = await client.query(
-      "SELECT * FROM users WHERE github_id = $1",
-      [bounty.creator_id]
+    const claimantIds = isApproved
+      ? existingShares.map((share) => share.user_id)
+      : shares.map((share) => share.userId);
+
+    // 4. Fetch claimant details
+    const usersResult = await client.query(
+      "SELECT * FROM users WHERE github_id = ANY($1)",
+      [claimantIds]
     );
-    const claimantResult = await client.query(
-      "SELECT * FROM users WHERE github_id = $1",
-      [claimantId]
+    const users = new Map(
+      usersResult.rows.map((user) => [user.github_id, user])
     );
-
-    if (ownerResult.rows.length === 0 || claimantResult.rows.length === 0) {
-      return res.status(400).json({ error: "Owner or claimant not found" });
+    if (claimantIds.some((id) => !users.has(id))) {
+      return res.status(400).json({ error: "Claimant not found" });
     }
 
-    const owner = ownerResult.rows[0];
-    const claimant = claimantResult.rows[0];
-
-    // 5. Check if Solana addresses are available
-    if (!owner.solana_address || !claimant.solana_address) {
+    // 5. Check if Solana addresses are available. The backers' wallets are
+    // checked when the shares are split into their payments.
+    const claimants = claimantIds.map((id) => users.get(id));
+    if (claimants.some((claimant) => !claimant.solana_address)) {
       return res
         .status(400)
-        .json({ error: "Solana address of owner or claimant not found" });
+        .json({ error: "Solana address of claimant not found" });
+    }
+    for (const claimant of claimants) {
+      try {
+        solanaAddress.parseAddress(claimant.solana_address);
+      } catch (error) {
+        return res.status(400).json({
+          error: `Solana address of @${claimant.name} is invalid and must be reconnected`,
+        });
+      }
     }
 
-    // 6. Update bounty status to 'payment pending'
-    await client.query(
-      "UPDATE bounties SET status = $1, claimed_by = $2 WHERE id = $3",
-      ["payment pending", claimantId, bountyId]
-    );
+    // 6. Large payouts need a KYC-verified claimant
+    const shareAmounts = isApproved
+      ? existingShares.map((share) => [share.user_id, share.amount])
+      : shares.map((share) => [share.userId, share.amount]);
+    for (const [userId, amount] of shareAmounts) {
+      await kyc.assertPayoutAllowed(client, {
+        userId,
+        amount,
+        currency: bounty.currency,
+      });
+    }
 
-    res.json({
-      fromWalletAddress: owner.solana_address,
-      toWalletAddress: claimant.solana_address,
-      amount: bounty.amount,
-      bountyId: bountyId,
-    });
+    // 7. Approve the shares, moving the funds from escrow to payable and
+    // splitting each between the backers, and mark the payment as pending
+    if (bounty.status !== "payment_pending") {
+      await client.query("BEGIN");
+      if (bounty.status !== "approved") {
+        await bountyShares.approveShares(client, {
+          bounty,
+          shares,
+          actorId: req.user.github_id,
+          reason: `Approved claims by ${shares
+            .map((share) => `user ${share.userId}`)
+            .join(", ")}`,
+        });
+      }
+      await bountyState.transition(client, bounty.id, "payment_pending", {
+        actorId: req.user.github_id,
+        reason: "Payment details issued to the backers",
+      });
+      await bountyShares.markPaymentPending(client, bounty.id);
+      await client.query("COMMIT");
+    }
+
+    // 8. Issue the user the transactions for their own payments, other
+    // backers fetch theirs from /api/bounty/:id/payments
+    res.json(
+      await describePayments(client, {
+        bounty,
+        payerId: req.user.github_id,
+      })
+    );
   } catch (error) {
+    await client.query("ROLLBACK");
+    if (error instanceof bountyState.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error instanceof bountyShares.InvalidSharesError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof kyc.KycRequiredError) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error instanceof repositoryConfig.InvalidConfigError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error("Error approving bounty:", error);
     res.status(500).json({ error: "Failed to approve bounty" });
   } finally {
@@ -557,27 +1020,117 @@ app.post("/api/approve-bounty-verify", authenticateUser, async (req, res) => {
   }
 });
 
-app.get("/api/user/claimed-bounties", authenticateUser, async (req, res) => {
+// Bounties awaiting a payment from the user towards one of their shares
+app.get("/api/user/bounties-to-pay", authenticateUser, async (req, res) => {
   const client = await pool.connect();
   try {
     const result = await client.query(
       `
-      SELECT 
+      SELECT
         b.id,
-        b.issue_id,
         b.amount,
-        b.status,
         b.repository,
         b.issue_title,
         b.issue_url,
-        bc.claimed_at,
-        CASE 
-          WHEN b.claimed_by = $1 THEN 'Accepted'
-          WHEN b.claimed_by IS NOT NULL AND b.claimed_by != $1 THEN 'Rejected'
+        b.currency,
+        b.status,
+        SUM(p.amount) AS amount_to_pay,
+        COUNT(p.id)::int AS payments
+      FROM share_payments p
+      JOIN bounties b ON b.id = p.bounty_id
+      WHERE p.payer_id = $1 AND p.status = 'pending' AND b.status = 'payment_pending'
+      GROUP BY b.id
+      ORDER BY b.created_at DESC
+    `,
+      [req.user.github_id]
+    );
+    res.json(result.rows);
+  } catch (error) {
+    console.error("Error fetching bounties to pay:", error);
+    res.status(500).json({ error: "Failed to fetch bounties to pay" });
+  } finally {
+    client.release();
+  }
+});
+
+// Issue a backer the payout transactions for their payments towards the
+// shares of a bounty awaiting payment
+app.post("/api/bounty/:id/payments", authenticateUser, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const bountyResult = await client.query(
+      "SELECT * FROM bounties WHERE id = $1",
+      [req.params.id]
+    );
+    if (bountyResult.rows.length === 0) {
+      return res.status(404).json({ error: "Bounty not found" });
+    }
+    const bounty = bountyResult.rows[0];
+    if (bounty.status !== "payment_pending") {
+      return res.status(400).json({ error: "Bounty is not awaiting payment" });
+    }
+
+    const payment = await client.query(
+      "SELECT id FROM share_payments WHERE bounty_id = $1 AND payer_id = $2",
+      [bounty.id, req.user.github_id]
+    );
+    if (payment.rows.length === 0) {
+      return res
+        .status(403)
+        .json({ error: "You have no payments towards this bounty" });
+    }
+
+    res.json(
+      await describePayments(client, {
+        bounty,
+        payerId: req.user.github_id,
+      })
+    );
+  } catch (error) {
+    console.error("Error issuing bounty payments:", error);
+    res.status(500).json({ error: "Failed to issue bounty payments" });
+  } finally {
+    client.release();
+  }
+});
+
+app.get("/api/user/claimed-bounties", authenticateUser, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `
+      SELECT 
+        b.id,
+        b.issue_id,
+        b.amount,
+        b.status,
+        b.repository,
+        b.issue_title,
+        b.issue_url,
+        b.currency,
+        bc.claimed_at,
+        bc.pull_request_number,
+        bc.status AS pull_request_status,
+        bc.merged_at,
+        CASE 
+          WHEN s.id IS NOT NULL THEN 'Accepted'
+          WHEN EXISTS (
+            SELECT 1 FROM bounty_shares o
+            WHERE o.bounty_id = b.id AND o.status <> 'cancelled'
+          ) THEN 'Rejected'
+          WHEN bc.status = 'closed' THEN 'Withdrawn'
           ELSE 'Pending'
-        END AS claim_status
+        END AS claim_status,
+        s.id AS share_id,
+        s.amount AS share_amount,
+        s.percentage AS share_percentage,
+        s.status AS share_status,
+        s.payment_signature AS share_payment_signature,
+        s.paid_at AS share_paid_at
       FROM bounty_claims bc
       JOIN bounties b ON bc.bounty_id = b.id
+      LEFT JOIN bounty_shares s
+        ON s.bounty_id = b.id AND s.user_id = $1 AND s.status <> 'cancelled'
       WHERE bc.user_id = $1
       ORDER BY bc.claimed_at DESC
     `,
@@ -593,85 +1146,274 @@ app.get("/api/user/claimed-bounties", authenticateUser, async (req, res) => {
   }
 });
 
+// Repository bounty settings, managed by repository admins
+async function requireRepositoryAdmin(req, res) {
+  const { owner, repo } = req.params;
+  const appOctokit = await getRepositoryOctokit(owner, repo);
+  const permission = await fetchPermission(appOctokit, {
+    owner,
+    repo,
+    username: req.user.name,
+  });
+  if (!hasPermission(permission, "admin")) {
+    res.status(403).json({ error: "Only repository admins can do this" });
+    return false;
+  }
+  return true;
+}
+
+app.get(
+  "/api/repositories/:owner/:repo/settings",
+  authenticateUser,
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      if (!(await requireRepositoryAdmin(req, res))) {
+        return;
+      }
+      const policy = await repositoryPolicy.getPolicy(
+        client,
+        `${req.params.owner}/${req.params.repo}`
+      );
+      res.json({
+        bountyCreators: policy.bounty_creators,
+        allowedCreators: policy.allowed_creators,
+        requireIssueReference: policy.require_issue_reference,
+      });
+    } catch (error) {
+      console.error("Error fetching repository settings:", error);
+      res.status(500).json({ error: "Failed to fetch repository settings" });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+app.put(
+  "/api/repositories/:owner/:repo/settings",
+  authenticateUser,
+  async (req, res) => {
+    const {
+      bountyCreators,
+      allowedCreators = [],
+      requireIssueReference = false,
+    } = req.body;
+    if (!repositoryPolicy.CREATOR_POLICIES.includes(bountyCreators)) {
+      return res.status(400).json({
+        error: `bountyCreators must be one of ${repositoryPolicy.CREATOR_POLICIES.join(
+          ", "
+        )}`,
+      });
+    }
+    if (
+      !Array.isArray(allowedCreators) ||
+      !allowedCreators.every((login) => typeof login === "string")
+    ) {
+      return res
+        .status(400)
+        .json({ error: "allowedCreators must be a list of GitHub logins" });
+    }
+    if (typeof requireIssueReference !== "boolean") {
+      return res
+        .status(400)
+        .json({ error: "requireIssueReference must be a boolean" });
+    }
+
+    const client = await pool.connect();
+    try {
+      if (!(await requireRepositoryAdmin(req, res))) {
+        return;
+      }
+      const policy = await repositoryPolicy.setPolicy(
+        client,
+        `${req.params.owner}/${req.params.repo}`,
+        {
+          bountyCreators,
+          allowedCreators,
+          requireIssueReference,
+          actorId: req.user.github_id,
+        }
+      );
+      res.json({
+        bountyCreators: policy.bounty_creators,
+        allowedCreators: policy.allowed_creators,
+        requireIssueReference: policy.require_issue_reference,
+      });
+    } catch (error) {
+      console.error("Error updating repository settings:", error);
+      res.status(500).json({ error: "Failed to update repository settings" });
+    } finally {
+      client.release();
+    }
+  }
+);
+
+// Public bounty discovery
+app.get("/api/bounties", async (req, res, next) => {
+  let params;
+  try {
+    params = bountySearch.parseSearchParams(req.query);
+  } catch (error) {
+    if (error instanceof bountySearch.InvalidSearchError) {
+      return res.status(400).json({ error: error.message });
+    }
+    return next(error);
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await bountySearch.searchBounties(client, params);
+    res.json(result);
+  } catch (error) {
+    console.error("Error searching bounties:", error);
+    res.status(500).json({ error: "Failed to search bounties" });
+  } finally {
+    client.release();
+  }
+});
+
+app.get("/api/bounties/:id", async (req, res) => {
+  const bountyId = Number(req.params.id);
+  if (!Number.isInteger(bountyId)) {
+    return res.status(400).json({ error: "Invalid bounty ID" });
+  }
+
+  const client = await pool.connect();
+  try {
+    const bounty = await bountySearch.getBountyDetails(client, bountyId);
+    if (!bounty) {
+      return res.status(404).json({ error: "Bounty not found" });
+    }
+    res.json(bounty);
+  } catch (error) {
+    console.error("Error fetching bounty:", error);
+    res.status(500).json({ error: "Failed to fetch bounty" });
+  } finally {
+    client.release();
+  }
+});
+
 app.put("/api/bounty/:id", authenticateUser, async (req, res) => {
   const bountyId = req.params.id;
   const { amount } = req.body;
 
+  if (amount === undefined || amount === null || amount === "") {
+    return res.status(400).json({ error: "Amount is required" });
+  }
+
   const client = await pool.connect();
   try {
-    // Check if the bounty exists and the user is the owner
     const bountyResult = await client.query(
-      "SELECT * FROM bounties WHERE id = $1 AND creator_id = $2",
-      [bountyId, req.user.github_id]
+      "SELECT * FROM bounties WHERE id = $1",
+      [bountyId]
     );
     if (bountyResult.rows.length === 0) {
-      return res
-        .status(404)
-        .json({ error: "Bounty not found or you are not the owner" });
+      return res.status(404).json({ error: "Bounty not found" });
     }
-    
+
     const bounty = bountyResult.rows[0];
 
     const oldAmount = bounty.amount; 
-    const newAmount = req.body.amount;
+    let newAmount;
+    try {
+      newAmount = currency.parseAmount(amount, bounty.currency);
+    } catch (error) {
+      if (error instanceof currency.InvalidAmountError) {
+        return res.status(400).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    if (!bountyState.UNAPPROVED_STATUSES.includes(bounty.status)) {
+      return res
+        .status(400)
+        .json({ error: "Only open bounties can be updated" });
+    }
+
+    // The owner must still have write access to the repository, others
+    // need to maintain it
+    const { isOwner, allowed } = await checkBountyRole(bounty, req.user);
+    if (!allowed) {
+      return res.status(403).json({
+        error: isOwner
+          ? "You need write access to the repository to update this bounty"
+          : "Only the owner or repository maintainers can update this bounty",
+      });
+    }
+
+    // The new amount must be within the limits of the repository's
+    // .paisa.yml, like the amount the bounty was created with
+    const [repoOwner, repoName] = bounty.repository.split("/");
+    const config = await repositoryConfig.loadConfig(
+      await getRepositoryOctokit(repoOwner, repoName),
+      { owner: repoOwner, repo: repoName }
+    );
+    const problem = repositoryConfig.checkLimits(config, {
+      amount: newAmount,
+      code: bounty.currency,
+    });
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
   
-    // Update the bounty amount
+    // Update the bounty amount and record the difference in the owner's
+    // pledges and the ledger
+    await client.query("BEGIN");
+    await pledges.changeCreatorPledge(client, {
+      bounty,
+      oldAmount,
+      newAmount,
+    });
     await client.query(
       "UPDATE bounties SET amount = $1 WHERE id = $2",
       [newAmount, bountyId]
     );
+    await ledger.adjustBounty(client, {
+      bountyId: bounty.id,
+      ownerId: bounty.creator_id,
+      oldAmount,
+      newAmount,
+      actorId: req.user.github_id,
+    });
   
     // Fetch associated pull requests
     const pullRequestsResult = await client.query(
-      "SELECT pull_request FROM bounty_claims WHERE bounty_id = $1",
+      "SELECT DISTINCT pull_request_number FROM bounty_claims WHERE bounty_id = $1",
       [bountyId]
     );
 
     console.log(`Updating bounty amount from ${oldAmount} to ${newAmount} on issue #${bounty.issue_id}`);
 
-    const pullRequestNumbers = pullRequestsResult.rows.map(row => row.pull_request);
+    const pullRequestNumbers = pullRequestsResult.rows.map(row => row.pull_request_number);
   console.log(`Pull request numbers: ${pullRequestNumbers}`);
-    const appOctokit = new Octokit({
-      authStrategy: createAppAuth,
-      auth: {
-        appId: process.env.GITHUB_APP_ID,
-        privateKey: process.env.GITHUB_PRIVATE_KEY,
-        installationId: req.user.github_installation_id,
-      },
-    });
-    console.log(`Updating bounty amount from ${oldAmount} to ${newAmount} on issue #${bounty.issue_id}`);
-  
-    // Create comment on the issue
-    try {
-      // Create comment on the issue
-      await appOctokit.rest.issues.createComment({
-        owner: bounty.repository.split("/")[0],
-        repo: bounty.repository.split("/")[1],
-        issue_number: bounty.issue_id,
-        body: `The bounty amount for this issue has been updated from ${oldAmount} to ${newAmount}.`
-      });
-    } catch (error) {
-      console.error('Error creating comment on issue:', error);
-      // Handle the error appropriately, e.g., log it, send an error response, or notify the user
-    }
-  
-    // Create comments on the pull requests
-    for (const prNumber of pullRequestNumbers) {
-      console.log(`Updating bounty amount on PR #${prNumber}`);
-      await appOctokit.rest.pulls.createReviewComment({
-        owner: bounty.repository.split("/")[0],
-        repo: bounty.repository.split("/")[1],
-        pull_number: prNumber,
-        body: `The bounty amount for this issue has been updated from ${oldAmount} to ${newAmount}.`,
-        // You might need to adjust the following based on your PR structure
-        commit_id: 'latest', // Or fetch the latest commit ID for the PR
-        path: '', // Or specify a relevant file path if needed
-        line: 1,
+
+    // Queue comments on the issue and the claiming pull requests
+    const commentBody = `The bounty amount for this issue has been updated from ${currency.formatAmount(
+      oldAmount,
+      bounty.currency
+    )} to ${await currency.formatWithInr(newAmount, bounty.currency)}.`;
+    const issueNumbers = [
+      issueNumberFromUrl(bounty.issue_url),
+      ...pullRequestNumbers.map(Number),
+    ].filter(Boolean);
+    for (const issueNumber of issueNumbers) {
+      await enqueueComment(client, {
+        repository: bounty.repository,
+        issueNumber,
+        body: commentBody,
       });
     }
+    await client.query("COMMIT");
   
     res.json({ message: "Bounty amount updated successfully" });
   } catch (error) {
+    await client.query("ROLLBACK");
+    if (error instanceof pledges.PledgeError) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error instanceof repositoryConfig.InvalidConfigError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error("Error updating bounty:", error);
     res.status(500).json({ error: "Failed to update bounty" });
   } finally {
@@ -685,63 +1427,100 @@ app.delete("/api/bounty/:id", authenticateUser, async (req, res) => {
   try {
     await client.query("BEGIN");
 
-    // Check if the bounty exists and the user is the owner
     const bountyResult = await client.query(
-      "SELECT * FROM bounties WHERE id = $1 AND creator_id = $2",
-      [bountyId, req.user.github_id]
+      "SELECT * FROM bounties WHERE id = $1",
+      [bountyId]
     );
     if (bountyResult.rows.length === 0) {
       await client.query("ROLLBACK");
-      return res
-        .status(404)
-        .json({ error: "Bounty not found or you are not the owner" });
+      return res.status(404).json({ error: "Bounty not found" });
     }
     const bounty = bountyResult.rows[0];
 
+    // The owner needs write access to the repository, other members of the
+    // repository or its organization need to be maintainers
+    const { isOwner, allowed } = await checkBountyRole(bounty, req.user);
+    if (!allowed) {
+      await client.query("ROLLBACK");
+      return res.status(403).json({
+        error: isOwner
+          ? "You need write access to the repository to cancel this bounty"
+          : "Only the owner or repository maintainers can cancel this bounty",
+      });
+    }
+    const cancelledBy = isOwner ? "the owner" : `@${req.user.name}`;
+
     // Get all claimants
     const claimantsResult = await client.query(
-      "SELECT DISTINCT user_id FROM bounty_claims WHERE bounty_id = $1",
+      `
+        SELECT DISTINCT bc.user_id, u.name
+        FROM bounty_claims bc
+        LEFT JOIN users u ON u.github_id = bc.user_id
+        WHERE bc.bounty_id = $1
+      `,
       [bountyId]
     );
     const claimants = claimantsResult.rows;
 
-    // Delete bounty claims
-    await client.query("DELETE FROM bounty_claims WHERE bounty_id = $1", [
-      bountyId,
-    ]);
-
-    // Delete the bounty
-    await client.query("DELETE FROM bounties WHERE id = $1", [bountyId]);
-
-    await client.query("COMMIT");
+    // Cancel rather than delete the bounty so that its claims, ledger and
+    // history are kept
+    await bountyState.transition(client, bounty.id, "cancelled", {
+      actorId: req.user.github_id,
+      reason: `Cancelled by ${cancelledBy}`,
+    });
+    await bountyShares.cancelShares(client, bounty.id);
 
-    // Notify claimants
-    const appOctokit = new Octokit({
-      authStrategy: createAppAuth,
-      auth: {
-        appId: process.env.GITHUB_APP_ID,
-        privateKey: process.env.GITHUB_PRIVATE_KEY,
-        installationId: req.user.github_installation_id,
-      },
+    // Return any funds still held for the bounty to its backers, in
+    // proportion to their pledges
+    const refunds = await pledges.refundPledges(client, {
+      bounty,
+      actorId: req.user.github_id,
     });
 
+    // Queue notifications for the claimants
     for (const claimant of claimants) {
-      try {
-        await appOctokit.rest.issues.createComment({
-          owner: bounty.repository.split("/")[0],
-          repo: bounty.repository.split("/")[1],
-          issue_number: bounty.issue_id,
-          body: `@${claimant.user_id} The bounty you claimed (ID: ${bountyId}) has been deleted by the owner.`,
-        });
-      } catch (error) {
-        console.error(`Error notifying claimant ${claimant.user_id}:`, error);
-        // Continue with other notifications even if one fails
-      }
+      await enqueueComment(client, {
+        repository: bounty.repository,
+        issueNumber: issueNumberFromUrl(bounty.issue_url),
+        body: `@${claimant.name || claimant.user_id} The bounty you claimed (ID: ${bountyId}) has been cancelled by ${cancelledBy}.`,
+      });
     }
 
-    res.json({ message: "Bounty deleted successfully and claimants notified" });
+    // Tell the backers what they got back
+    const backerNames = new Map(
+      (await pledges.getBackers(client, bounty.id)).map((backer) => [
+        backer.backer_id,
+        backer.backer_name,
+      ])
+    );
+    const refundLines = refunds.map(
+      ({ userId, amount }) =>
+        `- @${backerNames.get(userId) || userId}: ${currency.formatAmount(
+          amount,
+          bounty.currency
+        )}`
+    );
+    if (refundLines.length > 0) {
+      await enqueueComment(client, {
+        repository: bounty.repository,
+        issueNumber: issueNumberFromUrl(bounty.issue_url),
+        body: `Bounty #${bountyId} has been cancelled and refunded to its backers:\n\n${refundLines.join(
+          "\n"
+        )}`,
+      });
+    }
+
+    await client.query("COMMIT");
+
+    res.json({
+      message: "Bounty cancelled successfully and claimants notified",
+      refunds,
+    });
   } catch (error) {
     await client.query("ROLLBACK");
+    if (error instanceof bountyState.InvalidTransitionError) {
+      return res.status(409).json({ error: error.message });
+    }
     console.error("Error deleting bounty:", error);
     res.status(500).json({ error: "Failed to delete bounty" });
   } finally {
@@ -749,17 +1528,162 @@ app.delete("/api/bounty/:id", authenticateUser, async (req, res) => {
   }
 });
 
+// Complete the user's payment towards a share of a bounty with either the
+// signed payout transaction issued to them, which is matched and broadcast
+// here, or the signature of that transaction once their wallet has sent it.
+// `shareId` may be left out while they only have one share left to pay.
 app.post("/api/complete-bounty", authenticateUser, async (req, res) => {
-  const { bountyId } = req.body;
-  const client = await pool.connect();
+  const { bountyId, shareId, signedTransaction } = req.body;
+  let { signature } = req.body;
 
+  if (signedTransaction !== undefined) {
+    if (typeof signedTransaction !== "string") {
+      return res
+        .status(400)
+        .json({ error: "Signed transaction must be base64 encoded" });
+    }
+  } else if (!signature || typeof signature !== "string") {
+    return res.status(400).json({ error: "Transaction signature is required" });
+  }
+
+  const client = await pool.connect();
   try {
-    await client.query("UPDATE bounties SET status = $1 WHERE id = $2", [
-      "completed",
-      bountyId,
-    ]);
-    res.json({ message: "Bounty completed successfully" });
+    const bountyResult = await client.query(
+      "SELECT * FROM bounties WHERE id = $1",
+      [bountyId]
+    );
+    if (bountyResult.rows.length === 0) {
+      return res.status(404).json({ error: "Bounty not found" });
+    }
+    const bounty = bountyResult.rows[0];
+
+    if (bounty.status !== "payment_pending") {
+      return res.status(400).json({ error: "Bounty is not awaiting payment" });
+    }
+    const payment = await bountyShares.findUnpaidPayment(client, {
+      bountyId: bounty.id,
+      shareId,
+      payerId: req.user.github_id,
+    });
+
+    if (signedTransaction !== undefined) {
+      const { transaction, issued } = await payouts.matchSignedTransaction(
+        client,
+        { bounty, serialized: signedTransaction }
+      );
+      if (Number(issued.payment_id) !== Number(payment.id)) {
+        return res.status(400).json({
+          error: "Transaction does not make this payment of the bounty",
+        });
+      }
+      try {
+        signature = await sendTransaction(transaction, {
+          blockhash: issued.recent_blockhash,
+          lastValidBlockHeight: Number(issued.last_valid_block_height),
+        });
+      } catch (error) {
+        return res.status(400).json({
+          error: "Transaction could not be sent",
+          reason: error.message,
+        });
+      }
+    }
+
+    const signatureResult = await client.query(
+      "SELECT id FROM share_payments WHERE payment_signature = $1",
+      [signature]
+    );
+    if (signatureResult.rows.length > 0) {
+      return res
+        .status(409)
+        .json({ error: "Transaction has already been used for a bounty" });
+    }
+
+    // The payment is made from the wallet the backer pledged from
+    const claimantResult = await client.query(
+      "SELECT solana_address FROM users WHERE github_id = $1",
+      [payment.user_id]
+    );
+    const claimantAddress = claimantResult.rows[0]?.solana_address;
+    if (!payment.from_address || !claimantAddress) {
+      return res
+        .status(400)
+        .json({ error: "Solana address of backer or claimant not found" });
+    }
+
+    const verification = await verifyTransfer({
+      signature,
+      from: payment.from_address,
+      to: claimantAddress,
+      amount: payment.amount,
+      currency: bounty.currency,
+      memo: payoutMemo(bounty.id),
+    });
+    if (!verification.verified) {
+      return res.status(400).json({
+        error: "Payment could not be verified",
+        reason: verification.reason,
+      });
+    }
+
+    // The payment must be a transaction issued for it
+    const issued = await payouts.findIssuedTransaction(client, {
+      bountyId: bounty.id,
+      paymentId: payment.id,
+      recentBlockhash: verification.recentBlockhash,
+    });
+    if (!issued) {
+      return res.status(400).json({
+        error: "Payment could not be verified",
+        reason: "Transaction was not issued for this payment of the bounty",
+      });
+    }
+
+    // Making the last payment moves the bounty to paid, which fails if it is
+    // no longer awaiting payment
+    await client.query("BEGIN");
+    const { sharePaid, bountyPaid } = await bountyShares.payPayment(client, {
+      bounty,
+      payment,
+      signature,
+      slot: verification.slot,
+      paidAt: verification.blockTime || new Date(),
+      actorId: req.user.github_id,
+    });
+    await payouts.markSubmitted(client, { id: issued.id, signature });
+    await client.query("COMMIT");
+
+    res.json({
+      message: bountyPaid
+        ? "Bounty completed successfully"
+        : sharePaid
+          ? "Share paid, other shares are still awaiting payment"
+          : "Payment made, other backers still have to pay their part of this share",
+      shareId: payment.share_id,
+      paymentId: payment.id,
+      sharePaid,
+      bountyPaid,
+      signature,
+      slot: verification.slot,
+    });
   } catch (error) {
+    await client.query("ROLLBACK");
+    if (error instanceof bountyState.InvalidTransitionError) {
+      return res
+        .status(409)
+        .json({ error: "Bounty is no longer awaiting payment" });
+    }
+    if (
+      error instanceof payouts.PayoutMismatchError ||
+      error instanceof bountyShares.InvalidSharesError
+    ) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === "23505") {
+      return res
+        .status(409)
+        .json({ error: "Transaction has already been used for a bounty" });
+    }
     console.error("Error completing bounty:", error);
     res.status(500).json({ error: "Failed to complete bounty" });
   } finally {
@@ -791,102 +1715,276 @@ app.get("/api/user/details", authenticateUser, async (req, res) => {
   }
 });
 
-app.post("/api/github/webhooks", async (req, res) => {
-  const event = req.headers["x-github-event"];
-  const signature = req.headers["x-hub-signature-256"];
-  const body = req.body;
+app.get("/api/user/statement", authenticateUser, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    const statement = await ledger.getStatement(client, req.user.github_id);
+    res.json(statement);
+  } catch (error) {
+    console.error("Error fetching statement:", error);
+    res.status(500).json({ error: "Failed to fetch statement" });
+  } finally {
+    client.release();
+  }
+});
 
+app.get("/api/bounty/:id/history", authenticateUser, async (req, res) => {
+  const bountyId = req.params.id;
+  const client = await pool.connect();
   try {
-    await gitHubApp.webhooks.verify(body, signature);
-    const payload = body;
+    const bountyResult = await client.query(
+      "SELECT id, status FROM bounties WHERE id = $1",
+      [bountyId]
+    );
+    if (bountyResult.rows.length === 0) {
+      return res.status(404).json({ error: "Bounty not found" });
+    }
+
+    const events = await bountyState.getHistory(client, bountyId);
+    res.json({
+      bountyId: bountyResult.rows[0].id,
+      status: bountyResult.rows[0].status,
+      events,
+    });
+  } catch (error) {
+    console.error("Error fetching bounty history:", error);
+    res.status(500).json({ error: "Failed to fetch bounty history" });
+  } finally {
+    client.release();
+  }
+});
 
-    if (event === "installation" && payload.action === "deleted") {
-      const githubId = payload.sender.id;
-      const client = await pool.connect();
+// Admin endpoints, restricted to the GitHub IDs in ADMIN_GITHUB_IDS
+const requireAdmin = (req, res, next) => {
+  const adminIds = (process.env.ADMIN_GITHUB_IDS || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  if (!adminIds.includes(String(req.user.github_id))) {
+    return res.status(403).json({ error: "Admin access required" });
+  }
+  next();
+};
 
-      try {
-        await client.query(
-          "UPDATE users SET github_installation_id = NULL WHERE github_id = $1",
-          [githubId]
-        );
-        console.log(`User ${githubId} uninstalled the GitHub app.`);
-      } finally {
-        client.release();
+app.get("/api/admin/jobs", authenticateUser, requireAdmin, async (req, res) => {
+  const { status, type } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const client = await pool.connect();
+  try {
+    res.json(await jobs.listJobs(client, { status, type, limit }));
+  } catch (error) {
+    console.error("Error listing jobs:", error);
+    res.status(500).json({ error: "Failed to list jobs" });
+  } finally {
+    client.release();
+  }
+});
+
+app.get(
+  "/api/admin/jobs/:id",
+  authenticateUser,
+  requireAdmin,
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const job = await jobs.getJob(client, req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
       }
+      res.json(job);
+    } catch (error) {
+      console.error("Error fetching job:", error);
+      res.status(500).json({ error: "Failed to fetch job" });
+    } finally {
+      client.release();
     }
+  }
+);
 
-    if (event === "issue_comment" && payload.action === "created") {
-      const comment = payload.comment.body;
-      if (payload.issue.pull_request) {
-        // This is a comment on a pull request
-        if (comment.startsWith("/claim-bounty")) {
-          await handleBountyClaim(payload);
-        }
-      } else {
-        // This is a comment on an issue
-        if (comment.startsWith("/create-bounty")) {
-          await handleBountyCreation(payload);
-        }
-      }
-    } else if (event === "issues" && payload.action === "opened") {
-      const issueDescription = payload.issue.body;
-      if (issueDescription && issueDescription.includes("/create-bounty")) {
-        await handleBountyCreation(payload);
-      }
-    } else if (event === "pull_request" && payload.action === "opened") {
-      const prBody = payload.pull_request.body;
-      if (prBody && prBody.includes("/claim-bounty")) {
-        await handleBountyClaim(payload);
+app.post(
+  "/api/admin/jobs/:id/retry",
+  authenticateUser,
+  requireAdmin,
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      const job = await jobs.retryJob(client, req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: "No dead job with this ID" });
       }
+      res.json({ message: "Job queued for retry", job });
+    } catch (error) {
+      console.error("Error retrying job:", error);
+      res.status(500).json({ error: "Failed to retry job" });
+    } finally {
+      client.release();
     }
+  }
+);
+
+app.get(
+  "/api/admin/github/rate-limits",
+  authenticateUser,
+  requireAdmin,
+  (req, res) => {
+    res.json({ rateLimits: getRateLimitMetrics() });
+  }
+);
 
-    res.status(200).send("Webhook received");
+app.post("/api/github/webhooks", async (req, res) => {
+  const event = req.headers["x-github-event"];
+  const signature = req.headers["x-hub-signature-256"];
+  const deliveryId = req.headers["x-github-delivery"];
+
+  if (
+    !webhooks.verifySignature(
+      req.rawBody,
+      signature,
+      process.env.GITHUB_WEBHOOK_SECRET
+    )
+  ) {
+    return res.status(401).json({ error: "Invalid webhook signature" });
+  }
+  if (!event || !deliveryId) {
+    return res.status(400).json({ error: "Missing GitHub delivery headers" });
+  }
+
+  try {
+    // Processing happens in the job worker so GitHub gets a quick response
+    const queued = await webhooks.enqueueDelivery({
+      deliveryId,
+      event,
+      payload: req.body,
+    });
+    res
+      .status(200)
+      .send(queued ? "Webhook received" : "Duplicate delivery ignored");
   } catch (error) {
     console.error("Error processing webhook:", error);
     res.status(500).json({ error: "Failed to process webhook" });
   }
 });
 
-app.post("/api/wallet/generate-keypair", authenticateUser, async (req, res) => {
+// Custodial wallet
+const sendWalletError = (res, error) => {
+  if (error instanceof wallet.WalletNotFoundError) {
+    return res.status(404).json({ error: error.message });
+  }
+  if (error instanceof wallet.WalletInUseError) {
+    return res.status(409).json({ error: error.message });
+  }
+  if (error instanceof wallet.TransactionRejectedError) {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error instanceof kyc.KycRequiredError) {
+    return res.status(403).json({ error: error.message });
+  }
+  if (error instanceof solanaAddress.AddressLockedError) {
+    return res.status(409).json({ error: error.message });
+  }
+  return null;
+};
+
+app.get("/api/wallet", authenticateUser, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const keypair = Keypair.generate();
-    const publicKey = keypair.publicKey.toBase58();
+    res.json(await wallet.getWallet(client, req.user.github_id));
+  } catch (error) {
+    if (sendWalletError(res, error)) {
+      return;
+    }
+    console.error("Error fetching wallet:", error);
+    res.status(500).json({ error: "Failed to fetch wallet" });
+  } finally {
+    client.release();
+  }
+});
 
-    // Encrypt and store the private key in the database
-    const encryptedPrivateKey = encryptPrivateKey(keypair.secretKey);
-    await pool.query(
-      "UPDATE users SET encrypted_private_key = $1 WHERE github_id = $2",
-      [encryptedPrivateKey, req.user.github_id]
+app.post("/api/wallet/generate-keypair", authenticateUser, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const { address, isSolanaAddress } = await wallet.createWallet(
+      client,
+      req.user.github_id,
+      { useAsSolanaAddress: req.body.useAsSolanaAddress === true }
     );
+    await client.query("COMMIT");
 
-    res.json({ publicKey });
+    res.json({ publicKey: address, isSolanaAddress });
   } catch (error) {
+    await client.query("ROLLBACK");
+    if (sendWalletError(res, error)) {
+      return;
+    }
     console.error("Error generating keypair:", error);
     res.status(500).json({ error: "Failed to generate keypair" });
+  } finally {
+    client.release();
   }
 });
 
-app.post("/api/wallet/sign-transaction", authenticateUser, async (req, res) => {
-  try {
-    const { transaction } = req.body;
+app.post(
+  "/api/wallet/use-as-solana-address",
+  authenticateUser,
+  async (req, res) => {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const address = await wallet.useAsSolanaAddress(
+        client,
+        req.user.github_id
+      );
+      await client.query("COMMIT");
+      res.json({ message: "Solana address connected", solanaAddress: address });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (sendWalletError(res, error)) {
+        return;
+      }
+      console.error("Error connecting wallet address:", error);
+      res.status(500).json({ error: "Failed to connect Solana address" });
+    } finally {
+      client.release();
+    }
+  }
+);
 
-    // Retrieve and decrypt the user's private key from the database
-    const result = await pool.query(
-      "SELECT encrypted_private_key FROM users WHERE github_id = $1",
-      [req.user.github_id]
-    );
-    const encryptedPrivateKey = result.rows[0].encrypted_private_key;
-    const privateKey = decryptPrivateKey(encryptedPrivateKey); // Implement your decryption logic
+// Sign the user's payout for a bounty awaiting payment with their custodial
+// wallet. `transaction` is the base64 encoded unsigned transaction.
+app.post("/api/wallet/sign-transaction", authenticateUser, async (req, res) => {
+  const { bountyId, shareId, transaction } = req.body;
+  if (!bountyId || typeof transaction !== "string") {
+    return res
+      .status(400)
+      .json({ error: "bountyId and a base64 transaction are required" });
+  }
 
-    const keypair = Keypair.fromSecretKey(privateKey);
-    const deserializedTransaction = Transaction.from(transaction);
-    const signedTransaction = await keypair.signTransaction(
-      deserializedTransaction
+  const client = await pool.connect();
+  try {
+    const bountyResult = await client.query(
+      "SELECT * FROM bounties WHERE id = $1",
+      [bountyId]
     );
+    if (bountyResult.rows.length === 0) {
+      return res.status(404).json({ error: "Bounty not found" });
+    }
 
-    res.json({ signedTransaction: signedTransaction.serialize() });
+    const signedTransaction = await wallet.signPayout(client, {
+      userId: req.user.github_id,
+      bounty: bountyResult.rows[0],
+      shareId,
+      serialized: transaction,
+    });
+    res.json({ signedTransaction });
   } catch (error) {
-    // ... error handling
+    if (sendWalletError(res, error)) {
+      return;
+    }
+    console.error("Error signing transaction:", error);
+    res.status(500).json({ error: "Failed to sign transaction" });
+  } finally {
+    client.release();
   }
 });
 
@@ -897,7 +1995,10 @@ const refreshGitHubToken = async (userId) => {
       "SELECT refresh_token, refresh_token_expiry_date FROM users WHERE github_id = $1",
       [userId]
     );
-    const { refresh_token, refresh_token_expiry_date } = result.rows[0];
+    const { refresh_token_expiry_date } = result.rows[0];
+    const refresh_token = await encryption.decrypt(
+      result.rows[0].refresh_token
+    );
 
     // Check if the refresh token is still valid
     if (new Date() > new Date(refresh_token_expiry_date)) {
@@ -958,9 +2059,9 @@ const refreshGitHubToken = async (userId) => {
       WHERE github_id = $5
     `,
       [
-        access_token,
+        await encryption.encrypt(access_token),
         newExpiryDate,
-        new_refresh_token || refresh_token, // Use the new refresh token if provided, otherwise keep the old one
+        await encryption.encrypt(new_refresh_token || refresh_token), // Use the new refresh token if provided, otherwise keep the old one
         newRefreshTokenExpiryDate,
         userId,
       ]
@@ -975,261 +2076,33 @@ const refreshGitHubToken = async (userId) => {
   }
 };
 
-async function handleBountyCreation(payload) {
-  let amount;
-  if (payload.comment) {
-    const match = payload.comment.body.match(/\/create-bounty\s+(\d+)/i);
-    amount = match ? parseInt(match[1]) : null;
-  } else if (payload.issue) {
-    const match = payload.issue.body.match(/\/create-bounty\s+(\d+)/i);
-    amount = match ? parseInt(match[1]) : null;
-  }
-
-  if (!amount) {
-    console.log(
-      "No valid bounty amount found in the comment or issue description"
-    );
-    return;
-  }
-
-  const issueId = payload.issue.id;
-  const userId = payload.sender.id;
-  console.log("Creating bounty for issue:", issueId, "with amount:", amount);
-
-  const client = await pool.connect();
-  try {
-
-    const appOctokit = new Octokit({
-      authStrategy: createAppAuth,
-      auth: {
-        appId: process.env.GITHUB_APP_ID,
-        privateKey: process.env.GITHUB_PRIVATE_KEY,
-        installationId: payload.installation.id,
-      },
-    });
-    // Check for existing open bounty
-    const existingBountyResult = await client.query(
-      "SELECT * FROM bounties WHERE issue_id = $1 AND status = 'open'",
-      [issueId]
-    );
-    if (existingBountyResult.rows.length > 0) {
-      // An open bounty already exists for this issue, create a comment
-      await appOctokit.rest.issues.createComment({
-        owner: payload.repository.owner.login,
-        repo: payload.repository.name,
-        issue_number: payload.issue.number,
-        body: `⚠️ An open bounty already exists for this issue. You can only have one active bounty per issue at a time.`,
-      });
-      return;
-    }
-
-    const result = await client.query(
-      "INSERT INTO bounties (issue_id, amount, status, creator_id, repository, issue_title, issue_url) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id",
-      [
-        issueId,
-        amount,
-        "open",
-        userId,
-        payload.repository.full_name,
-        payload.issue.title,
-        payload.issue.html_url,
-      ]
-    );
-    const bountyId = result.rows[0].id;
-
-    await appOctokit.rest.issues.createComment({
-      owner: payload.repository.owner.login,
-      repo: payload.repository.name,
-      issue_number: payload.issue.number,
-      body: `Congratulations! A bounty of ${amount} rupees has been created for this issue.
-
-1. To claim this bounty, type "/claim-bounty ${bountyId}" somewhere in the body of your PR or in a comment.
-2. To receive payment, you must join Paisa-Baat (${process.env.FRONTEND_URL}) and complete authorization and wallet connection.
-3. Once approved, payment can take up to 3-5 days to complete.
-4. Thank you for contributing to ${payload.repository.full_name}!`,
-    });
-
-    return bountyId;
-  } catch (error) {
-    console.error("Error creating bounty:", error);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
-async function handleBountyClaim(payload) {
-  let bountyId;
-  let isPRComment = false;
-
-  if (payload.comment) {
-    const match = payload.comment.body.match(/\/claim-bounty\s+(\d+)/i);
-    bountyId = match ? parseInt(match[1]) : null;
-    isPRComment = true;
-  } else if (payload.pull_request) {
-    const match = payload.pull_request.body.match(/\/claim-bounty\s+(\d+)/i);
-    bountyId = match ? parseInt(match[1]) : null;
-  }
-
-  if (!bountyId) {
-    console.log(
-      "No valid bounty ID found in the PR comment or pull request body"
-    );
-    return;
-  }
-
-  const userId = payload.sender.id;
-
-  const client = await pool.connect();
-  try {
-    const userResult = await client.query(
-      "SELECT * FROM users WHERE github_id = $1",
-      [userId]
-    );
-
-    const appOctokit = new Octokit({
-      authStrategy: createAppAuth,
-      auth: {
-        appId: process.env.GITHUB_APP_ID,
-        privateKey: process.env.GITHUB_PRIVATE_KEY,
-        installationId: payload.installation.id,
-      },
-    });
-
-    const createComment = async (body) => {
-      if (isPRComment) {
-        await appOctokit.rest.issues.createComment({
-          owner: payload.repository.owner.login,
-          repo: payload.repository.name,
-          issue_number: payload.issue.number,
-          body: body,
-        });
-      } else {
-        await appOctokit.rest.pulls.createReviewComment({
-          owner: payload.repository.owner.login,
-          repo: payload.repository.name,
-          pull_number: payload.pull_request.number,
-          body: body,
-          commit_id: payload.pull_request.head.sha,
-          path:
-            payload.pull_request.changed_files > 0
-              ? payload.pull_request.changed_files[0].filename
-              : "",
-          line: 1,
-        });
-      }
-    };
-
-    if (userResult.rows.length === 0) {
-      await createComment(
-        `To claim this bounty, you need to join Paisa-Baat first. Please visit ${process.env.FRONTEND_URL} to create an account and complete the authorization process.`
-      );
-      return;
-    }
-
-    const bountyResult = await client.query(
-      "SELECT * FROM bounties WHERE id = $1 AND status = $2",
-      [bountyId, "open"]
-    );
-
-    if (bountyResult.rows.length === 0) {
-      await createComment(`Sorry, no open bounty found with ID ${bountyId}.`);
-      return;
-    }
-
-    const bounty = bountyResult.rows[0];
-
-    // Check if the claimant is the bounty creator
-    if (bounty.creator_id === userId) {
-      await createComment(`Sorry, you cannot claim your own bounty.`);
-      return;
-    }
-
-    const pullRequestNumber = payload.pull_request.number;
-
-    await client.query(
-      "INSERT INTO bounty_claims (bounty_id, user_id, pull_request_number) VALUES ($1, $2, $3)",
-      [bounty.id, userId, pullRequestNumber]
-    );
-
-    await createComment(
-      `Thank you for your contribution! The repo owners/managers will review your code and approve it if deemed correct. In the meantime, you can check out new bounties at ${process.env.FRONTEND_URL}.`
-    );
-  } catch (error) {
-    if (error.code === "23505") {
-      // PostgreSQL unique violation error code
-      await createComment(
-        `⚠️ This bounty has already been claimed on another pull request. You can only claim a bounty once per open pull request.`
-      );
-    } else {
-      console.error("Error claiming bounty:", error);
-    }
-  } finally {
-    client.release();
-  }
-}
-async function verifyAadhaarPan(aadhaarPan, userId) {
-  const client = await pool.connect();
-  try {
-    // Implement your actual verification logic here
-    const isVerified = true; // Placeholder for actual verification
-    if (isVerified) {
-      await client.query(
-        "UPDATE users SET aadhaar_pan = $1, is_verified = $2 WHERE github_id = $3",
-        [aadhaarPan, true, userId]
-      );
-      return true;
-    } else {
-      throw new Error("Verification failed");
-    }
-  } catch (error) {
-    console.error("Error verifying Aadhaar/PAN:", error);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
-// Encryption
-function encryptPrivateKey(privateKey) {
-  const algorithm = "aes-256-gcm";
-  const key = process.env.ENCRYPTION_KEY; // Store this securely (environment variable, key management system, etc.)
-  const iv = crypto.randomBytes(16); // Initialization vector
-
-  const cipher = crypto.createCipheriv(algorithm, key, iv);
-  let encrypted = cipher.update(privateKey);
-  encrypted = Buffer.concat([encrypted, cipher.final()]);
-
-  return {
-    iv: iv.toString("hex"),
-    encryptedData: encrypted.toString("hex"),
-    authTag: cipher.getAuthTag().toString("hex"),
-  };
-}
-
-// Decryption
-function decryptPrivateKey(encryptedData) {
-  const algorithm = "aes-256-gcm";
-  const key = process.env.ENCRYPTION_KEY;
-  const iv = Buffer.from(encryptedData.iv, "hex");
-  const authTag = Buffer.from(encryptedData.authTag, "hex");
-
-  const decipher = crypto.createDecipheriv(algorithm, key, iv);
-  decipher.setAuthTag(authTag);
-
-  let decrypted = decipher.update(
-    Buffer.from(encryptedData.encryptedData, "hex")
-  );
-  decrypted = Buffer.concat([decrypted, decipher.final()]);
-
-  return decrypted;
-}
-
 app.use((err, req, res, next) => {
   console.error(err.stack);
   res.status(500).json({ error: "Something went wrong!" });
 });
 
-app.listen(PORT, () => {
-  console.log(`Server is running at ${PORT}`);
-});
+jobs.registerHandler("webhook", webhooks.processDeliveryJob);
+jobs.registerHandler("github.comment", postCommentJob);
+jobs.registerHandler("kyc.check", kyc.checkVerificationJob);
+jobs.registerHandler("bounty.expire", bountySync.expireBountyJob);
+jobs.registerHandler("webhook.outbound", outboundWebhooks.deliverJob);
+
+// Bring the schema up to date before accepting requests
+migrate(pool)
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server is running at ${PORT}`);
+    });
+    jobs.startWorker();
+  })
+  .catch((err) => {
+    console.error("Error migrating database:", err);
+    process.exit(1);
+  });
+
+// Let the job in progress finish before exiting
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    jobs.stopWorker().finally(() => process.exit(0));
+  });
+}
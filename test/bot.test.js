@@ -0,0 +1,64 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const bot = require("../lib/bot");
+const { pool } = require("../lib/db");
+
+const payload = {
+  action: "created",
+  installation: { id: 1 },
+  repository: {
+    full_name: "octo/repo",
+    name: "repo",
+    owner: { login: "octo" },
+  },
+  issue: { id: 10, number: 4 },
+  sender: { id: 7, login: "octocat", type: "User" },
+};
+
+// Stand-in for the pool recording queued comments and processed commands
+function mockPool(t, processed = []) {
+  const db = { comments: [], processed: [] };
+  t.mock.method(pool, "query", async (sql, params) => {
+    if (/SELECT command_index FROM processed_commands/.test(sql)) {
+      return { rows: processed.map((index) => ({ command_index: index })) };
+    }
+    if (/INSERT INTO processed_commands/.test(sql)) {
+      db.processed.push(params.slice(0, 2));
+    }
+    if (/INSERT INTO jobs/.test(sql)) {
+      db.comments.push(params[1].body);
+      return { rows: [{ id: db.comments.length }] };
+    }
+    return { rows: [] };
+  });
+  return db;
+}
+
+test("commands are marked as run for their delivery", async (t) => {
+  const db = mockPool(t);
+  await bot.handleCommands(payload, "/help\n/bounty\n/help", {
+    deliveryId: "abc",
+  });
+
+  assert.equal(db.comments.length, 3);
+  assert.deepEqual(db.processed, [["abc", 0], ["abc", 1], ["abc", 2]]);
+});
+
+test("a retried delivery skips the commands that already ran", async (t) => {
+  const db = mockPool(t, [0, 1]);
+  await bot.handleCommands(payload, "/help\n/bounty\n/help", {
+    deliveryId: "abc",
+  });
+
+  assert.equal(db.comments.length, 1);
+  assert.match(db.comments[0], /Paisa-Baat commands/);
+  assert.deepEqual(db.processed, [["abc", 2]]);
+});
+
+test("commands outside a delivery are not recorded", async (t) => {
+  const db = mockPool(t);
+  await bot.handleCommands(payload, "/help");
+
+  assert.equal(db.comments.length, 1);
+  assert.deepEqual(db.processed, []);
+});
@@ -0,0 +1,174 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const bountyShares = require("../lib/bountyShares");
+const bountyState = require("../lib/bountyState");
+const ledger = require("../lib/ledger");
+const pledges = require("../lib/pledges");
+
+const { InvalidSharesError, resolveShares, sameShares } = bountyShares;
+
+const bounty = { amount: "1", currency: "SOL" };
+
+test("a single claimant gets the whole bounty", () => {
+  assert.deepEqual(
+    resolveShares(bounty, [{ claimantId: 7, percentage: 100 }]),
+    [{ userId: 7, amount: "1", percentage: 100 }]
+  );
+});
+
+test("rounding of percentages goes on the last share", () => {
+  const shares = resolveShares({ amount: "0.00000001", currency: "SOL" }, [
+    { claimantId: 1, percentage: 33.33 },
+    { claimantId: 2, percentage: 33.33 },
+    { claimantId: 3, percentage: 33.34 },
+  ]);
+  assert.deepEqual(
+    shares.map((share) => share.amount),
+    ["0.000000003", "0.000000003", "0.000000004"]
+  );
+
+  const thirds = resolveShares({ amount: "1", currency: "USDC" }, [
+    { claimantId: 1, percentage: 33.33 },
+    { claimantId: 2, percentage: 66.67 },
+  ]);
+  assert.deepEqual(thirds.map((share) => share.amount), ["0.3333", "0.6667"]);
+});
+
+test("fixed amounts must add up to the bounty", () => {
+  assert.deepEqual(
+    resolveShares(bounty, [
+      { claimantId: 1, amount: "0.25" },
+      { claimantId: 2, amount: "0.75" },
+    ]).map((share) => [share.userId, share.amount, share.percentage]),
+    [
+      [1, "0.25", null],
+      [2, "0.75", null],
+    ]
+  );
+  assert.throws(
+    () =>
+      resolveShares(bounty, [
+        { claimantId: 1, amount: "0.25" },
+        { claimantId: 2, amount: "0.5" },
+      ]),
+    /Shares add up to 0.75 SOL, not the bounty amount of 1 SOL/
+  );
+});
+
+test("rejects invalid share lists", () => {
+  const invalid = [
+    [],
+    [{ percentage: 100 }],
+    [
+      { claimantId: 1, percentage: 50 },
+      { claimantId: 1, percentage: 50 },
+    ],
+    [
+      { claimantId: 1, percentage: 50 },
+      { claimantId: 2, amount: "0.5" },
+    ],
+    [{ claimantId: 1, percentage: 99 }],
+    [
+      { claimantId: 1, percentage: 99.9999 },
+      { claimantId: 2, percentage: 0.0001 },
+    ],
+  ];
+  for (const requested of invalid) {
+    assert.throws(
+      () => resolveShares(bounty, requested),
+      InvalidSharesError,
+      JSON.stringify(requested)
+    );
+  }
+});
+
+test("sameShares compares stored and requested amounts", () => {
+  const shares = resolveShares(bounty, [
+    { claimantId: 1, percentage: 50 },
+    { claimantId: 2, percentage: 50 },
+  ]);
+  const stored = [
+    { user_id: 1, amount: "0.500" },
+    { user_id: 2, amount: "0.5" },
+  ];
+  assert.equal(sameShares(stored, shares, "SOL"), true);
+  assert.equal(sameShares(stored.slice(0, 1), shares, "SOL"), false);
+  assert.equal(
+    sameShares([{ user_id: 1, amount: "1" }], shares.slice(0, 1), "SOL"),
+    false
+  );
+});
+
+// Stand-in for the approval queries that records the payments inserted
+function createApprovalDb() {
+  const payments = [];
+  let shareId = 0;
+  return {
+    payments,
+    async query(sql, params) {
+      if (/FROM bounty_claims/.test(sql)) {
+        return { rows: params[1].map((userId) => ({ user_id: userId })) };
+      }
+      if (/INSERT INTO bounty_shares/.test(sql)) {
+        shareId += 1;
+        return { rows: [{ id: shareId, user_id: params[1] }] };
+      }
+      if (/INSERT INTO share_payments/.test(sql)) {
+        payments.push(params);
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+function mockApproval(t, funders) {
+  t.mock.method(bountyState, "transition", async () => {});
+  t.mock.method(ledger, "approveBounty", async () => 1);
+  t.mock.method(pledges, "getFunders", async () => funders);
+}
+
+test("every share is paid by the backers in proportion to pledges", async (t) => {
+  mockApproval(t, [
+    {
+      backerId: 7,
+      amount: "3",
+      walletAddress: "CreatorWallet",
+      walletSource: "custodial_wallet",
+    },
+    {
+      backerId: 8,
+      amount: "1",
+      walletAddress: "BackerWallet",
+      walletSource: "solana_address",
+    },
+  ]);
+  const db = createApprovalDb();
+  const funded = { id: 1, amount: "2", currency: "SOL" };
+  await bountyShares.approveShares(db, {
+    bounty: funded,
+    shares: resolveShares(funded, [
+      { claimantId: 1, percentage: 75 },
+      { claimantId: 2, percentage: 25 },
+    ]),
+  });
+
+  assert.deepEqual(db.payments, [
+    [1, 1, 7, "CreatorWallet", "custodial_wallet", "1.125"],
+    [1, 1, 8, "BackerWallet", "solana_address", "0.375"],
+    [2, 1, 7, "CreatorWallet", "custodial_wallet", "0.375"],
+    [2, 1, 8, "BackerWallet", "solana_address", "0.125"],
+  ]);
+});
+
+test("approval needs a wallet for every backer", async (t) => {
+  mockApproval(t, [
+    { backerId: 9, amount: "1", walletAddress: null, walletSource: null },
+  ]);
+  await assert.rejects(
+    bountyShares.approveShares(createApprovalDb(), {
+      bounty: { id: 1, amount: "1", currency: "SOL" },
+      shares: resolveShares(bounty, [{ claimantId: 1, percentage: 100 }]),
+    }),
+    /Backer 9 has not connected a Solana address/
+  );
+});
@@ -0,0 +1,111 @@
+const assert = require("node:assert/strict");
+const { beforeEach, mock, test } = require("node:test");
+const bountyEvents = require("../lib/bountyEvents");
+const bountyState = require("../lib/bountyState");
+
+const publish = mock.method(bountyEvents, "publish", async () => {});
+
+beforeEach(() => {
+  publish.mock.resetCalls();
+});
+
+function publishedEvents() {
+  return publish.mock.calls.map(({ arguments: [, event] }) => event);
+}
+
+// Client holding a single bounty row and recording the events written
+function createBountyDb(status) {
+  const db = {
+    bounty: status === undefined ? null : { id: 1, status },
+    events: [],
+    async query(sql, params = []) {
+      if (/^SELECT status FROM bounties/.test(sql.trim())) {
+        return { rows: db.bounty ? [{ status: db.bounty.status }] : [] };
+      }
+      if (/^UPDATE bounties/.test(sql.trim())) {
+        const columns = sql
+          .match(/\w+ = \$\d+/g)
+          .map((assignment) => assignment.split(" ")[0]);
+        columns.forEach((column, index) => {
+          db.bounty[column] = params[index + 1];
+        });
+        return { rows: [{ ...db.bounty }] };
+      }
+      if (/INSERT INTO bounty_events/.test(sql)) {
+        const [bountyId, from, to, actorId, reason] = params;
+        db.events.push({ bountyId, from, to, actorId, reason });
+      }
+      return { rows: [] };
+    },
+  };
+  return db;
+}
+
+test("allows only the documented transitions", () => {
+  assert.equal(bountyState.canTransition("open", "approved"), true);
+  assert.equal(bountyState.canTransition("approved", "payment_pending"), true);
+  assert.equal(bountyState.canTransition("payment_pending", "paid"), true);
+  assert.equal(bountyState.canTransition("disputed", "open"), true);
+  assert.equal(bountyState.canTransition("open", "paid"), false);
+  assert.equal(bountyState.canTransition("approved", "open"), false);
+  assert.equal(bountyState.canTransition("unknown", "open"), false);
+});
+
+test("paid, cancelled and expired bounties are final", () => {
+  for (const status of ["paid", "cancelled", "expired"]) {
+    for (const to of bountyState.STATUSES) {
+      assert.equal(bountyState.canTransition(status, to), false);
+    }
+  }
+});
+
+test("transition updates the bounty and records the change", async () => {
+  const db = createBountyDb("open");
+  const bounty = await bountyState.transition(db, 1, "approved", {
+    actorId: 7,
+    reason: "Looks good",
+    fields: { claimed_by: 9 },
+  });
+  assert.equal(bounty.status, "approved");
+  assert.equal(bounty.claimed_by, 9);
+  assert.deepEqual(db.events, [
+    {
+      bountyId: 1,
+      from: "open",
+      to: "approved",
+      actorId: 7,
+      reason: "Looks good",
+    },
+  ]);
+  assert.deepEqual(publishedEvents(), ["bounty.approved"]);
+});
+
+test("illegal transitions are rejected without changes", async () => {
+  const db = createBountyDb("paid");
+  await assert.rejects(
+    bountyState.transition(db, 1, "open"),
+    (error) =>
+      error instanceof bountyState.InvalidTransitionError &&
+      error.from === "paid" &&
+      error.to === "open"
+  );
+  assert.equal(db.bounty.status, "paid");
+  assert.deepEqual(db.events, []);
+  assert.deepEqual(publishedEvents(), []);
+});
+
+test("transition of a missing bounty fails", async () => {
+  await assert.rejects(
+    bountyState.transition(createBountyDb(), 1, "approved"),
+    bountyState.BountyNotFoundError
+  );
+});
+
+test("creation is recorded as a move to open", async () => {
+  const db = createBountyDb("open");
+  await bountyState.recordCreation(db, { bountyId: 1, actorId: 7 });
+  assert.deepEqual(db.events, [
+    { bountyId: 1, from: null, to: "open", actorId: 7, reason: null },
+  ]);
+  assert.deepEqual(publishedEvents(), ["bounty.created"]);
+});
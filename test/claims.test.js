@@ -0,0 +1,51 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { referencesIssue } = require("../lib/claims");
+
+const issue = { repository: "octo/app", issueNumber: 12 };
+
+test("matches closing keywords with the short form", () => {
+  for (const body of [
+    "Fixes #12",
+    "This closes #12.",
+    "resolved: #12",
+    "Some text\n\nFIXED #12\n",
+  ]) {
+    assert.equal(referencesIssue(body, issue), true, body);
+  }
+});
+
+test("matches the repository and URL forms", () => {
+  assert.equal(referencesIssue("Fixes octo/app#12", issue), true);
+  assert.equal(
+    referencesIssue("Closes https://github.com/octo/app/issues/12", issue),
+    true
+  );
+});
+
+test("ignores other issues and mentions without a keyword", () => {
+  for (const body of [
+    "Fixes #123",
+    "Fixes #1",
+    "Related to #12",
+    "Fixes octo/other#12",
+    "Fixes https://github.com/octo/app/issues/12/comments",
+    "prefixes #12",
+    "",
+  ]) {
+    assert.equal(referencesIssue(body, issue), false, body);
+  }
+  assert.equal(referencesIssue(null, issue), false);
+  assert.equal(
+    referencesIssue("Fixes #12", { repository: "octo/app", issueNumber: null }),
+    false
+  );
+});
+
+test("the short form only counts in the same repository", () => {
+  const fork = { ...issue, pullRequestRepository: "someone/app" };
+  assert.equal(referencesIssue("Fixes #12", fork), false);
+  assert.equal(referencesIssue("Fixes octo/app#12", fork), true);
+  const sameRepository = { ...issue, pullRequestRepository: "Octo/App" };
+  assert.equal(referencesIssue("Fixes #12", sameRepository), true);
+});
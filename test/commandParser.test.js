@@ -0,0 +1,58 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { parseCommands } = require("../lib/commandParser");
+
+test("parses commands at the start of lines", () => {
+  const commands = parseCommands(
+    "Thanks!\n/create-bounty 1.5 usdc\n  /claim-bounty 42\r\n/bounty status"
+  );
+  assert.deepEqual(commands, [
+    {
+      name: "create-bounty",
+      line: "/create-bounty 1.5 usdc",
+      args: { amount: "1.5", currency: "USDC" },
+    },
+    { name: "claim-bounty", line: "/claim-bounty 42", args: { bountyId: 42 } },
+    { name: "bounty status", line: "/bounty status", args: {} },
+  ]);
+});
+
+test("leaves text and unknown commands alone", () => {
+  assert.deepEqual(parseCommands(""), []);
+  assert.deepEqual(parseCommands(null), []);
+  assert.deepEqual(parseCommands("see /create-bounty 5 inline"), []);
+  assert.deepEqual(parseCommands("/assign @someone"), []);
+});
+
+test("optional arguments may be left off", () => {
+  const [command] = parseCommands("/create-bounty 2");
+  assert.deepEqual(command.args, { amount: "2" });
+});
+
+test("strips the @ from usernames", () => {
+  const [command] = parseCommands("/approve @octo-cat");
+  assert.deepEqual(command.args, { username: "octo-cat" });
+});
+
+test("reports malformed commands with their usage", () => {
+  const [missing, invalid, tooMany] = parseCommands(
+    "/create-bounty\n/claim-bounty abc\n/unclaim now"
+  );
+  assert.equal(missing.error, "Expected 1 to 2 argument(s) but got 0");
+  assert.deepEqual(missing.usage, ["/create-bounty <amount> [SOL|USDC]"]);
+  assert.equal(invalid.error, "Invalid bountyId `abc`");
+  assert.equal(tooMany.error, "Expected 0 argument(s) but got 1");
+});
+
+test("rejects zero and negative amounts", () => {
+  const [zero, negative] = parseCommands("/bounty add 0\n/bounty add -1");
+  assert.equal(zero.error, "Invalid amount `0`");
+  assert.equal(negative.error, "Invalid amount `-1`");
+});
+
+test("reports unknown bounty subcommands", () => {
+  const [unknown, missing] = parseCommands("/bounty frobnicate\n/bounty");
+  assert.equal(unknown.error, "Unknown subcommand `frobnicate`");
+  assert.equal(missing.error, "Missing subcommand");
+  assert.ok(missing.usage.includes("/bounty cancel"));
+});
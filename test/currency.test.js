@@ -0,0 +1,66 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const currency = require("../lib/currency");
+
+test("parseAmount normalizes valid amounts", () => {
+  assert.equal(currency.parseAmount("1.50", "SOL"), "1.5");
+  assert.equal(currency.parseAmount("2.000", "usdc"), "2");
+  assert.equal(currency.parseAmount(3, "SOL"), "3");
+  assert.equal(currency.parseAmount("0.000000001", "SOL"), "0.000000001");
+});
+
+test("parseAmount rejects invalid amounts", () => {
+  for (const amount of ["0", "0.0", "-1", "1e3", "abc", "", "1.", ".5"]) {
+    assert.throws(
+      () => currency.parseAmount(amount, "SOL"),
+      currency.InvalidAmountError,
+      amount
+    );
+  }
+});
+
+test("parseAmount enforces the currency's decimals", () => {
+  assert.throws(
+    () => currency.parseAmount("0.0000001", "USDC"),
+    /USDC amounts have at most 6 decimals/
+  );
+  assert.throws(
+    () => currency.parseAmount("1", "BTC"),
+    currency.InvalidAmountError
+  );
+});
+
+test("toBaseUnits converts exactly", () => {
+  assert.equal(currency.toBaseUnits("1.5", "SOL"), 1500000000n);
+  assert.equal(currency.toBaseUnits("0.000000001", "SOL"), 1n);
+  assert.equal(currency.toBaseUnits("0.1", "USDC"), 100000n);
+  assert.equal(currency.toBaseUnits("12345678.9", "SOL"), 12345678900000000n);
+  assert.equal(currency.toBaseUnits("2.500", "USDC"), 2500000n);
+});
+
+test("fromBaseUnits is the inverse of toBaseUnits", () => {
+  assert.equal(currency.fromBaseUnits(1500000000n, "SOL"), "1.5");
+  assert.equal(currency.fromBaseUnits(1n, "SOL"), "0.000000001");
+  assert.equal(currency.fromBaseUnits(2000000n, "USDC"), "2");
+  assert.equal(currency.fromBaseUnits("100000", "USDC"), "0.1");
+  for (const amount of ["0.3", "7", "1.000000001"]) {
+    assert.equal(
+      currency.fromBaseUnits(currency.toBaseUnits(amount, "SOL"), "SOL"),
+      amount
+    );
+  }
+});
+
+test("toInr uses the fixed-rate price feed", async () => {
+  process.env.PRICE_FEED_FIXED_RATES = "SOL:10000";
+  try {
+    assert.equal(await currency.toInr("0.5", "SOL"), 5000);
+    assert.equal(await currency.toInr("2", "USDC"), 168);
+    assert.equal(
+      await currency.formatWithInr("1.5", "SOL"),
+      "1.5 SOL (≈ ₹15,000)"
+    );
+  } finally {
+    delete process.env.PRICE_FEED_FIXED_RATES;
+  }
+});
@@ -0,0 +1,111 @@
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { beforeEach, test } = require("node:test");
+const { pool } = require("../lib/db");
+
+const KEY_2024 = crypto.randomBytes(32).toString("base64");
+const KEY_2025 = crypto.randomBytes(32).toString("base64");
+
+let keys;
+
+// A fresh copy of the module, so its data key cache starts empty
+function loadEncryption() {
+  delete require.cache[require.resolve("../lib/encryption")];
+  return require("../lib/encryption");
+}
+
+// An in-memory encryption_keys table
+const keyTable = {
+  async query(sql, params) {
+    if (/INSERT INTO encryption_keys/.test(sql)) {
+      const row = {
+        id: keys.length + 1,
+        master_key_id: params[0],
+        wrapped_key: params[1],
+        retired_at: null,
+      };
+      keys.push(row);
+      return { rows: [{ id: row.id }] };
+    }
+    if (/SELECT id FROM encryption_keys/.test(sql)) {
+      const rows = keys
+        .filter((row) => row.master_key_id === params[0] && !row.retired_at)
+        .reverse();
+      return { rows: rows.slice(0, 1) };
+    }
+    if (/WHERE id = \$1/.test(sql)) {
+      return { rows: keys.filter((row) => row.id === params[0]) };
+    }
+    if (/WHERE master_key_id <> \$1/.test(sql)) {
+      return { rows: keys.filter((row) => row.master_key_id !== params[0]) };
+    }
+    if (/UPDATE encryption_keys/.test(sql)) {
+      const row = keys.find((key) => key.id === params[2]);
+      row.master_key_id = params[0];
+      row.wrapped_key = params[1];
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  },
+};
+
+beforeEach((t) => {
+  keys = [];
+  process.env.ENCRYPTION_KEYS = `2024:${KEY_2024}`;
+  delete process.env.ENCRYPTION_ACTIVE_KEY;
+  t.mock.method(pool, "query", keyTable.query);
+});
+
+test("encrypt and decrypt round trip", async () => {
+  const encryption = loadEncryption();
+  const value = await encryption.encrypt("ghp_secret");
+
+  assert.match(value, /^enc:v1:1:/);
+  assert.ok(encryption.isEncrypted(value));
+  assert.notEqual(await encryption.encrypt("ghp_secret"), value);
+  assert.equal(await encryption.decrypt(value), "ghp_secret");
+  assert.equal(await loadEncryption().decrypt(value), "ghp_secret");
+  assert.equal(keys.length, 1);
+});
+
+test("null and plaintext values pass through", async () => {
+  const encryption = loadEncryption();
+  assert.equal(await encryption.encrypt(null), null);
+  assert.equal(await encryption.encrypt(undefined), null);
+  assert.equal(await encryption.decrypt("ghp_legacy"), "ghp_legacy");
+  assert.equal(await encryption.decrypt(null), null);
+});
+
+test("tampered ciphertexts do not decrypt", async () => {
+  const encryption = loadEncryption();
+  const value = await encryption.encrypt("ghp_secret");
+  const data = Buffer.from(value.slice("enc:v1:1:".length), "base64url");
+  data[data.length - 1] ^= 1;
+
+  await assert.rejects(
+    encryption.decrypt(`enc:v1:1:${data.toString("base64url")}`)
+  );
+});
+
+test("data keys survive a master key rotation", async () => {
+  const value = await loadEncryption().encrypt("ghp_secret");
+
+  process.env.ENCRYPTION_KEYS = `2024:${KEY_2024},2025:${KEY_2025}`;
+  process.env.ENCRYPTION_ACTIVE_KEY = "2025";
+  assert.equal(await loadEncryption().rewrapDataKeys(), 1);
+  assert.equal(keys[0].master_key_id, "2025");
+
+  process.env.ENCRYPTION_KEYS = `2025:${KEY_2025}`;
+  assert.equal(await loadEncryption().decrypt(value), "ghp_secret");
+});
+
+test("a missing master key is an EncryptionKeyError", async () => {
+  const value = await loadEncryption().encrypt("ghp_secret");
+  process.env.ENCRYPTION_KEYS = `2025:${KEY_2025}`;
+  const encryption = loadEncryption();
+
+  await assert.rejects(
+    encryption.decrypt(value),
+    encryption.EncryptionKeyError
+  );
+});
@@ -0,0 +1,106 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const { pool } = require("../lib/db");
+const jobs = require("../lib/jobs");
+
+// Run `job` through the worker with `handler` and return the update that
+// finished it
+async function runJob(t, job, handler) {
+  let claimed = false;
+  let finish;
+  const finished = new Promise((resolve) => {
+    finish = resolve;
+  });
+  t.mock.method(console, "error", () => {});
+  t.mock.method(pool, "query", async (sql, params) => {
+    if (/SET status = 'running'/.test(sql)) {
+      const rows = claimed ? [] : [job];
+      claimed = true;
+      return { rows };
+    }
+    if (/status = 'completed'|SET status = \$2/.test(sql)) {
+      finish({ sql, params });
+    }
+    return { rows: [] };
+  });
+  if (handler) {
+    jobs.registerHandler(job.type, handler);
+  }
+  jobs.startWorker({ pollInterval: 10 });
+  const update = await finished;
+  await jobs.stopWorker();
+  return update;
+}
+
+test("enqueue inserts a pending job with the given options", async () => {
+  const queries = [];
+  const db = {
+    async query(sql, params) {
+      queries.push(params);
+      return { rows: [{ id: 3 }] };
+    },
+  };
+  const runAt = new Date("2030-01-01T00:00:00Z");
+  assert.equal(await jobs.enqueue(db, "test.job", { a: 1 }), 3);
+  await jobs.enqueue(db, "test.job", { a: 2 }, { runAt, maxAttempts: 8 });
+  assert.deepEqual(queries, [
+    ["test.job", { a: 1 }, null, null],
+    ["test.job", { a: 2 }, runAt, 8],
+  ]);
+});
+
+test("a job that succeeds is completed", async (t) => {
+  const seen = [];
+  const job = { id: 1, type: "test.ok", payload: { a: 1 }, attempts: 1 };
+  const update = await runJob(t, job, async (running) => {
+    seen.push(running.payload);
+  });
+  assert.deepEqual(seen, [{ a: 1 }]);
+  assert.match(update.sql, /status = 'completed'/);
+  assert.deepEqual(update.params, [1]);
+});
+
+test("a failing job is retried with growing backoff", async (t) => {
+  const fail = async () => {
+    throw new Error("boom");
+  };
+  const first = await runJob(
+    t,
+    { id: 1, type: "test.fail", attempts: 1, max_attempts: 5 },
+    fail
+  );
+  const [, status, error, delay] = first.params;
+  assert.equal(status, "pending");
+  assert.match(error, /boom/);
+  assert.ok(delay >= 5000 && delay < 10000);
+
+  const third = await runJob(
+    t,
+    { id: 1, type: "test.fail", attempts: 3, max_attempts: 5 },
+    fail
+  );
+  assert.ok(third.params[3] >= 20000 && third.params[3] < 25000);
+});
+
+test("a job out of attempts is marked dead", async (t) => {
+  const update = await runJob(
+    t,
+    { id: 2, type: "test.dead", attempts: 5, max_attempts: 5 },
+    async () => {
+      throw new Error("still broken");
+    }
+  );
+  assert.deepEqual(update.params.slice(0, 2), [2, "dead"]);
+  assert.equal(update.params[3], 0);
+});
+
+test("a job without a handler fails", async (t) => {
+  const update = await runJob(t, {
+    id: 4,
+    type: "test.unknown",
+    attempts: 1,
+    max_attempts: 5,
+  });
+  assert.equal(update.params[1], "pending");
+  assert.match(update.params[2], /No handler registered for job type/);
+});
@@ -0,0 +1,87 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const kyc = require("../lib/kyc");
+
+const AADHAAR = "234123412346";
+
+test("accepts Aadhaar numbers with a valid Verhoeff check digit", () => {
+  assert.equal(kyc.isValidAadhaar(AADHAAR), true);
+  assert.equal(kyc.isValidAadhaar("499118665246"), true);
+});
+
+test("the Verhoeff check catches single digit errors", () => {
+  for (let index = 0; index < AADHAAR.length; index++) {
+    for (let digit = 0; digit <= 9; digit++) {
+      const changed =
+        AADHAAR.slice(0, index) + digit + AADHAAR.slice(index + 1);
+      if (changed !== AADHAAR && !/^[01]/.test(changed)) {
+        assert.equal(kyc.isValidAadhaar(changed), false, changed);
+      }
+    }
+  }
+});
+
+test("the Verhoeff check catches adjacent transpositions", () => {
+  for (let index = 0; index < AADHAAR.length - 1; index++) {
+    const swapped =
+      AADHAAR.slice(0, index) +
+      AADHAAR[index + 1] +
+      AADHAAR[index] +
+      AADHAAR.slice(index + 2);
+    if (swapped !== AADHAAR && !/^[01]/.test(swapped)) {
+      assert.equal(kyc.isValidAadhaar(swapped), false, swapped);
+    }
+  }
+});
+
+test("rejects Aadhaar numbers of the wrong shape", () => {
+  assert.equal(kyc.isValidAadhaar("134123412346"), false);
+  assert.equal(kyc.isValidAadhaar("23412341234"), false);
+  assert.equal(kyc.isValidAadhaar("2341234123467"), false);
+});
+
+test("validates PANs and their holder type", () => {
+  assert.equal(kyc.isValidPan("ABCPE1234F"), true);
+  assert.equal(kyc.isValidPan("ABCXE1234F"), false);
+  assert.equal(kyc.isValidPan("ABCPE12345"), false);
+});
+
+test("parseIdentifier normalizes and detects the identifier type", () => {
+  assert.deepEqual(kyc.parseIdentifier("2341 2341-2346"), {
+    type: "aadhaar",
+    identifier: AADHAAR,
+  });
+  assert.deepEqual(kyc.parseIdentifier("abcpe1234f"), {
+    type: "pan",
+    identifier: "ABCPE1234F",
+  });
+  assert.throws(
+    () => kyc.parseIdentifier("234123412341"),
+    kyc.InvalidIdentifierError
+  );
+  assert.throws(() => kyc.parseIdentifier(1234), kyc.InvalidIdentifierError);
+});
+
+test("maskIdentifier keeps the last four characters", () => {
+  assert.equal(kyc.maskIdentifier(AADHAAR), "XXXXXXXX2346");
+});
+
+test("verification is unavailable without a hash secret", async () => {
+  const db = {
+    async query() {
+      throw new Error("Unexpected query");
+    },
+  };
+  const secret = process.env.KYC_HASH_SECRET;
+  delete process.env.KYC_HASH_SECRET;
+  try {
+    await assert.rejects(
+      kyc.submitVerification(db, { userId: 7, value: AADHAAR }),
+      kyc.KycUnavailableError
+    );
+  } finally {
+    if (secret !== undefined) {
+      process.env.KYC_HASH_SECRET = secret;
+    }
+  }
+});
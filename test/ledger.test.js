@@ -0,0 +1,152 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const ledger = require("../lib/ledger");
+
+// In-memory stand-in for the ledger tables, answering the queries the ledger
+// makes
+function createLedgerDb() {
+  const accounts = new Map();
+  const lines = [];
+  const earnings = new Map();
+  let entries = 0;
+  const balanceOf = (key) =>
+    lines
+      .filter((line) => line.accountId === accounts.get(key))
+      .reduce((total, line) => total + line.amount, 0);
+
+  return {
+    lines,
+    earnings,
+    balance: (...account) => balanceOf([...account, "SOL"].join("/")),
+    async query(sql, params = []) {
+      if (/SELECT currency FROM bounties/.test(sql)) {
+        return { rows: [{ currency: "SOL" }] };
+      }
+      if (/INSERT INTO journal_entries/.test(sql)) {
+        return { rows: [{ id: ++entries }] };
+      }
+      if (/INSERT INTO ledger_accounts/.test(sql)) {
+        const key = params.join("/");
+        if (!accounts.has(key)) {
+          accounts.set(key, accounts.size + 1);
+        }
+        return { rows: [{ id: accounts.get(key) }] };
+      }
+      if (/INSERT INTO ledger_lines/.test(sql)) {
+        for (let index = 1; index < params.length; index += 2) {
+          lines.push({
+            entryId: params[0],
+            accountId: params[index],
+            amount: Number(params[index + 1]),
+          });
+        }
+        return { rows: [] };
+      }
+      if (/AS balance/.test(sql)) {
+        return { rows: [{ balance: String(balanceOf(params.join("/"))) }] };
+      }
+      if (/AS held/.test(sql)) {
+        return {
+          rows: [{ held: String(Number(params[0]) + Number(params[1])) }],
+        };
+      }
+      if (/::numeric - /.test(sql)) {
+        return {
+          rows: [{ delta: String(Number(params[0]) - Number(params[1])) }],
+        };
+      }
+      if (/UPDATE users SET total_earnings/.test(sql)) {
+        earnings.set(params[1], params[0]);
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+function assertBalanced(db) {
+  const totals = new Map();
+  for (const line of db.lines) {
+    totals.set(line.entryId, (totals.get(line.entryId) || 0) + line.amount);
+  }
+  for (const [entryId, total] of totals) {
+    assert.equal(total, 0, `entry ${entryId} does not balance`);
+  }
+}
+
+test("funding moves the amount from the owner into escrow", async () => {
+  const db = createLedgerDb();
+  await ledger.fundBounty(db, { bountyId: 1, ownerId: 7, amount: "2.5" });
+  assert.equal(db.balance("user", 7, "funding"), -2.5);
+  assert.equal(db.balance("bounty", 1, "escrow"), 2.5);
+  assertBalanced(db);
+});
+
+test("adjustments draw from or return to the owner", async () => {
+  const db = createLedgerDb();
+  await ledger.fundBounty(db, { bountyId: 1, ownerId: 7, amount: "2" });
+  await ledger.adjustBounty(db, {
+    bountyId: 1,
+    ownerId: 7,
+    oldAmount: "2",
+    newAmount: "3.5",
+  });
+  assert.equal(db.balance("bounty", 1, "escrow"), 3.5);
+  await ledger.adjustBounty(db, {
+    bountyId: 1,
+    ownerId: 7,
+    oldAmount: "3.5",
+    newAmount: "1",
+  });
+  assert.equal(db.balance("bounty", 1, "escrow"), 1);
+  assert.equal(db.balance("user", 7, "funding"), -1);
+  assert.equal(
+    await ledger.adjustBounty(db, {
+      bountyId: 1,
+      ownerId: 7,
+      oldAmount: "1",
+      newAmount: "1",
+    }),
+    null
+  );
+  assertBalanced(db);
+});
+
+test("approval and payout move escrow to the claimant's earnings", async () => {
+  const db = createLedgerDb();
+  await ledger.fundBounty(db, { bountyId: 1, ownerId: 7, amount: "4" });
+  await ledger.approveBounty(db, { bountyId: 1, amount: "4", claimantId: 9 });
+  assert.equal(db.balance("bounty", 1, "escrow"), 0);
+  assert.equal(db.balance("bounty", 1, "payable"), 4);
+  await ledger.payoutBounty(db, {
+    bountyId: 1,
+    claimantId: 9,
+    amount: "4",
+    reference: "signature",
+  });
+  assert.equal(db.balance("bounty", 1, "payable"), 0);
+  assert.equal(db.balance("user", 9, "earnings"), 4);
+  assert.equal(db.earnings.get(9), "4");
+  assertBalanced(db);
+});
+
+test("refunds return everything still held to the backers", async () => {
+  const db = createLedgerDb();
+  await ledger.fundBounty(db, { bountyId: 1, ownerId: 7, amount: "3" });
+  await ledger.fundBounty(db, { bountyId: 1, ownerId: 8, amount: "1" });
+  await ledger.approveBounty(db, { bountyId: 1, amount: "1", claimantId: 9 });
+  assert.equal(Number(await ledger.getHeldAmount(db, 1)), 4);
+
+  await ledger.refundBounty(db, {
+    bountyId: 1,
+    refunds: [{ userId: 7, amount: "3" }, { userId: 8, amount: "1" }],
+  });
+  assert.equal(db.balance("bounty", 1, "escrow"), 0);
+  assert.equal(db.balance("bounty", 1, "payable"), 0);
+  assert.equal(db.balance("user", 7, "funding"), 0);
+  assert.equal(db.balance("user", 8, "funding"), 0);
+  assertBalanced(db);
+  assert.equal(
+    await ledger.refundBounty(db, { bountyId: 1, refunds: [] }),
+    null
+  );
+});
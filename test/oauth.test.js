@@ -0,0 +1,104 @@
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { afterEach, test } = require("node:test");
+const oauth = require("../lib/oauth");
+
+function createStateDb() {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      if (/RETURNING code_verifier/.test(sql)) {
+        return { rows: [{ code_verifier: "verifier", return_to: "/" }] };
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+afterEach(() => {
+  delete process.env.LOGIN_RETURN_PATHS;
+});
+
+test("validateReturnTo defaults to the root path", () => {
+  assert.equal(oauth.validateReturnTo(undefined), "/");
+  assert.equal(oauth.validateReturnTo(""), "/");
+  assert.equal(oauth.validateReturnTo("/bounties?page=2"), "/bounties?page=2");
+});
+
+test("validateReturnTo rejects other origins", () => {
+  for (const returnTo of [
+    "https://evil.example",
+    "//evil.example",
+    "/\\evil.example",
+    "/ /evil.example",
+    "bounties",
+    42,
+  ]) {
+    assert.throws(
+      () => oauth.validateReturnTo(returnTo),
+      oauth.InvalidReturnToError
+    );
+  }
+});
+
+test("validateReturnTo honours LOGIN_RETURN_PATHS", () => {
+  process.env.LOGIN_RETURN_PATHS = "/dashboard, /bounties/";
+  assert.equal(oauth.validateReturnTo("/dashboard"), "/dashboard");
+  assert.equal(oauth.validateReturnTo("/dashboard/x"), "/dashboard/x");
+  assert.equal(oauth.validateReturnTo("/bounties/1"), "/bounties/1");
+  assert.throws(
+    () => oauth.validateReturnTo("/dashboards"),
+    oauth.InvalidReturnToError
+  );
+  assert.throws(
+    () => oauth.validateReturnTo("/dashboard/../admin"),
+    oauth.InvalidReturnToError
+  );
+});
+
+test("createLoginAttempt stores the PKCE verifier", async () => {
+  const db = createStateDb();
+  const { state, codeChallenge } = await oauth.createLoginAttempt(db, {
+    returnTo: "/bounties",
+  });
+  const [stateHash, codeVerifier, returnTo] = db.queries[1].params;
+
+  assert.equal(
+    stateHash,
+    crypto.createHash("sha256").update(state).digest("hex")
+  );
+  assert.equal(
+    codeChallenge,
+    crypto.createHash("sha256").update(codeVerifier).digest("base64url")
+  );
+  assert.equal(returnTo, "/bounties");
+});
+
+test("createLoginAttempt rejects a bad returnTo", async () => {
+  await assert.rejects(
+    oauth.createLoginAttempt(createStateDb(), { returnTo: "//evil" }),
+    oauth.InvalidReturnToError
+  );
+});
+
+test("consumeLoginAttempt requires the state cookie to match", async () => {
+  const db = createStateDb();
+  assert.equal(
+    await oauth.consumeLoginAttempt(db, { state: "a", cookieState: "b" }),
+    null
+  );
+  assert.equal(
+    await oauth.consumeLoginAttempt(db, { state: "a", cookieState: undefined }),
+    null
+  );
+  assert.equal(db.queries.length, 0);
+
+  const attempt = await oauth.consumeLoginAttempt(db, {
+    state: "a",
+    cookieState: "a",
+  });
+  assert.equal(attempt.code_verifier, "verifier");
+  assert.equal(db.queries.length, 1);
+});
@@ -0,0 +1,166 @@
+const assert = require("node:assert/strict");
+const { afterEach, test } = require("node:test");
+const { Keypair, Transaction } = require("@solana/web3.js");
+const payouts = require("../lib/payouts");
+const solana = require("../lib/solana");
+
+const sender = Keypair.generate();
+const recipient = Keypair.generate().publicKey.toBase58();
+const bounty = { id: 3, amount: "2", currency: "SOL" };
+const payment = {
+  id: 9,
+  share_id: 5,
+  amount: "1.5",
+  from_address: sender.publicKey.toBase58(),
+};
+
+let blockHeight;
+
+function useRpc() {
+  blockHeight = 50;
+  solana.setRpcClient({
+    async getLatestBlockhash() {
+      return {
+        blockhash: Keypair.generate().publicKey.toBase58(),
+        lastValidBlockHeight: 100,
+      };
+    },
+    async getBlockHeight() {
+      return blockHeight;
+    },
+  });
+}
+
+// An in-memory payout_transactions table
+function createPayoutDb() {
+  const issued = [];
+  return {
+    issued,
+    async query(sql, params) {
+      if (/INSERT INTO payout_transactions/.test(sql)) {
+        const [bountyId, shareId, paymentId, from, to, amount, currency] =
+          params;
+        issued.push({
+          id: issued.length + 1,
+          bounty_id: bountyId,
+          share_id: shareId,
+          payment_id: paymentId,
+          from_address: from,
+          to_address: to,
+          amount,
+          currency,
+          recent_blockhash: params[7],
+          last_valid_block_height: String(params[8]),
+          message: params[9],
+        });
+        return { rows: [] };
+      }
+      if (/WHERE bounty_id = \$1 AND message = \$2/.test(sql)) {
+        const rows = issued.filter(
+          (row) => row.bounty_id === params[0] && row.message === params[1]
+        );
+        return { rows: rows.reverse() };
+      }
+      throw new Error(`Unexpected query: ${sql}`);
+    },
+  };
+}
+
+async function issue(db) {
+  return payouts.issuePayoutTransaction(db, {
+    bounty,
+    payment,
+    to: recipient,
+  });
+}
+
+function sign(serialized) {
+  const transaction = Transaction.from(Buffer.from(serialized, "base64"));
+  transaction.partialSign(sender);
+  return transaction.serialize().toString("base64");
+}
+
+afterEach(() => {
+  solana.setRpcClient(null);
+});
+
+test("issued payouts are recorded unsigned", async () => {
+  useRpc();
+  const db = createPayoutDb();
+  const issued = await issue(db);
+  const transaction = Transaction.from(
+    Buffer.from(issued.transaction, "base64")
+  );
+
+  assert.equal(issued.lastValidBlockHeight, 100);
+  assert.equal(issued.memo, "paisa-vasool bounty #3");
+  assert.equal(transaction.recentBlockhash, issued.recentBlockhash);
+  assert.ok(transaction.feePayer.equals(sender.publicKey));
+  assert.equal(transaction.signatures[0].signature, null);
+  assert.equal(db.issued.length, 1);
+  assert.equal(db.issued[0].share_id, 5);
+  assert.equal(db.issued[0].payment_id, 9);
+  assert.equal(db.issued[0].from_address, sender.publicKey.toBase58());
+  assert.equal(db.issued[0].amount, "1.5");
+  assert.equal(
+    db.issued[0].message,
+    transaction.serializeMessage().toString("base64")
+  );
+});
+
+test("a signed issued payout is matched", async () => {
+  useRpc();
+  const db = createPayoutDb();
+  const { transaction } = await issue(db);
+  const { issued } = await payouts.matchSignedTransaction(db, {
+    bounty,
+    serialized: sign(transaction),
+  });
+  assert.equal(issued.id, 1);
+});
+
+test("unmatched or unsigned submissions are rejected", async () => {
+  useRpc();
+  const db = createPayoutDb();
+  const { transaction } = await issue(db);
+  const changed = Transaction.from(Buffer.from(transaction, "base64"));
+  changed.instructions.pop();
+  const unknown = changed
+    .serialize({ requireAllSignatures: false, verifySignatures: false })
+    .toString("base64");
+  const forged = Transaction.from(Buffer.from(sign(transaction), "base64"));
+  forged.signatures[0].signature = Buffer.alloc(64, 1);
+
+  for (const serialized of [
+    "not a transaction",
+    sign(unknown),
+    transaction,
+    forged.serialize({ verifySignatures: false }).toString("base64"),
+  ]) {
+    await assert.rejects(
+      payouts.matchSignedTransaction(db, { bounty, serialized }),
+      payouts.PayoutMismatchError
+    );
+  }
+  await assert.rejects(
+    payouts.matchSignedTransaction(db, {
+      bounty: { ...bounty, id: 4 },
+      serialized: sign(transaction),
+    }),
+    /does not match the payout issued/
+  );
+});
+
+test("expired payouts are rejected", async () => {
+  useRpc();
+  const db = createPayoutDb();
+  const { transaction } = await issue(db);
+  blockHeight = 101;
+  await assert.rejects(
+    payouts.matchSignedTransaction(db, {
+      bounty,
+      serialized: sign(transaction),
+    }),
+    /has expired/
+  );
+});
@@ -0,0 +1,215 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const ledger = require("../lib/ledger");
+const pledges = require("../lib/pledges");
+
+const bounty = { id: 1, creator_id: 7, currency: "SOL" };
+
+const wallets = {
+  7: { walletAddress: "CreatorWallet", walletSource: "custodial_wallet" },
+  8: { walletAddress: "BackerWallet", walletSource: "solana_address" },
+  9: { walletAddress: null, walletSource: null },
+};
+
+// Stand-in for bounty_pledges that records refunded amounts, and for the
+// `users` it is given by id
+function createPledgeDb(rows, users = {}) {
+  const refunded = new Map();
+  return {
+    refunded,
+    async query(sql, params) {
+      if (/FROM bounty_pledges/.test(sql)) {
+        return { rows };
+      }
+      if (/FROM users/.test(sql)) {
+        const user = users[params[0]];
+        return { rows: user ? [user] : [] };
+      }
+      if (/SET refunded_amount/.test(sql)) {
+        refunded.set(params[0], params[1]);
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+function mockLedger(t, held) {
+  const refunds = [];
+  t.mock.method(ledger, "getHeldAmount", async () => held);
+  t.mock.method(ledger, "refundBounty", async (client, refund) => {
+    refunds.push(refund);
+    return 1;
+  });
+  return refunds;
+}
+
+test("refunds are split in proportion to pledges", async (t) => {
+  const posted = mockLedger(t, "4");
+  const db = createPledgeDb([
+    { id: 1, backer_id: 7, amount: "3", wallet_address: "CreatorWallet" },
+    { id: 2, backer_id: 8, amount: "1", wallet_address: "BackerWallet" },
+  ]);
+  const refunds = await pledges.refundPledges(db, { bounty, actorId: 7 });
+
+  assert.deepEqual(
+    refunds.map(({ userId, amount, walletAddress }) => [
+      userId,
+      amount,
+      walletAddress,
+    ]),
+    [
+      [7, "3", "CreatorWallet"],
+      [8, "1", "BackerWallet"],
+    ]
+  );
+  assert.deepEqual([...db.refunded], [[1, "3"], [2, "1"]]);
+  assert.deepEqual(posted, [{ bountyId: 1, refunds, actorId: 7 }]);
+});
+
+test("a partly paid bounty refunds what is left proportionally", async (t) => {
+  mockLedger(t, "1");
+  const db = createPledgeDb([
+    { id: 1, backer_id: 7, amount: "1" },
+    { id: 2, backer_id: 8, amount: "1" },
+    { id: 3, backer_id: 9, amount: "1" },
+    { id: 4, backer_id: 7, amount: "1" },
+  ]);
+  const refunds = await pledges.refundPledges(db, { bounty });
+
+  assert.deepEqual([...db.refunded.values()], Array(4).fill("0.25"));
+  assert.deepEqual(
+    refunds.map(({ userId, amount }) => [userId, amount]),
+    [
+      [7, "0.5"],
+      [8, "0.25"],
+      [9, "0.25"],
+    ]
+  );
+});
+
+test("rounding goes to the last pledge", async (t) => {
+  mockLedger(t, "0.000000010");
+  const db = createPledgeDb([
+    { id: 1, backer_id: 7, amount: "1" },
+    { id: 2, backer_id: 8, amount: "1" },
+    { id: 3, backer_id: 9, amount: "1" },
+  ]);
+  const refunds = await pledges.refundPledges(db, { bounty });
+
+  assert.deepEqual(
+    refunds.map(({ amount }) => amount),
+    ["0.000000003", "0.000000003", "0.000000004"]
+  );
+});
+
+test("without pledges everything goes back to the creator", async (t) => {
+  const posted = mockLedger(t, "2");
+  const db = createPledgeDb([], {
+    7: { solana_address: "CreatorWallet", wallet_address: "CreatorWallet" },
+  });
+  const refunds = await pledges.refundPledges(db, { bounty });
+
+  assert.deepEqual(refunds, [
+    {
+      userId: 7,
+      amount: "2",
+      walletAddress: "CreatorWallet",
+      walletSource: "custodial_wallet",
+    },
+  ]);
+  assert.equal(posted.length, 1);
+});
+
+test("refunds go back to the wallet of each backer's latest pledge", async (t) => {
+  mockLedger(t, "3");
+  const db = createPledgeDb(
+    [
+      { id: 1, backer_id: 8, amount: "1", wallet_address: "OldWallet" },
+      {
+        id: 2,
+        backer_id: 8,
+        amount: "1",
+        wallet_address: "BackerWallet",
+        wallet_source: "solana_address",
+      },
+      { id: 3, backer_id: 9, amount: "1", wallet_address: null },
+    ],
+    { 9: { solana_address: "LaterWallet", wallet_address: null } }
+  );
+  const refunds = await pledges.refundPledges(db, { bounty });
+
+  assert.deepEqual(refunds, [
+    {
+      userId: 8,
+      amount: "2",
+      walletAddress: "BackerWallet",
+      walletSource: "solana_address",
+    },
+    {
+      userId: 9,
+      amount: "1",
+      walletAddress: "LaterWallet",
+      walletSource: "solana_address",
+    },
+  ]);
+});
+
+test("a share is split between backers in proportion to pledges", () => {
+  const funders = [
+    { backerId: 7, amount: "3", ...wallets[7] },
+    { backerId: 8, amount: "1", ...wallets[8] },
+  ];
+
+  assert.deepEqual(pledges.splitByPledges("2", funders, "SOL"), [
+    { backerId: 7, amount: "1.5", ...wallets[7] },
+    { backerId: 8, amount: "0.5", ...wallets[8] },
+  ]);
+});
+
+test("rounding of a split goes to the last backer", () => {
+  const funders = [7, 8, 9].map((backerId) => ({ backerId, amount: "1" }));
+
+  assert.deepEqual(
+    pledges.splitByPledges("1", funders, "USDC").map(({ amount }) => amount),
+    ["0.333333", "0.333333", "0.333334"]
+  );
+  assert.deepEqual(
+    pledges
+      .splitByPledges("0.000001", funders, "USDC")
+      .map(({ backerId, amount }) => [backerId, amount]),
+    [[9, "0.000001"]]
+  );
+});
+
+test("funders pay from the wallet of their latest pledge", async () => {
+  const db = {
+    async query(sql, params) {
+      if (/FROM bounty_pledges/.test(sql)) {
+        return {
+          rows: [
+            {
+              backer_id: 7,
+              amount: "3",
+              wallet_address: "CreatorWallet",
+              wallet_source: "custodial_wallet",
+            },
+            { backer_id: 8, amount: "1", wallet_address: null },
+            { backer_id: 9, amount: "1", wallet_address: null },
+          ],
+        };
+      }
+      if (params[0] === 8) {
+        return {
+          rows: [{ solana_address: "BackerWallet", wallet_address: null }],
+        };
+      }
+      return { rows: [] };
+    },
+  };
+
+  assert.deepEqual(await pledges.getFunders(db, 1), [
+    { backerId: 7, amount: "3", ...wallets[7] },
+    { backerId: 8, amount: "1", ...wallets[8] },
+    { backerId: 9, amount: "1", ...wallets[9] },
+  ]);
+});
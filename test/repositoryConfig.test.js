@@ -0,0 +1,53 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const repositoryConfig = require("../lib/repositoryConfig");
+
+function approverRoleOf(text) {
+  return repositoryConfig.approverRole(
+    repositoryConfig.parseConfig(text, ".paisa.yml")
+  );
+}
+
+test("approvers default to maintainers", () => {
+  assert.equal(approverRoleOf(""), "maintain");
+  assert.equal(approverRoleOf("required_labels: [bounty]"), "maintain");
+});
+
+test("approvers can be opened up or restricted to the creator", () => {
+  assert.equal(approverRoleOf("approvers: write"), "write");
+  assert.equal(approverRoleOf("approvers: creator"), null);
+});
+
+test("unknown approvers are a config error", () => {
+  assert.throws(
+    () => repositoryConfig.parseConfig("approvers: anyone", ".paisa.yml"),
+    repositoryConfig.InvalidConfigError
+  );
+});
+
+test("limits apply to the bounty total", () => {
+  const config = repositoryConfig.parseConfig(
+    "limits:\n  SOL: { min: 1, max: 5 }",
+    ".paisa.yml"
+  );
+  assert.equal(
+    repositoryConfig.checkLimits(config, { amount: "5", code: "SOL" }),
+    null
+  );
+  assert.match(
+    repositoryConfig.checkLimits(config, { amount: "0.5", code: "SOL" }),
+    /at least 1 SOL/
+  );
+  assert.match(
+    repositoryConfig.checkMaximum(config, { amount: "5.1", code: "SOL" }),
+    /at most 5 SOL/
+  );
+  assert.equal(
+    repositoryConfig.checkMaximum(config, { amount: "0.5", code: "SOL" }),
+    null
+  );
+  assert.equal(
+    repositoryConfig.checkLimits(config, { amount: "100", code: "USDC" }),
+    null
+  );
+});
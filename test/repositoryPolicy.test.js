@@ -0,0 +1,57 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const repositoryPolicy = require("../lib/repositoryPolicy");
+
+test("bounty owners need write access to manage their bounty", () => {
+  const { canManageBounty } = repositoryPolicy;
+  assert.equal(canManageBounty({ isOwner: true, permission: "write" }), true);
+  assert.equal(canManageBounty({ isOwner: true, permission: "triage" }), false);
+  assert.equal(
+    canManageBounty({ isOwner: true, permission: "write", role: null }),
+    true
+  );
+});
+
+test("others need the role to manage a bounty", () => {
+  const { canManageBounty } = repositoryPolicy;
+  assert.equal(canManageBounty({ isOwner: false, permission: "write" }), false);
+  assert.equal(
+    canManageBounty({ isOwner: false, permission: "maintain" }),
+    true
+  );
+  assert.equal(
+    canManageBounty({ isOwner: false, permission: "write", role: "write" }),
+    true
+  );
+  assert.equal(
+    canManageBounty({ isOwner: false, permission: "admin", role: null }),
+    false
+  );
+});
+
+test("bounty creation follows the repository policy", () => {
+  const allowlist = {
+    bounty_creators: "allowlist",
+    allowed_creators: ["octocat"],
+  };
+  const { canCreateBounty } = repositoryPolicy;
+  assert.equal(
+    canCreateBounty(allowlist, { username: "OctoCat", permission: "read" }),
+    true
+  );
+  assert.equal(
+    canCreateBounty(allowlist, { username: "other", permission: "write" }),
+    false
+  );
+  assert.equal(
+    canCreateBounty(allowlist, { username: "other", permission: "admin" }),
+    true
+  );
+  assert.equal(
+    canCreateBounty(
+      { bounty_creators: "maintain" },
+      { username: "other", permission: "write" }
+    ),
+    false
+  );
+});
@@ -0,0 +1,95 @@
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { test } = require("node:test");
+const sessions = require("../lib/sessions");
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function createSessionDb(rows = []) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      if (/INSERT INTO sessions/.test(sql)) {
+        return { rows: [{ id: 1, expires_at: params[5] }] };
+      }
+      if (/SELECT \* FROM sessions/.test(sql)) {
+        return { rows: rows.filter((row) => row.token_hash === params[0]) };
+      }
+      return { rows: [], rowCount: 0 };
+    },
+  };
+}
+
+test("createSession stores only the token hash", async () => {
+  const db = createSessionDb();
+  const session = await sessions.createSession(db, { userId: 7 });
+  const insert = db.queries.find(({ sql }) => /INSERT/.test(sql));
+
+  assert.equal(insert.params[0], sha256(session.token));
+  assert.ok(!insert.params.includes(session.token));
+  assert.equal(insert.params[1], 7);
+  assert.equal(insert.params[2], session.csrfToken);
+  assert.notEqual(session.token, session.csrfToken);
+  assert.ok(session.expires_at > new Date());
+});
+
+test("createSession revokes the token it replaces", async () => {
+  const db = createSessionDb();
+  await sessions.createSession(db, { userId: 7, replaceToken: "old" });
+  const revoke = db.queries[0];
+
+  assert.match(revoke.sql, /SET revoked_at/);
+  assert.deepEqual(revoke.params, [sha256("old")]);
+});
+
+test("getSession looks sessions up by token hash", async () => {
+  const row = {
+    id: 1,
+    token_hash: sha256("token"),
+    last_seen_at: new Date(),
+  };
+  const db = createSessionDb([row]);
+
+  assert.equal(await sessions.getSession(db, "token"), row);
+  assert.equal(await sessions.getSession(db, "other"), null);
+  assert.equal(db.queries.length, 2);
+});
+
+test("getSession ignores missing tokens without querying", async () => {
+  const db = createSessionDb();
+  assert.equal(await sessions.getSession(db, undefined), null);
+  assert.equal(await sessions.getSession(db, ""), null);
+  assert.equal(await sessions.getSession(db, ["token"]), null);
+  assert.equal(db.queries.length, 0);
+});
+
+test("getSession only touches stale sessions", async () => {
+  const fresh = {
+    id: 1,
+    token_hash: sha256("fresh"),
+    last_seen_at: new Date(),
+  };
+  const stale = {
+    id: 2,
+    token_hash: sha256("stale"),
+    last_seen_at: new Date(Date.now() - 60 * 60 * 1000),
+  };
+  const db = createSessionDb([fresh, stale]);
+  await sessions.getSession(db, "fresh");
+  await sessions.getSession(db, "stale");
+  const touches = db.queries.filter(({ sql }) => /last_seen_at =/.test(sql));
+
+  assert.deepEqual(touches.map(({ params }) => params), [[2]]);
+});
+
+test("verifyCsrfToken compares against the session token", () => {
+  const session = { csrf_token: "abc123" };
+  assert.equal(sessions.verifyCsrfToken(session, "abc123"), true);
+  assert.equal(sessions.verifyCsrfToken(session, "abc124"), false);
+  assert.equal(sessions.verifyCsrfToken(session, "abc"), false);
+  assert.equal(sessions.verifyCsrfToken(session, undefined), false);
+});
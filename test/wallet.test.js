@@ -0,0 +1,120 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const {
+  ComputeBudgetProgram,
+  Keypair,
+  SystemProgram,
+  Transaction,
+} = require("@solana/web3.js");
+const { buildPayoutInstructions } = require("../lib/solana");
+const {
+  TransactionRejectedError,
+  checkPayoutTransaction,
+} = require("../lib/wallet");
+
+const wallet = Keypair.generate().publicKey;
+const recipient = Keypair.generate().publicKey;
+const payout = {
+  wallet,
+  recipient,
+  amount: "1.5",
+  currency: "SOL",
+  bountyId: 3,
+};
+
+function payoutInstructions(overrides = {}) {
+  return buildPayoutInstructions({
+    from: wallet,
+    to: recipient,
+    amount: payout.amount,
+    currency: payout.currency,
+    bountyId: payout.bountyId,
+    ...overrides,
+  });
+}
+
+function payoutTransaction(...instructions) {
+  const transaction = new Transaction({
+    feePayer: wallet,
+    recentBlockhash: Keypair.generate().publicKey.toBase58(),
+  });
+  transaction.instructions.push(...instructions);
+  return transaction;
+}
+
+function assertRejected(transaction, expected = payout) {
+  assert.throws(
+    () => checkPayoutTransaction(transaction, expected),
+    TransactionRejectedError
+  );
+}
+
+test("accepts the payout instructions", () => {
+  checkPayoutTransaction(payoutTransaction(...payoutInstructions()), payout);
+});
+
+test("accepts a capped compute budget", () => {
+  const transaction = payoutTransaction(
+    ComputeBudgetProgram.setComputeUnitLimit({ units: 200000 }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1000000 }),
+    ...payoutInstructions()
+  );
+  checkPayoutTransaction(transaction, payout);
+});
+
+test("rejects a compute budget above the caps", () => {
+  const limit = (units) => ComputeBudgetProgram.setComputeUnitLimit({ units });
+  const price = (microLamports) =>
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports });
+  for (const budget of [
+    [limit(200001)],
+    [price(1000001)],
+    [price(1), price(1)],
+    [limit(1000), limit(1000)],
+    [ComputeBudgetProgram.requestHeapFrame({ bytes: 32 * 1024 })],
+  ]) {
+    assertRejected(payoutTransaction(...budget, ...payoutInstructions()));
+  }
+});
+
+test("accepts a token payout", () => {
+  const usdc = { ...payout, currency: "USDC" };
+  const instructions = payoutInstructions({ currency: "USDC" });
+  checkPayoutTransaction(payoutTransaction(...instructions), usdc);
+  assertRejected(payoutTransaction(...payoutInstructions()), usdc);
+});
+
+test("rejects a payout that does not match", () => {
+  const other = Keypair.generate().publicKey;
+  for (const overrides of [
+    { amount: "2" },
+    { to: other },
+    { from: other },
+    { bountyId: 4 },
+  ]) {
+    assertRejected(payoutTransaction(...payoutInstructions(overrides)));
+  }
+});
+
+test("rejects missing or extra instructions", () => {
+  const [transfer, memo] = payoutInstructions();
+  const assign = SystemProgram.assign({
+    accountPubkey: wallet,
+    programId: Keypair.generate().publicKey,
+  });
+  assertRejected(payoutTransaction());
+  assertRejected(payoutTransaction(transfer));
+  assertRejected(payoutTransaction(transfer, transfer, memo));
+  assertRejected(payoutTransaction(transfer, memo, assign));
+});
+
+test("rejects another fee payer or signer", () => {
+  const other = Keypair.generate().publicKey;
+  const feePayer = payoutTransaction(...payoutInstructions());
+  feePayer.feePayer = other;
+  assertRejected(feePayer);
+
+  const signer = payoutTransaction(...payoutInstructions());
+  signer.setSigners(wallet, other);
+  assertRejected(signer);
+});